@@ -4,26 +4,408 @@
  * Enhanced with retry logic and error handling
  */
 
-const version = '1.0.12';
+const version = '2.0.0';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Logging
+ * Loggers take a message and structured fields (boardId, operation, attempt, durationMs, ...).
+ * Everything logged goes through redact() first: API keys, tokens, emails and phone numbers
+ * never reach the output.
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SENSITIVE_KEYS = /^(api_?key|authorization|token|access_?token|refresh_?token|password|secret|signing_?secret)$/i;
+const TOKEN_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// North American numbers, French numbers (06 12 34 56 78, +33 6 12 34 56 78) and bare international numbers
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|(?:\+33[\s.-]?(?:\(0\)\s?)?|\b0)[1-9](?:[\s.-]?\d{2}){4}\b|\+\d{10,15}\b/g;
+
+/**
+ * Removes secrets and personal data from a value (deeply for objects and arrays)
+ * @param {any} value - Value to redact
+ * @param {Array<string>} secrets - Exact strings to hide (e.g. the API key)
+ * @returns {any} Redacted copy
+ */
+function redact(value, secrets = []) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    let redacted = value;
+    secrets.forEach(secret => {
+      if (secret) redacted = redacted.split(secret).join('[REDACTED]');
+    });
+    return redacted
+      .replace(TOKEN_PATTERN, '[REDACTED_TOKEN]')
+      .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]')
+      .replace(PHONE_PATTERN, '[REDACTED_PHONE]');
+  }
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message, secrets), code: value.code };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, secrets));
+  }
+
+  if (typeof value === 'object') {
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = SENSITIVE_KEYS.test(key) ? '[REDACTED]' : redact(value[key], secrets);
+    });
+    return redacted;
+  }
+
+  return value;
+}
+
+/**
+ * Creates a structured logger
+ * @param {Object} options - Logger options
+ * @param {string} [options.level='warn'] - Minimum level: debug, info, warn, error or silent
+ * @param {Object|Function} [options.sink=console] - Console-like object, or a function receiving
+ *   { level, message, time, ...fields }
+ * @param {Array<string>} [options.secrets] - Exact strings to redact (API keys, ...)
+ * @param {Object} [options.fields] - Fields added to every entry
+ * @returns {Object} Logger with debug, info, warn, error, child and addSecret
+ */
+function createLogger(options = {}) {
+  const level = options.level || 'warn';
+  const sink = options.sink || console;
+  const secrets = options.secrets || [];
+  const baseFields = options.fields || {};
+
+  const write = (entryLevel, message, fields = {}) => {
+    if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) return;
+
+    const entryFields = redact({ ...baseFields, ...fields }, secrets);
+    const entryMessage = redact(message, secrets);
+
+    if (typeof sink === 'function') {
+      sink({ level: entryLevel, message: entryMessage, time: new Date().toISOString(), ...entryFields });
+      return;
+    }
+
+    const method = typeof sink[entryLevel] === 'function' ? sink[entryLevel] : sink.log;
+    if (Object.keys(entryFields).length > 0) {
+      method.call(sink, `[monday] ${entryMessage}`, entryFields);
+    } else {
+      method.call(sink, `[monday] ${entryMessage}`);
+    }
+  };
+
+  const logger = {
+    level,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (fields = {}) => createLogger({ level, sink, secrets, fields: { ...baseFields, ...fields } }),
+    addSecret: (secret) => {
+      if (secret && !secrets.includes(secret)) secrets.push(secret);
+    }
+  };
+  redactingLoggers.add(logger);
+  return logger;
+}
+
+const redactingLoggers = new WeakSet();
+
+/**
+ * Wraps a logger passed in options so what it receives is redacted like createLogger output
+ * Loggers made by createLogger are returned as is.
+ * @param {Object} logger - Logger with debug, info, warn and error (pino, winston, console, ...)
+ * @param {Array<string>} [secrets] - Exact strings to redact
+ * @returns {Object|null} Redacting logger, or null when no logger is given
+ */
+function toRedactingLogger(logger, secrets = []) {
+  if (!logger || redactingLoggers.has(logger)) {
+    return logger || null;
+  }
+
+  const write = (entryLevel, message, fields) => {
+    const method = typeof logger[entryLevel] === 'function' ? logger[entryLevel] : logger.log;
+    if (typeof method !== 'function') return;
+    if (fields === undefined) {
+      method.call(logger, redact(message, secrets));
+    } else {
+      method.call(logger, redact(message, secrets), redact(fields, secrets));
+    }
+  };
+
+  const wrapped = {
+    level: logger.level,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (fields = {}) => typeof logger.child === 'function'
+      ? toRedactingLogger(logger.child(redact(fields, secrets)), secrets)
+      : wrapped,
+    addSecret: (secret) => {
+      if (secret && !secrets.includes(secret)) secrets.push(secret);
+    }
+  };
+  redactingLoggers.add(wrapped);
+  return wrapped;
+}
+
+const defaultLogger = createLogger({ level: 'warn' });
 
 /**
  * Retry configuration and utility functions
  */
 class RetryConfig {
   constructor(options = {}) {
-    this.maxRetries = options.maxRetries || 1;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 1;
     this.delays = options.delays || [30000]; // 30s
     this.retryableErrors = options.retryableErrors || [
       'NETWORK_ERROR',
       'TIMEOUT_ERROR',
       'SERVER_ERROR',
       'RATE_LIMIT_ERROR',
-      'TEMPORARY_ERROR'
+      'TEMPORARY_ERROR',
+      'COMPLEXITY_ERROR'
     ];
+
+    // Backoff strategy: 'fixed' uses the delays array as-is, 'exponential'
+    // doubles the first delay on each attempt (capped by maxDelay)
+    this.backoff = options.backoff || 'fixed';
+    this.maxDelay = options.maxDelay || 60000;
+    // Jitter ratio (0 - 1) applied to computed delays to spread concurrent retries
+    this.jitter = options.jitter !== undefined ? options.jitter : 0;
+
+    // Honor server hints (HTTP Retry-After, Monday complexity reset_in_x_seconds)
+    this.respectRetryAfter = options.respectRetryAfter !== undefined ? options.respectRetryAfter : true;
+
+    // Total time budget (ms) across all attempts, null for no limit
+    this.maxTotalTime = options.maxTotalTime || null;
+
+    // Time (epoch ms) no retry may wait past, null for none (set by MondayBulkSync runs with a deadline)
+    this.deadline = options.deadline || null;
+
+    // Hooks
+    this.onRetry = options.onRetry || null;
+    this.onGiveUp = options.onGiveUp || null;
+
+    this.logger = toRedactingLogger(options.logger);
+
     this.board_columns = options.columns || {};
   }
 }
 
+/**
+ * Base class for Monday.com API failures
+ * Carries the HTTP status, Monday error code, GraphQL extensions, request id,
+ * retry hint (ms) and the name of the failing query.
+ */
+class MondayApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.errorCode = details.errorCode ?? null;
+    this.extensions = details.extensions ?? null;
+    this.requestId = details.requestId ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+    this.queryName = details.queryName ?? null;
+    if (details.code) this.code = details.code;
+    if (details.errors) this.errors = details.errors;
+    if (details.data !== undefined) this.data = details.data;
+    if (details.response) this.response = details.response;
+  }
+}
+
+/** Network failure before any response was received */
+class MondayNetworkError extends MondayApiError {}
+
+/** Non-2xx HTTP response not covered by a more specific class */
+class MondayHttpError extends MondayApiError {}
+
+/** Invalid, expired or under-privileged API token: the client must reconnect */
+class MondayAuthError extends MondayApiError {}
+
+/** Board, item or other resource does not exist (or is not visible to the token) */
+class MondayNotFoundError extends MondayApiError {}
+
+/** Query rejected by GraphQL parsing/validation: a bug in the query, never retried */
+class MondayGraphQLError extends MondayApiError {}
+
+/** Complexity budget, rate limit or concurrency limit reached: retry after retryAfter */
+class MondayRateLimitError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, { code: 'COMPLEXITY_ERROR', ...details });
+  }
+}
+
+/** Invalid column value, unknown column or record rejected by validation */
+class MondayColumnValueError extends MondayApiError {}
+
+const MONDAY_ERROR_CODES = {
+  rateLimit: [
+    'ComplexityException',
+    'COMPLEXITY_BUDGET_EXHAUSTED',
+    'RATE_LIMIT_EXCEEDED',
+    'IP_RATE_LIMIT_EXCEEDED',
+    'maxConcurrencyExceeded',
+    'MAX_CONCURRENCY_EXCEEDED'
+  ],
+  auth: [
+    'UserUnauthorizedException',
+    'USER_UNAUTHORIZED',
+    'Unauthorized',
+    'UNAUTHORIZED',
+    'missingRequiredPermissions',
+    'USER_ACCESS_DENIED'
+  ],
+  notFound: [
+    'ResourceNotFoundException',
+    'InvalidBoardIdException',
+    'InvalidItemIdException',
+    'InvalidUserIdException',
+    'InvalidGroupIdException',
+    'ItemNotFoundInBoard'
+  ],
+  columnValue: [
+    'ColumnValueException',
+    'InvalidColumnIdException',
+    'InvalidColumnTypeException',
+    'CorrectedValueException',
+    'RecordInvalidException'
+  ],
+  graphql: [
+    'GRAPHQL_VALIDATION_FAILED',
+    'GRAPHQL_PARSE_FAILED',
+    'PARSE_ERROR',
+    'argumentLiteralsIncompatible',
+    'undefinedField',
+    'undefinedType',
+    'missingRequiredArguments',
+    'variableMismatch',
+    'argumentNotAccepted',
+    'maxComplexityExceeded' // A single query over the per-query limit: retrying cannot help
+  ]
+};
+
+/**
+ * Picks the error class matching a Monday error code / HTTP status / message
+ * Classification goes by code and status; the message only identifies legacy parse errors.
+ * @param {string|null} errorCode - Monday error_code or extensions.code
+ * @param {number|null} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Function} Error class
+ */
+function getMondayErrorClass(errorCode, status, message = '') {
+  const lowerMessage = message.toLowerCase();
+
+  if (status === 429 || MONDAY_ERROR_CODES.rateLimit.includes(errorCode)) {
+    return MondayRateLimitError;
+  }
+  if (status === 401 || status === 403 || MONDAY_ERROR_CODES.auth.includes(errorCode)) {
+    return MondayAuthError;
+  }
+  if (status === 404 || MONDAY_ERROR_CODES.notFound.includes(errorCode)) {
+    return MondayNotFoundError;
+  }
+  if (MONDAY_ERROR_CODES.columnValue.includes(errorCode)) {
+    return MondayColumnValueError;
+  }
+  if (MONDAY_ERROR_CODES.graphql.includes(errorCode) || lowerMessage.startsWith('parse error')) {
+    return MondayGraphQLError;
+  }
+  if (status) {
+    return MondayHttpError;
+  }
+  return MondayApiError;
+}
+
+/**
+ * Reads a response header from a fetch Response (or a plain object)
+ * @param {Object} response - Response
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getResponseHeader(response, name) {
+  const headers = response?.headers;
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+/**
+ * Builds the typed error for a non-2xx HTTP response
+ * @param {Object} response - fetch Response
+ * @param {string} errorText - Response body
+ * @param {string} queryName - Failing operation name
+ * @returns {MondayApiError} Typed error
+ */
+function createHttpError(response, errorText, queryName) {
+  let body = null;
+  try {
+    body = JSON.parse(errorText);
+  } catch (e) {
+    // Not JSON
+  }
+
+  const firstError = body?.errors?.[0];
+  const extensions = firstError?.extensions || null;
+  const errorCode = body?.error_code || extensions?.code || null;
+  const ErrorClass = getMondayErrorClass(errorCode, response.status, firstError?.message || body?.error_message || '');
+
+  const error = new ErrorClass(`Monday API HTTP error: ${response.status} ${response.statusText} - ${errorText}`, {
+    status: response.status,
+    errorCode,
+    extensions,
+    requestId: getResponseHeader(response, 'x-request-id') || extensions?.request_id || body?.request_id || null,
+    queryName,
+    errors: body?.errors,
+    response
+  });
+  error.retryAfter = getRetryAfterHint(error);
+  return error;
+}
+
+/**
+ * Builds the typed error for a response carrying GraphQL errors (or a legacy error_code)
+ * @param {Object} result - Parsed response body
+ * @param {Object} response - fetch Response
+ * @param {string} queryName - Failing operation name
+ * @returns {MondayApiError} Typed error
+ */
+function createGraphQLError(result, response, queryName) {
+  const errors = result.errors && result.errors.length > 0
+    ? result.errors
+    : [{ message: result.error_message || result.error_code, extensions: { code: result.error_code, ...(result.error_data ? { error_data: result.error_data } : {}) } }];
+  const firstError = errors[0];
+  const extensions = firstError.extensions || null;
+  const errorCode = extensions?.code || result.error_code || null;
+  const ErrorClass = getMondayErrorClass(errorCode, null, firstError.message || '');
+
+  // PRESERVE THE RESPONSE DATA AND ERRORS - attach it to the error object
+  const error = new ErrorClass(`Monday GraphQL error: ${firstError.message}`, {
+    status: response?.status ?? null,
+    errorCode,
+    extensions,
+    requestId: getResponseHeader(response, 'x-request-id') || extensions?.request_id || result.extensions?.request_id || null,
+    queryName,
+    errors,
+    data: result.data,
+    response: {
+      data: result.data,
+      errors,
+      extensions: result.extensions
+    }
+  });
+  error.retryAfter = getRetryAfterHint(error);
+  return error;
+}
+
 /**
  * Determines if an error should be retried
  * @param {Error} error - The error to check
@@ -31,6 +413,20 @@ class RetryConfig {
  * @returns {boolean} Whether the error should be retried
  */
 function isRetryableError(error, statusCode = null) {
+  // Typed Monday errors decide for themselves
+  if (error instanceof MondayRateLimitError || error instanceof MondayNetworkError) {
+    return true;
+  }
+  if (error instanceof MondayAuthError ||
+      error instanceof MondayNotFoundError ||
+      error instanceof MondayGraphQLError ||
+      error instanceof MondayColumnValueError) {
+    return false;
+  }
+  if (error instanceof MondayHttpError) {
+    return error.status >= 500 || error.status === 408;
+  }
+
   // Network/connection errors
   if (error.code === 'ECONNRESET' || 
       error.code === 'ENOTFOUND' || 
@@ -81,156 +477,731 @@ function sleep(ms) {
 }
 
 /**
- * Retry wrapper function with exponential backoff
- * @param {Function} fn - Function to retry
+ * Parses an HTTP Retry-After header value (seconds or HTTP date)
+ * @param {string|number} headerValue - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if unparseable
+ */
+function parseRetryAfter(headerValue) {
+  if (headerValue === null || headerValue === undefined || headerValue === '') return null;
+
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Whether an error means the complexity budget or a rate limit ran out
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean} True for 429 responses and rate limit error codes
+ */
+function isRateLimitError(error) {
+  if (error instanceof MondayRateLimitError || error.status === 429) return true;
+  const codes = [error.errorCode, ...(error.errors || []).map(graphqlError => graphqlError?.extensions?.code)];
+  return codes.some(code => MONDAY_ERROR_CODES.rateLimit.includes(code));
+}
+
+/**
+ * Extracts a server-provided retry delay from an error, if any
+ * Looks at the HTTP Retry-After header and Monday complexity hints
+ * (extensions.retry_in_seconds, reset_in_x_seconds, "reset in X seconds").
+ * The complexity budget reset, which comes back with every query, is only used for rate limit errors.
+ * @param {Error} error - Error thrown by the operation
+ * @returns {number|null} Delay in milliseconds, or null if no hint
+ */
+function getRetryAfterHint(error) {
+  if (!error) return null;
+
+  if (typeof error.retryAfter === 'number') {
+    return error.retryAfter;
+  }
+
+  // HTTP Retry-After header
+  const headers = error.response?.headers;
+  if (headers) {
+    const headerValue = typeof headers.get === 'function'
+      ? headers.get('retry-after')
+      : headers['retry-after'] || headers['Retry-After'];
+    const delay = parseRetryAfter(headerValue);
+    if (delay !== null) return delay;
+  }
+
+  // Monday GraphQL error extensions
+  const errors = error.errors || error.response?.errors || [];
+  for (const graphqlError of errors) {
+    const extensions = graphqlError?.extensions || {};
+    const seconds = extensions.retry_in_seconds ?? extensions.reset_in_x_seconds;
+    if (seconds !== undefined && !isNaN(Number(seconds))) {
+      return Number(seconds) * 1000;
+    }
+  }
+
+  if (!isRateLimitError(error)) {
+    return null;
+  }
+
+  // Complexity info returned alongside the error
+  const complexity = error.data?.complexity || error.response?.data?.complexity;
+  if (complexity && complexity.reset_in_x_seconds !== undefined) {
+    return Number(complexity.reset_in_x_seconds) * 1000;
+  }
+
+  // Message form: "... reset in 24 seconds"
+  const match = (error.message || '').match(/reset in (\d+) seconds?/i);
+  if (match) {
+    return Number(match[1]) * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Computes the delay before the next attempt
+ * @param {RetryConfig} config - Retry configuration
+ * @param {number} attempt - Zero-based index of the attempt that just failed
+ * @param {Error} error - Error thrown by the attempt
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(config, attempt, error) {
+  const delays = config.delays && config.delays.length > 0 ? config.delays : [1000];
+
+  let delay;
+  if (config.backoff === 'exponential') {
+    delay = Math.min(delays[0] * Math.pow(2, attempt), config.maxDelay);
+  } else {
+    delay = delays[attempt] !== undefined ? delays[attempt] : delays[delays.length - 1];
+  }
+
+  if (config.jitter > 0) {
+    const spread = delay * Math.min(config.jitter, 1);
+    delay = delay - spread + Math.random() * spread * 2;
+  }
+
+  // A server hint wins over our own schedule
+  if (config.respectRetryAfter) {
+    const hint = getRetryAfterHint(error);
+    if (hint !== null) {
+      delay = hint;
+    }
+  }
+
+  return Math.max(0, Math.round(delay));
+}
+
+/**
+ * Retry wrapper function with configurable backoff
+ * @param {Function} fn - Function to retry, receives the attempt number (0-based)
  * @param {RetryConfig} config - Retry configuration
  * @param {string} operationName - Name of operation for logging
+ * @param {Object} logger - Logger (defaults to config.logger, then the package logger)
  * @returns {Promise} Result of the function or throws final error
  */
-async function withRetry(fn, config = new RetryConfig(), operationName = 'operation') {
+async function withRetry(fn, config = new RetryConfig(), operationName = 'operation', logger = null) {
+  const log = toRedactingLogger(logger) || config.logger || defaultLogger;
+  const startedAt = Date.now();
   let lastError;
-  
-  // for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+
+  const giveUp = async (error, attempts, reason) => {
+    if (config.onGiveUp) {
+      await config.onGiveUp({ error, attempts, reason, operationName });
+    }
+    throw error;
+  };
+
+  for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
     try {
-      // Execute the function
-      const result = await fn();
-      
-      // If we get here, the operation succeeded
-      // if (attempt > 0) {
-      //   console.log(`✅ ${operationName} succeeded after ${attempt} retries`);
-      // }
-      
+      const result = await fn(attempt);
+
+      if (attempt > 0) {
+        log.info(`${operationName} succeeded after ${attempt} retries`, { operation: operationName, attempt: attempt + 1 });
+      }
+
       return result;
     } catch (error) {
-      // lastError = error;
-      
-      // // If this is the last attempt, don't retry
-      // if (attempt === config.maxRetries) {
-      //   console.error(`❌ ${operationName} failed after ${config.maxRetries} retries:`, error.message);
-      //   break;
-      // }
-      
-      // // Check if error is retryable
-      // const statusCode = error.response?.status || error.status;
-      // if (!isRetryableError(error, statusCode)) {
-      //   console.error(`❌ ${operationName} failed with non-retryable error:`, error.message);
-      //   throw error;
-      // }
-      
-      // // Calculate delay for this attempt
-      // const delay = config.delays[attempt] || config.delays[config.delays.length - 1];
-      
-      // console.warn(`⚠️ ${operationName} failed (attempt ${attempt + 1}/${config.maxRetries + 1}), retrying in ${delay/1000}s...`, error.message);
-      console.warn(`⚠️ ${operationName} failed`, error.message);
-      
+      lastError = error;
+
+      // Check if error is retryable
+      const statusCode = error.response?.status || error.status;
+      const retryable = isRetryableError(error, statusCode) ||
+        config.retryableErrors.includes(error.code);
+
+      if (!retryable) {
+        log.error(`${operationName} failed with non-retryable error: ${error.message}`, { operation: operationName, attempt: attempt + 1 });
+        return giveUp(error, attempt + 1, 'non_retryable');
+      }
+
+      // If this is the last attempt, don't retry
+      if (attempt === config.maxRetries) {
+        break;
+      }
+
+      const delay = computeRetryDelay(config, attempt, error);
+
+      // Stop if waiting would exceed the total time budget
+      if (config.maxTotalTime && (Date.now() - startedAt) + delay > config.maxTotalTime) {
+        log.error(`${operationName} failed, next retry in ${delay / 1000}s would exceed the ${config.maxTotalTime / 1000}s time budget: ${error.message}`, {
+          operation: operationName,
+          attempt: attempt + 1,
+          durationMs: Date.now() - startedAt
+        });
+        return giveUp(error, attempt + 1, 'time_budget_exceeded');
+      }
+
+      // Stop if waiting would go past the deadline
+      const deadline = config.deadline;
+      if (deadline && Date.now() + delay > deadline) {
+        log.error(`${operationName} failed, next retry in ${delay / 1000}s would go past the deadline: ${error.message}`, {
+          operation: operationName,
+          attempt: attempt + 1,
+          durationMs: Date.now() - startedAt
+        });
+        return giveUp(error, attempt + 1, 'deadline_exceeded');
+      }
+
+      log.warn(`${operationName} failed (attempt ${attempt + 1}/${config.maxRetries + 1}), retrying in ${delay / 1000}s: ${error.message}`, {
+        operation: operationName,
+        attempt: attempt + 1,
+        delayMs: delay
+      });
+
+      if (config.onRetry) {
+        await config.onRetry({ error, attempt: attempt + 1, delay, operationName });
+      }
+
       // Wait before retrying
-      await sleep(45000);
+      await sleep(delay);
     }
-  // }
-  
+  }
+
   // If we get here, all retries failed
-  // throw lastError;
+  log.error(`${operationName} failed after ${config.maxRetries} retries: ${lastError.message}`, {
+    operation: operationName,
+    attempt: config.maxRetries + 1,
+    durationMs: Date.now() - startedAt
+  });
+  return giveUp(lastError, config.maxRetries + 1, 'max_retries_exceeded');
 }
 
 /**
- * Monday.com API Client
- * Centralized client for all Monday.com API interactions with retry logic
+ * Extracts the operation name of a GraphQL document
+ * Uses the declared operation name, or the first root field for anonymous operations
+ * @param {string} query - GraphQL query string
+ * @returns {string} Operation name
  */
-class MondayApiClient {
-  constructor(apiKey, retryConfig = null) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.monday.com/v2';
-    this.retryConfig = retryConfig || new RetryConfig();
-    this.board_columns = {};
+function getOperationName(query) {
+  const named = query.match(/^\s*(?:query|mutation)\s+([_A-Za-z][_0-9A-Za-z]*)/);
+  if (named) {
+    return named[1];
+  }
+
+  const firstField = query.match(/\{\s*([_A-Za-z][_0-9A-Za-z]*)/);
+  return firstField ? firstField[1] : 'anonymous';
+}
+
+const COMPLEXITY_SELECTION = 'complexity { before after reset_in_x_seconds query }';
+
+/**
+ * Adds the complexity field to the root selection of a query or mutation
+ * @param {string} query - GraphQL query string
+ * @returns {string|null} Query including the complexity field, or null if it could not be added
+ */
+function injectComplexityField(query) {
+  if (/\bcomplexity\s*\{/.test(query)) {
+    return query;
+  }
+
+  const match = query.match(/^\s*(?:(?:query|mutation)\b[^{]*)?\{/);
+  if (!match) {
+    return null;
+  }
+
+  const insertAt = match[0].length;
+  return `${query.slice(0, insertAt)} ${COMPLEXITY_SELECTION}${query.slice(insertAt)}`;
+}
+
+/**
+ * Tracks the Monday.com per-minute complexity budget across calls
+ * Requests are admitted in order; when the remaining budget would not cover the
+ * next request, it waits for the budget to reset instead of hitting the limit.
+ */
+class ComplexityBudget {
+  constructor(options = {}) {
+    this.reserve = options.reserve || 0; // Budget kept untouched as safety margin
+    this.defaultCost = options.defaultCost || 10000; // Estimate for operations not seen yet
+    this.maxWait = options.maxWait || 60000;
+    this.logger = toRedactingLogger(options.logger);
+    this.remaining = null;
+    this.resetAt = 0;
+    this.costs = new Map();
+    this.queue = Promise.resolve();
   }
 
   /**
-   * Execute a GraphQL query against Monday.com API with retry logic
-   * @param {string} query - GraphQL query string
-   * @param {Object} variables - GraphQL variables (optional)
-   * @returns {Promise<Object>} API response
+   * Estimates the cost of an operation from the last time it ran
+   * @param {string} operationName - Operation name
+   * @returns {number} Estimated complexity cost
    */
-  async query(query, variables = {}) {
-    return withRetry(async () => {
-      const payload = { query };
-      
-      // Add variables if provided
-      if (Object.keys(variables).length > 0) {
-        payload.variables = variables;
+  estimateCost(operationName) {
+    return this.costs.has(operationName) ? this.costs.get(operationName) : this.defaultCost;
+  }
+
+  /**
+   * Waits until the budget can cover the operation, then reserves its cost
+   * @param {string} operationName - Operation name
+   * @returns {Promise<number>} Reserved cost
+   */
+  acquire(operationName) {
+    const cost = this.estimateCost(operationName);
+
+    const ticket = this.queue.then(async () => {
+      if (this.resetAt && Date.now() >= this.resetAt) {
+        this.remaining = null;
       }
 
-      let response;
-      try {
-        response = await fetch(this.baseUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': this.apiKey,
-          },
-          body: JSON.stringify(payload),
+      if (this.remaining !== null && this.remaining - cost < this.reserve) {
+        const wait = Math.min(Math.max(0, this.resetAt - Date.now()), this.maxWait);
+        (this.logger || defaultLogger).info(`Complexity budget low (${this.remaining} left, ${cost} needed), waiting ${wait / 1000}s for reset`, {
+          operation: operationName,
+          delayMs: wait
         });
-      } catch (error) {
-        // Network/fetch errors
-        const networkError = new Error(`Network error: ${error.message}`);
-        networkError.code = error.code;
-        throw networkError;
+        await sleep(wait);
+        this.remaining = null;
       }
 
-      // Handle HTTP errors
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        const error = new Error(`Monday API HTTP error: ${response.status} ${response.statusText} - ${errorText}`);
-        error.status = response.status;
-        error.response = response;
-        throw error;
+      if (this.remaining !== null) {
+        this.remaining -= cost;
       }
 
-      let result;
-      try {
-        result = await response.json();
-      } catch (error) {
-        throw new Error(`Failed to parse Monday API response: ${error.message}`);
-      }
-      
-      // Check for GraphQL errors
-      if (result.errors && result.errors.length > 0) {
-        const graphqlError = new Error(`Monday GraphQL error: ${result.errors[0].message}`);
-        
-        // Check if it's a complexity/rate limit error (retryable)
-        const errorMsg = result.errors[0].message.toLowerCase();
-        if (errorMsg.includes('complexity') || errorMsg.includes('rate limit')) {
-          graphqlError.code = 'COMPLEXITY_ERROR';
-        }
-        
-        // PRESERVE THE RESPONSE DATA AND ERRORS - attach it to the error object
-        graphqlError.data = result.data;
-        graphqlError.errors = result.errors;
-        graphqlError.response = { 
-          data: result.data,
-          errors: result.errors,
-          extensions: result.extensions 
-        };
-        
-        throw graphqlError;
-      }
+      return cost;
+    });
 
-      return result;
-    }, this.retryConfig, 'Monday API Query');
+    // Keep the queue alive even if a waiter fails
+    this.queue = ticket.catch(() => {});
+    return ticket;
   }
 
   /**
-   * Create a new item in Monday.com with retry logic
-   * @param {string|number} boardId - Board ID
-   * @param {string} itemName - Item name
-   * @param {Object} columnValues - Column values object
-   * @param {boolean} createLabels - Create labels if missing
-   * @returns {Promise<Object>} Created item
+   * Records the complexity info returned by Monday for an operation
+   * @param {string} operationName - Operation name
+   * @param {Object} complexity - { before, after, reset_in_x_seconds, query }
    */
-  async createItem(boardId, itemName, columnValues = {}, createLabels = true) {
-    console.log('🔍 MONDAY API - Real data being sent to Monday:');
-    console.log(`   📊 Column Values: ${JSON.stringify(columnValues)}`);
-    console.log(`   📝 Stringified: ${JSON.stringify(columnValues)}`);
-    
+  record(operationName, complexity) {
+    if (!complexity) return;
+
+    if (complexity.query !== undefined) {
+      this.costs.set(operationName, complexity.query);
+    }
+    if (complexity.after !== undefined) {
+      this.remaining = complexity.after;
+    }
+    if (complexity.reset_in_x_seconds !== undefined) {
+      this.resetAt = Date.now() + complexity.reset_in_x_seconds * 1000;
+    }
+  }
+
+  /**
+   * Marks the budget as exhausted after a complexity error
+   * @param {number|null} resetInMs - Time until the budget resets, if known
+   */
+  recordExhausted(resetInMs = null) {
+    this.remaining = 0;
+    this.resetAt = Date.now() + (resetInMs !== null ? resetInMs : this.maxWait);
+  }
+}
+
+/**
+ * In-memory cache backend (default)
+ * Backends implement async get(key), set(key, value, options), delete(key) and optionally clear();
+ * options.ttl is in seconds, so a Pipedream data store can be used as-is.
+ */
+class MemoryCacheBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * JSON file cache backend, e.g. under /tmp to share a schema between runs of a workflow
+ */
+class FileCacheBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  write(entries) {
+    fs.writeFileSync(this.filePath, JSON.stringify(entries));
+  }
+
+  async get(key) {
+    const entries = this.read();
+    return key in entries ? entries[key] : null;
+  }
+
+  async set(key, value) {
+    const entries = this.read();
+    entries[key] = value;
+    this.write(entries);
+  }
+
+  async delete(key) {
+    const entries = this.read();
+    delete entries[key];
+    this.write(entries);
+  }
+
+  async clear() {
+    this.write({});
+  }
+}
+
+/**
+ * Board schema (columns) cache with expiry, shared by the client and the mappers using it
+ */
+class BoardSchemaCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.ttl=300000] - Time to live in ms (5 minutes)
+   * @param {Object} [options.backend] - Storage backend (MemoryCacheBackend by default), e.g. a Pipedream
+   *   data store: set(key, value, { ttl }) receives the TTL in seconds
+   * @param {string} [options.prefix='monday_board_schema_'] - Key prefix in the backend
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : 300000;
+    this.backend = options.backend || new MemoryCacheBackend();
+    this.prefix = options.prefix || 'monday_board_schema_';
+    this.keys = new Set();
+  }
+
+  key(boardId) {
+    return `${this.prefix}${boardId}`;
+  }
+
+  /**
+   * @param {string|number} boardId - Board ID
+   * @returns {Promise<Array|null>} Cached columns, or null if missing or expired
+   */
+  async get(boardId) {
+    const entry = await this.backend.get(this.key(boardId));
+    if (!entry || !Array.isArray(entry.columns)) {
+      return null;
+    }
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      await this.backend.delete(this.key(boardId));
+      return null;
+    }
+    return entry.columns;
+  }
+
+  /**
+   * @param {string|number} boardId - Board ID
+   * @param {Array} columns - Board columns
+   */
+  async set(boardId, columns) {
+    this.keys.add(boardId.toString());
+    await this.backend.set(this.key(boardId), {
+      columns,
+      expiresAt: this.ttl ? Date.now() + this.ttl : null
+    }, this.ttl ? { ttl: Math.ceil(this.ttl / 1000) } : undefined);
+  }
+
+  /**
+   * Drops the cached schema of a board, or of every board
+   * @param {string|number} [boardId] - Board ID (all boards when omitted)
+   */
+  async invalidate(boardId = null) {
+    if (boardId !== null && boardId !== undefined) {
+      this.keys.delete(boardId.toString());
+      await this.backend.delete(this.key(boardId));
+      return;
+    }
+
+    if (typeof this.backend.clear === 'function' && this.backend instanceof MemoryCacheBackend) {
+      await this.backend.clear();
+    } else {
+      // Shared backends may hold other data: only drop the keys we wrote
+      for (const key of this.keys) {
+        await this.backend.delete(this.key(key));
+      }
+    }
+    this.keys.clear();
+  }
+}
+
+/**
+ * Whether an error means a column id used in a write no longer exists on the board
+ * @param {Error} error - Error thrown by a mutation
+ * @returns {boolean} True for column-not-found errors
+ */
+function isColumnNotFoundError(error) {
+  if (!error) return false;
+  if (error.errorCode === 'InvalidColumnIdException') return true;
+  return /column.*(not found|does not exist|doesn't exist)/i.test(error.message || '');
+}
+
+/**
+ * Reads file data (Buffer, string, Uint8Array, Blob or readable stream) into a Blob
+ * @param {Buffer|string|Uint8Array|Blob|ReadableStream} data - File data
+ * @param {string} contentType - MIME type
+ * @returns {Promise<Blob>} File content
+ */
+async function toBlob(data, contentType) {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return data;
+  }
+  if (typeof data === 'string' || data instanceof Uint8Array) {
+    return new Blob([data], { type: contentType });
+  }
+  if (data && typeof data[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of data) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return new Blob([Buffer.concat(chunks)], { type: contentType });
+  }
+  throw new Error('Unsupported file data: expected a Buffer, string, Blob or readable stream');
+}
+
+/**
+ * Normalizes upload files once, so streams can be replayed on retry
+ * @param {Object} files - { variableName: { data, filename, contentType } }
+ * @returns {Promise<Object>} { variableName: { blob, filename } }
+ */
+async function prepareUploadFiles(files) {
+  const prepared = {};
+  for (const [variableName, file] of Object.entries(files)) {
+    const contentType = file.contentType || 'application/octet-stream';
+    prepared[variableName] = {
+      blob: await toBlob(file.data, contentType),
+      filename: file.filename || 'file'
+    };
+  }
+  return prepared;
+}
+
+/**
+ * Builds a GraphQL multipart request body (query, variables, map, files)
+ * @param {Object} payload - { query, variables }
+ * @param {Object} files - Prepared files by variable name
+ * @returns {FormData} Multipart body
+ */
+function buildMultipartBody(payload, files) {
+  const form = new FormData();
+  const map = {};
+  const variables = { ...(payload.variables || {}) };
+
+  Object.keys(files).forEach((variableName, index) => {
+    map[index] = [`variables.${variableName}`];
+    variables[variableName] = null;
+  });
+
+  form.append('query', payload.query);
+  form.append('variables', JSON.stringify(variables));
+  form.append('map', JSON.stringify(map));
+  Object.values(files).forEach((file, index) => {
+    form.append(`${index}`, file.blob, file.filename);
+  });
+
+  return form;
+}
+
+/**
+ * Monday.com API Client
+ * Centralized client for all Monday.com API interactions with retry logic
+ */
+class MondayApiClient {
+  /**
+   * @param {string} apiKey - Monday API key
+   * @param {RetryConfig} retryConfig - Retry configuration (optional)
+   * @param {Object} options - Client options
+   * @param {boolean|Object|ComplexityBudget} [options.complexity=true] - Complexity budget
+   *   tracking: false to disable, an options object, or a ComplexityBudget shared between clients
+   * @param {Object} [options.logger] - Logger (see createLogger); defaults to warnings on the console
+   * @param {BoardSchemaCache} [options.schemaCache] - Board schema cache (5 minutes in memory by default)
+   * @param {Function} [options.fetch] - fetch implementation (global fetch by default), e.g. FakeMonday#fetch
+   */
+  constructor(apiKey, retryConfig = null, options = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://api.monday.com/v2';
+    this.fileUrl = 'https://api.monday.com/v2/file';
+    this.fetch = options.fetch || null;
+    this.retryConfig = retryConfig || new RetryConfig();
+    this.schemaCache = options.schemaCache || new BoardSchemaCache();
+    // Columns last read per board, kept for code reading board_columns directly (the cache is the source of truth)
+    this.board_columns = {};
+
+    if (options.complexity === false) {
+      this.complexityBudget = null;
+    } else if (options.complexity instanceof ComplexityBudget) {
+      this.complexityBudget = options.complexity;
+    } else {
+      this.complexityBudget = new ComplexityBudget(options.complexity || {});
+    }
+
+    this.logger = toRedactingLogger(options.logger) || createLogger({ level: 'warn' });
+    if (typeof this.logger.addSecret === 'function') {
+      this.logger.addSecret(apiKey);
+    }
+    if (this.complexityBudget && !this.complexityBudget.logger) {
+      this.complexityBudget.logger = this.logger;
+    }
+  }
+
+  /**
+   * Execute a GraphQL query against Monday.com API with retry logic
+   * @param {string} query - GraphQL query string
+   * @param {Object} variables - GraphQL variables (optional)
+   * @param {Object} options - Query options
+   * @param {boolean} [options.allowPartial=false] - Return partial data alongside GraphQL errors
+   *   instead of throwing (used by aliased batch mutations)
+   * @param {Object} [options.files] - Files to upload, by variable name: { file: { data, filename, contentType } }
+   *   (sent as multipart to the file endpoint)
+   * @returns {Promise<Object>} API response
+   */
+  async query(query, variables = {}, options = {}) {
+    const operationName = getOperationName(query);
+    const budget = this.complexityBudget;
+    const files = options.files ? await prepareUploadFiles(options.files) : null;
+    const trackedQuery = budget && !files ? injectComplexityField(query) || query : query;
+
+    return withRetry(async (attempt) => {
+      if (budget) {
+        await budget.acquire(operationName);
+      }
+
+      const requestStartedAt = Date.now();
+
+      const payload = { query: trackedQuery };
+      
+      // Add variables if provided
+      if (Object.keys(variables).length > 0) {
+        payload.variables = variables;
+      }
+
+      const fetchImpl = this.fetch || fetch;
+      let response;
+      try {
+        if (files) {
+          response = await fetchImpl(this.fileUrl, {
+            method: 'POST',
+            headers: {
+              'Authorization': this.apiKey,
+            },
+            body: buildMultipartBody(payload, files),
+          });
+        } else {
+          response = await fetchImpl(this.baseUrl, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': this.apiKey,
+            },
+            body: JSON.stringify(payload),
+          });
+        }
+      } catch (error) {
+        // Network/fetch errors
+        throw new MondayNetworkError(`Network error: ${error.message}`, {
+          code: error.code || error.cause?.code || 'NETWORK_ERROR',
+          queryName: operationName
+        });
+      }
+
+      // Handle HTTP errors
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => 'Unknown error');
+        const error = createHttpError(response, errorText, operationName);
+
+        if (budget && error instanceof MondayRateLimitError) {
+          budget.recordExhausted(error.retryAfter);
+        }
+        throw error;
+      }
+
+      let result;
+      try {
+        result = await response.json();
+      } catch (error) {
+        throw new MondayApiError(`Failed to parse Monday API response: ${error.message}`, {
+          status: response.status,
+          requestId: getResponseHeader(response, 'x-request-id'),
+          queryName: operationName
+        });
+      }
+      
+      // Check for GraphQL errors (and the legacy error_code format)
+      const hasErrors = (result.errors && result.errors.length > 0) || Boolean(result.error_code);
+      const hasPartialData = result.data && Object.keys(result.data).some(key => key !== 'complexity' && result.data[key] !== null);
+      if (hasErrors && !(options.allowPartial && hasPartialData)) {
+        const graphqlError = createGraphQLError(result, response, operationName);
+
+        if (budget && graphqlError instanceof MondayRateLimitError) {
+          budget.recordExhausted(graphqlError.retryAfter);
+        }
+        
+        throw graphqlError;
+      }
+
+      if (budget) {
+        budget.record(operationName, result.data?.complexity);
+      }
+
+      this.logger.debug('Monday API request completed', {
+        operation: operationName,
+        attempt: attempt + 1,
+        durationMs: Date.now() - requestStartedAt,
+        complexity: result.data?.complexity?.query
+      });
+
+      return result;
+    }, this.retryConfig, `Monday API Query ${operationName}`, this.retryConfig.logger || this.logger);
+  }
+
+  /**
+   * Create a new item in Monday.com with retry logic
+   * @param {string|number} boardId - Board ID
+   * @param {string} itemName - Item name
+   * @param {Object} columnValues - Column values object
+   * @param {boolean} createLabels - Create labels if missing
+   * @returns {Promise<Object>} Created item
+   */
+  async createItem(boardId, itemName, columnValues = {}, createLabels = true) {
+    this.logger.debug('Creating item', {
+      boardId,
+      operation: 'create_item',
+      columns: Object.keys(columnValues)
+    });
+
     const mutation = `
       mutation CreateItem($boardId: ID!, $itemName: String!, $columnValues: JSON!, $createLabels: Boolean!) {
         create_item(
@@ -258,15 +1229,17 @@ class MondayApiClient {
    * @param {string|number} itemId - Item ID
    * @param {string|number} boardId - Board ID
    * @param {Object} columnValues - Column values object
+   * @param {boolean} createLabels - Create labels if missing
    * @returns {Promise<Object>} Updated item
    */
-  async updateItem(itemId, boardId, columnValues) {
+  async updateItem(itemId, boardId, columnValues, createLabels = false) {
     const mutation = `
-      mutation UpdateItem($itemId: ID!, $boardId: ID!, $columnValues: JSON!) {
+      mutation UpdateItem($itemId: ID!, $boardId: ID!, $columnValues: JSON!, $createLabels: Boolean!) {
         change_multiple_column_values(
           item_id: $itemId
           board_id: $boardId
           column_values: $columnValues
+          create_labels_if_missing: $createLabels
         ) {
           id
           name
@@ -277,22 +1250,139 @@ class MondayApiClient {
     return this.query(mutation, {
       itemId: itemId.toString(),
       boardId: boardId.toString(),
-      columnValues: JSON.stringify(columnValues)
+      columnValues: JSON.stringify(columnValues),
+      createLabels
+    });
+  }
+
+  /**
+   * Runs many create/update operations as aliased GraphQL mutations
+   * Operations are packed into chunks (by count and estimated complexity); each
+   * operation gets its own result so one invalid row does not fail the others.
+   * @param {Array<Object>} operations - Operations to run
+   *   { type: 'create', boardId, itemName, columnValues, createLabels } or
+   *   { type: 'update', boardId, itemId, columnValues, createLabels }; missing status/dropdown labels
+   *   are only created when createLabels is true, as with updateItem
+   * @param {Object} options - Batch options
+   * @param {number} [options.chunkSize=25] - Maximum operations per request
+   * @param {number} [options.maxComplexity=1000000] - Maximum estimated complexity per request
+   * @param {Function} [options.estimateCost] - (operation) => estimated complexity (default 10000)
+   * @returns {Promise<Array<Object>>} Results in operation order: { index, type, ok, item, error }
+   * @throws {Error} Before any request, when an operation has an unknown type or lacks its IDs
+   */
+  async batchMutate(operations, options = {}) {
+    const chunkSize = options.chunkSize || 25;
+    const maxComplexity = options.maxComplexity || 1000000;
+    const estimateCost = options.estimateCost || (() => 10000);
+
+    // Reject malformed operations before anything is written
+    operations.forEach((operation, index) => {
+      if (operation.type !== 'create' && operation.type !== 'update') {
+        throw new Error(`Unknown batch operation type: ${operation.type} (operation ${index})`);
+      }
+      if (operation.boardId === undefined || operation.boardId === null) {
+        throw new Error(`Batch operation ${index} has no boardId`);
+      }
+      if (operation.type === 'update' && (operation.itemId === undefined || operation.itemId === null)) {
+        throw new Error(`Batch update ${index} has no itemId`);
+      }
+    });
+
+    // Split into chunks respecting both limits
+    const chunks = [];
+    let current = [];
+    let currentCost = 0;
+    operations.forEach((operation, index) => {
+      const cost = estimateCost(operation);
+      if (current.length > 0 && (current.length >= chunkSize || currentCost + cost > maxComplexity)) {
+        chunks.push(current);
+        current = [];
+        currentCost = 0;
+      }
+      current.push({ operation, index });
+      currentCost += cost;
     });
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    const results = new Array(operations.length);
+
+    for (const chunk of chunks) {
+      const definitions = [];
+      const fields = [];
+      const variables = {};
+
+      chunk.forEach(({ operation, index }) => {
+        const alias = `op_${index}`;
+        variables[`board_${index}`] = operation.boardId.toString();
+        variables[`values_${index}`] = JSON.stringify(operation.columnValues || {});
+        variables[`labels_${index}`] = operation.createLabels === true;
+        definitions.push(`$board_${index}: ID!`, `$values_${index}: JSON!`, `$labels_${index}: Boolean!`);
+
+        if (operation.type === 'create') {
+          variables[`name_${index}`] = operation.itemName;
+          definitions.push(`$name_${index}: String!`);
+          fields.push(`${alias}: create_item(board_id: $board_${index}, item_name: $name_${index}, column_values: $values_${index}, create_labels_if_missing: $labels_${index}) { id name }`);
+        } else if (operation.type === 'update') {
+          variables[`item_${index}`] = operation.itemId.toString();
+          definitions.push(`$item_${index}: ID!`);
+          fields.push(`${alias}: change_multiple_column_values(item_id: $item_${index}, board_id: $board_${index}, column_values: $values_${index}, create_labels_if_missing: $labels_${index}) { id name }`);
+        }
+      });
+
+      const mutation = `
+        mutation BatchMutation(${definitions.join(', ')}) {
+          ${fields.join('\n          ')}
+        }
+      `;
+
+      let response;
+      try {
+        response = await this.query(mutation, variables, { allowPartial: true });
+      } catch (error) {
+        // The whole request failed: report the error on every operation of the chunk
+        chunk.forEach(({ operation, index }) => {
+          results[index] = { index, type: operation.type, ok: false, item: null, error };
+        });
+        continue;
+      }
+
+      const errors = response.errors || [];
+      chunk.forEach(({ operation, index }) => {
+        const alias = `op_${index}`;
+        const item = response.data?.[alias] || null;
+        const aliasError = errors.find(error => Array.isArray(error.path) && error.path[0] === alias) ||
+          (!item ? errors.find(error => !error.path) : null);
+
+        results[index] = {
+          index,
+          type: operation.type,
+          ok: Boolean(item) && !aliasError,
+          item,
+          error: aliasError || (!item ? { message: 'No data returned for operation' } : null)
+        };
+      });
+    }
+
+    return results;
   }
 
   /**
    * Get board columns information with retry logic
+   * Columns are served from the schema cache until they expire or are invalidated.
    * @param {string|number} boardId - Board ID
+   * @param {Object} options - Options
+   * @param {boolean} [options.refresh=false] - Bypass the cache
    * @returns {Promise<Array>} Board columns
    */
-  async getBoardColumns(boardId) {
-    if (!this.board_columns) {
-      throw new Error('board_columns is not initialized');
-    }
-
-    if (boardId in this.board_columns) {
-      return this.board_columns[boardId];
+  async getBoardColumns(boardId, options = {}) {
+    if (!options.refresh) {
+      const cached = await this.schemaCache.get(boardId);
+      if (cached) {
+        this.board_columns[boardId] = cached;
+        return cached;
+      }
     }
 
     const query = `
@@ -309,38 +1399,515 @@ class MondayApiClient {
       }
     `;
 
-    console.log(`🔍 Fetching columns for board ${boardId}...`);
     const response = await this.query(query, { boardId: boardId.toString() });
-    console.log(`✅ Successfully fetched ${response.data?.boards?.[0]?.columns?.length || 0} columns`);
+    this.logger.debug(`Fetched ${response.data?.boards?.[0]?.columns?.length || 0} columns`, {
+      boardId,
+      operation: 'GetBoardColumns'
+    });
     
-    this.board_columns[boardId] = response.data?.boards?.[0]?.columns || [];
-    return this.board_columns[boardId];
+    const columns = response.data?.boards?.[0]?.columns || [];
+    await this.schemaCache.set(boardId, columns);
+    this.board_columns[boardId] = columns;
+    return columns;
   }
 
   /**
-   * Update retry configuration
-   * @param {RetryConfig} newConfig - New retry configuration
+   * Drops the cached schema of a board (or all boards)
+   * @param {string|number} [boardId] - Board ID
    */
-  setRetryConfig(newConfig) {
-    this.retryConfig = newConfig;
+  async invalidateBoardSchema(boardId = null) {
+    if (boardId !== null && boardId !== undefined) {
+      delete this.board_columns[boardId];
+    } else {
+      this.board_columns = {};
+    }
+    await this.schemaCache.invalidate(boardId);
   }
-}
 
-/**
- * Monday.com column sanitization functions
- * Simple and straightforward approach
- */
-function sanitizeText(value) {
-  if (value === null || value === undefined) return null;
-  return value.toString().trim();
-}
+  /**
+   * Create a board
+   * @param {string} boardName - Board name
+   * @param {Object} options - Board options
+   * @param {string} [options.boardKind='public'] - 'public', 'private' or 'share'
+   * @param {string|number} [options.workspaceId] - Workspace ID
+   * @param {string|number} [options.folderId] - Folder ID
+   * @returns {Promise<Object>} Created board (id, name)
+   */
+  async createBoard(boardName, options = {}) {
+    const mutation = `
+      mutation CreateBoard($boardName: String!, $boardKind: BoardKind!, $workspaceId: ID, $folderId: ID) {
+        create_board(board_name: $boardName, board_kind: $boardKind, workspace_id: $workspaceId, folder_id: $folderId) {
+          id
+          name
+        }
+      }
+    `;
 
-function sanitizeEmail(value) {
-  if (value === null || value === undefined) return null;
-  if (!value || typeof value !== 'string') return { email: '', text: '' };
-  
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  const sanitizedEmail = value.trim().toLowerCase();
+    return this.query(mutation, {
+      boardName,
+      boardKind: options.boardKind || 'public',
+      workspaceId: options.workspaceId ? options.workspaceId.toString() : null,
+      folderId: options.folderId ? options.folderId.toString() : null
+    });
+  }
+
+  /**
+   * Create a column on a board
+   * @param {string|number} boardId - Board ID
+   * @param {string} title - Column title
+   * @param {string} columnType - Column type (status, dropdown, text, numbers, date, ...)
+   * @param {Object} options - Column options
+   * @param {string} [options.description] - Column description (e.g. its {tag})
+   * @param {Object} [options.defaults] - Column settings, e.g. status/dropdown labels
+   * @returns {Promise<Object>} Created column (id, title, type, description)
+   */
+  async createColumn(boardId, title, columnType, options = {}) {
+    const mutation = `
+      mutation CreateColumn($boardId: ID!, $title: String!, $columnType: ColumnType!, $description: String, $defaults: JSON) {
+        create_column(board_id: $boardId, title: $title, column_type: $columnType, description: $description, defaults: $defaults) {
+          id
+          title
+          type
+          description
+        }
+      }
+    `;
+
+    const response = await this.query(mutation, {
+      boardId: boardId.toString(),
+      title,
+      columnType,
+      description: options.description || null,
+      defaults: options.defaults ? JSON.stringify(options.defaults) : null
+    });
+    await this.invalidateBoardSchema(boardId);
+    return response;
+  }
+
+  /**
+   * Change a column's title or description
+   * @param {string|number} boardId - Board ID
+   * @param {string} columnId - Column ID
+   * @param {string} property - 'title' or 'description'
+   * @param {string} value - New value
+   * @returns {Promise<Object>} Updated column (id, title, description)
+   */
+  async changeColumnMetadata(boardId, columnId, property, value) {
+    const mutation = `
+      mutation ChangeColumnMetadata($boardId: ID!, $columnId: String!, $property: ColumnProperty!, $value: String!) {
+        change_column_metadata(board_id: $boardId, column_id: $columnId, column_property: $property, value: $value) {
+          id
+          title
+          description
+        }
+      }
+    `;
+
+    const response = await this.query(mutation, {
+      boardId: boardId.toString(),
+      columnId,
+      property,
+      value
+    });
+    await this.invalidateBoardSchema(boardId);
+    return response;
+  }
+
+  /**
+   * Iterates over the items of a board, following items_page / next_items_page cursors
+   * @param {string|number} boardId - Board ID
+   * @param {Object} options - Iteration options
+   * @param {number} [options.limit=100] - Page size (Monday allows up to 500)
+   * @param {Object} [options.queryParams] - items_page query_params ({ rules, operator, order_by })
+   * @param {string[]} [options.columnIds] - Column IDs to return (all columns when omitted)
+   * @yields {Object} Item with id, name, group and column_values
+   */
+  async *iterateItems(boardId, options = {}) {
+    const limit = Math.min(options.limit || 100, 500);
+    const columnIds = options.columnIds || null;
+    const itemFields = `
+      id
+      name
+      group { id title }
+      column_values${columnIds ? '(ids: $columnIds)' : ''} {
+        id
+        type
+        text
+        value
+      }
+    `;
+    const columnIdsDefinition = columnIds ? ', $columnIds: [String!]' : '';
+
+    const firstPageQuery = `
+      query GetItemsPage($boardId: ID!, $limit: Int!, $queryParams: ItemsQuery${columnIdsDefinition}) {
+        boards(ids: [$boardId]) {
+          items_page(limit: $limit, query_params: $queryParams) {
+            cursor
+            items { ${itemFields} }
+          }
+        }
+      }
+    `;
+
+    const nextPageQuery = `
+      query GetNextItemsPage($cursor: String!, $limit: Int!${columnIdsDefinition}) {
+        next_items_page(cursor: $cursor, limit: $limit) {
+          cursor
+          items { ${itemFields} }
+        }
+      }
+    `;
+
+    const variables = { boardId: boardId.toString(), limit, queryParams: options.queryParams || null };
+    if (columnIds) {
+      variables.columnIds = columnIds;
+    }
+
+    const firstResponse = await this.query(firstPageQuery, variables);
+    let page = firstResponse.data?.boards?.[0]?.items_page;
+
+    while (page) {
+      for (const item of page.items || []) {
+        yield item;
+      }
+
+      if (!page.cursor) {
+        break;
+      }
+
+      const nextVariables = { cursor: page.cursor, limit };
+      if (columnIds) {
+        nextVariables.columnIds = columnIds;
+      }
+
+      const nextResponse = await this.query(nextPageQuery, nextVariables);
+      page = nextResponse.data?.next_items_page;
+    }
+  }
+
+  /**
+   * Collects the items of a board into an array
+   * @param {string|number} boardId - Board ID
+   * @param {Object} options - Same options as iterateItems, plus maxItems
+   * @param {number} [options.maxItems] - Stop after this many items
+   * @returns {Promise<Array>} Items
+   */
+  async getItems(boardId, options = {}) {
+    const items = [];
+
+    for await (const item of this.iterateItems(boardId, options)) {
+      items.push(item);
+      if (options.maxItems && items.length >= options.maxItems) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Get a single item with its column values
+   * @param {string|number} itemId - Item ID
+   * @param {string[]} columnIds - Column IDs to return (all columns when omitted)
+   * @returns {Promise<Object|null>} Item with id, name, board and column_values, or null if not found
+   */
+  async getItem(itemId, columnIds = null) {
+    const query = `
+      query GetItem($itemId: ID!${columnIds ? ', $columnIds: [String!]' : ''}) {
+        items(ids: [$itemId]) {
+          id
+          name
+          board { id }
+          column_values${columnIds ? '(ids: $columnIds)' : ''} {
+            id
+            type
+            text
+            value
+          }
+        }
+      }
+    `;
+
+    const variables = { itemId: itemId.toString() };
+    if (columnIds) {
+      variables.columnIds = columnIds;
+    }
+
+    const response = await this.query(query, variables);
+    return response.data?.items?.[0] || null;
+  }
+
+  /**
+   * Create a subitem under a parent item
+   * @param {string|number} parentItemId - Parent item ID
+   * @param {string} itemName - Subitem name
+   * @param {Object} columnValues - Column values object (subitem board column IDs)
+   * @param {boolean} createLabels - Create labels if missing
+   * @returns {Promise<Object>} Created subitem (id, name, board)
+   */
+  async createSubitem(parentItemId, itemName, columnValues = {}, createLabels = true) {
+    const mutation = `
+      mutation CreateSubitem($parentItemId: ID!, $itemName: String!, $columnValues: JSON!, $createLabels: Boolean!) {
+        create_subitem(
+          parent_item_id: $parentItemId
+          item_name: $itemName
+          column_values: $columnValues
+          create_labels_if_missing: $createLabels
+        ) {
+          id
+          name
+          board { id }
+        }
+      }
+    `;
+
+    return this.query(mutation, {
+      parentItemId: parentItemId.toString(),
+      itemName,
+      columnValues: JSON.stringify(columnValues),
+      createLabels
+    });
+  }
+
+  /**
+   * List the subitems of an item with their column values
+   * @param {string|number} parentItemId - Parent item ID
+   * @returns {Promise<Array>} Subitems with id, name, board and column_values
+   */
+  async getSubitems(parentItemId) {
+    const query = `
+      query GetSubitems($itemId: ID!) {
+        items(ids: [$itemId]) {
+          subitems {
+            id
+            name
+            board { id }
+            column_values {
+              id
+              type
+              text
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await this.query(query, { itemId: parentItemId.toString() });
+    return response.data?.items?.[0]?.subitems || [];
+  }
+
+  /**
+   * Update a subitem's column values
+   * @param {string|number} subitemId - Subitem ID
+   * @param {string|number} subitemBoardId - Subitem board ID
+   * @param {Object} columnValues - Column values object
+   * @param {boolean} createLabels - Create labels if missing
+   * @returns {Promise<Object>} Updated subitem
+   */
+  async updateSubitem(subitemId, subitemBoardId, columnValues, createLabels = false) {
+    return this.updateItem(subitemId, subitemBoardId, columnValues, createLabels);
+  }
+
+  /**
+   * Delete an item (or subitem)
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Object>} Deleted item id
+   */
+  async deleteItem(itemId) {
+    const mutation = `
+      mutation DeleteItem($itemId: ID!) {
+        delete_item(item_id: $itemId) {
+          id
+        }
+      }
+    `;
+
+    return this.query(mutation, { itemId: itemId.toString() });
+  }
+
+  /**
+   * Finds the subitem board of a board from its subtasks column settings
+   * @param {string|number} boardId - Parent board ID
+   * @returns {Promise<string|null>} Subitem board ID, or null if the board has no subitems yet
+   */
+  async getSubitemBoardId(boardId) {
+    const columns = await this.getBoardColumns(boardId);
+    const subtasksColumn = columns.find(column => column.type === 'subtasks');
+    if (!subtasksColumn || !subtasksColumn.settings_str) {
+      return null;
+    }
+
+    try {
+      const settings = JSON.parse(subtasksColumn.settings_str);
+      return settings.boardIds?.[0] ? settings.boardIds[0].toString() : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Upload a file to a file column
+   * @param {string|number} itemId - Item ID
+   * @param {string} columnId - File column ID
+   * @param {Buffer|string|Blob|ReadableStream} data - File content
+   * @param {string} filename - File name
+   * @param {string} contentType - MIME type (optional)
+   * @returns {Promise<Object>} Created asset (id, name, url)
+   */
+  async addFileToColumn(itemId, columnId, data, filename, contentType = 'application/octet-stream') {
+    const mutation = `
+      mutation AddFileToColumn($itemId: ID!, $columnId: String!, $file: File!) {
+        add_file_to_column(item_id: $itemId, column_id: $columnId, file: $file) {
+          id
+          name
+          url
+        }
+      }
+    `;
+
+    return this.query(mutation, {
+      itemId: itemId.toString(),
+      columnId
+    }, {
+      files: { file: { data, filename, contentType } }
+    });
+  }
+
+  /**
+   * Attach a file to an update
+   * @param {string|number} updateId - Update ID
+   * @param {Buffer|string|Blob|ReadableStream} data - File content
+   * @param {string} filename - File name
+   * @param {string} contentType - MIME type (optional)
+   * @returns {Promise<Object>} Created asset (id, name, url)
+   */
+  async addFileToUpdate(updateId, data, filename, contentType = 'application/octet-stream') {
+    const mutation = `
+      mutation AddFileToUpdate($updateId: ID!, $file: File!) {
+        add_file_to_update(update_id: $updateId, file: $file) {
+          id
+          name
+          url
+        }
+      }
+    `;
+
+    return this.query(mutation, {
+      updateId: updateId.toString()
+    }, {
+      files: { file: { data, filename, contentType } }
+    });
+  }
+
+  /**
+   * Post an update (comment) on an item
+   * @param {string|number} itemId - Item ID
+   * @param {string} body - Update body (HTML allowed)
+   * @returns {Promise<Object>} Created update (id, body, created_at)
+   */
+  async createUpdate(itemId, body) {
+    const mutation = `
+      mutation CreateUpdate($itemId: ID!, $body: String!) {
+        create_update(item_id: $itemId, body: $body) {
+          id
+          body
+          created_at
+        }
+      }
+    `;
+
+    return this.query(mutation, { itemId: itemId.toString(), body });
+  }
+
+  /**
+   * Reply to an existing update
+   * @param {string|number} updateId - Parent update ID
+   * @param {string} body - Reply body (HTML allowed)
+   * @returns {Promise<Object>} Created reply (id, body, created_at)
+   */
+  async replyToUpdate(updateId, body) {
+    const mutation = `
+      mutation ReplyToUpdate($parentId: ID!, $body: String!) {
+        create_update(parent_id: $parentId, body: $body) {
+          id
+          body
+          created_at
+        }
+      }
+    `;
+
+    return this.query(mutation, { parentId: updateId.toString(), body });
+  }
+
+  /**
+   * Finds items whose column matches one of the given values (items_page_by_column_values)
+   * @param {string|number} boardId - Board ID
+   * @param {string} columnId - Column ID to match on
+   * @param {Array<string>} values - Values to match (compared against the column text)
+   * @param {Object} options - Search options
+   * @param {number} [options.limit=25] - Maximum number of items to return
+   * @param {Array<string>} [options.columnIds] - Also fetch these column values for each item
+   * @returns {Promise<Array>} Matching items with id and name (and column_values when columnIds is set)
+   */
+  async findItemsByColumnValues(boardId, columnId, values, options = {}) {
+    const columnIds = options.columnIds || null;
+    const query = `
+      query FindItemsByColumnValues($boardId: ID!, $columns: [ItemsPageByColumnValuesQuery!], $limit: Int!${columnIds ? ', $columnIds: [String!]' : ''}) {
+        items_page_by_column_values(board_id: $boardId, columns: $columns, limit: $limit) {
+          cursor
+          items {
+            id
+            name${columnIds ? `
+            column_values(ids: $columnIds) {
+              id
+              type
+              text
+              value
+            }` : ''}
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      boardId: boardId.toString(),
+      columns: [{ column_id: columnId, column_values: values.map(value => value.toString()) }],
+      limit: options.limit || 25
+    };
+    if (columnIds) {
+      variables.columnIds = columnIds;
+    }
+
+    const response = await this.query(query, variables);
+
+    return response.data?.items_page_by_column_values?.items || [];
+  }
+
+  /**
+   * Update retry configuration
+   * @param {RetryConfig} newConfig - New retry configuration
+   */
+  setRetryConfig(newConfig) {
+    this.retryConfig = newConfig;
+  }
+}
+
+/**
+ * Monday.com column sanitization functions
+ * Simple and straightforward approach
+ */
+function sanitizeText(value) {
+  if (value === null || value === undefined) return null;
+  return value.toString().trim();
+}
+
+function sanitizeEmail(value) {
+  if (value === null || value === undefined) return null;
+  if (!value || typeof value !== 'string') return { email: '', text: '' };
+  
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const sanitizedEmail = value.trim().toLowerCase();
   
   return {
     email: emailRegex.test(sanitizedEmail) ? sanitizedEmail : '',
@@ -348,392 +1915,3177 @@ function sanitizeEmail(value) {
   };
 }
 
-function sanitizePhone(value) {
-  if (value === null || value === undefined) return null;
-  if (!value) return { phone: '', countryShortName: 'US' };
-  
-  // Remove all non-digit characters
-  const digitsOnly = value.toString().replace(/\D/g, '');
-  
-  return {
-    phone: digitsOnly,
-    countryShortName: 'US'
-  };
-}
+function sanitizePhone(value) {
+  if (value === null || value === undefined) return null;
+  if (!value) return { phone: '', countryShortName: 'US' };
+  
+  // Remove all non-digit characters
+  const digitsOnly = value.toString().replace(/\D/g, '');
+  
+  return {
+    phone: digitsOnly,
+    countryShortName: 'US'
+  };
+}
+
+const numberSeparators = new Map();
+
+/**
+ * Decimal and grouping separators of a locale ('fr-CA' → { decimal: ',', group: ' ' })
+ * @param {string} locale - BCP 47 locale
+ * @returns {Object} { decimal, group }
+ */
+function getNumberSeparators(locale) {
+  if (!numberSeparators.has(locale)) {
+    const separators = { decimal: '.', group: ',' };
+    new Intl.NumberFormat(locale).formatToParts(12345.6).forEach(part => {
+      if (part.type === 'decimal') separators.decimal = part.value;
+      if (part.type === 'group') separators.group = /\s/.test(part.value) ? ' ' : part.value;
+    });
+    numberSeparators.set(locale, separators);
+  }
+  return numberSeparators.get(locale);
+}
+
+function createNumberError(value, reason, options) {
+  const error = new MondayColumnValueError(`Value "${value}" is not a number: ${reason}`, {
+    code: 'INVALID_NUMBER',
+    errorCode: 'INVALID_NUMBER'
+  });
+  error.columnId = options.columnId || null;
+  error.value = value;
+  return error;
+}
+
+// Currency symbols with their optional country prefix/suffix ('CA$', '$ CA', 'US$'), and ISO codes
+const CURRENCY_PATTERN = /(?:\b(?:CA|US|AU|NZ|HK|C|A)\s?)?\p{Sc}(?:\s?(?:CA|US|AU|NZ|HK)\b)?|\b(?:CAD|USD|EUR|GBP|CHF|AUD|JPY)\b/gu;
+
+/**
+ * Monday numbers payload from a number or a formatted amount
+ *
+ * Understands currency symbols and codes, space/apostrophe/locale grouping, a comma or dot decimal
+ * separator, accounting negatives ('(250.00)', '250.00-') and percentages. Without a locale the
+ * separators are guessed: the last of '.' and ',' is the decimal separator, a separator repeated or
+ * followed by exactly three digits ('1,234') is grouping for ',' and decimal for '.'.
+ * @param {any} value - Value to convert
+ * @param {Object} [options] - Sanitizer context:
+ * @param {string} [options.locale] - Locale of the source text ('fr', 'en-CA', ...), resolves ambiguous separators
+ * @param {boolean} [options.strict=false] - Throw instead of guessing (ambiguous separators, stray characters,
+ *   bad grouping); empty values still give null. Outside strict mode, trailing unit text is dropped and
+ *   text before or between the digits gives null with a warning
+ * @param {Object} [options.logger] - Logger for those warnings (console warnings by default)
+ * @param {string} [options.percent='value'] - '15 %' gives 15 ('value') or 0.15 ('ratio')
+ * @returns {number|null} Number, null when the value holds none
+ * @throws {MondayColumnValueError} In strict mode, with code INVALID_NUMBER
+ */
+function sanitizeNumbers(value, options = {}) {
+  if (value === null || value === undefined) return null;
+  if (value === '') return null;
+
+  const fail = reason => {
+    if (options.strict) throw createNumberError(value, reason, options);
+    return null;
+  };
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : fail('not a finite number');
+  }
+
+  // Handle null, undefined, or non-convertible objects
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return fail('unsupported value type');
+  }
+
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  // Sign: leading minus, trailing minus or accounting parentheses
+  let isNegative = false;
+  const parenthesized = text.match(/^\((.*)\)$/);
+  if (parenthesized) {
+    isNegative = true;
+    text = parenthesized[1].trim();
+  }
+
+  const isPercent = /%$|^%/.test(text);
+  text = text.replace(/^%|%$/g, '').replace(CURRENCY_PATTERN, '').replace(/[\s'’]/g, '');
+
+  const signed = text.match(/^([-−+])(.*)$/) || text.match(/^(.*?)([-−])$/);
+  if (signed) {
+    if (parenthesized) return fail('both parentheses and a sign');
+    const sign = /^[-−+]$/.test(signed[1]) ? signed[1] : signed[2];
+    isNegative = sign !== '+';
+    text = /^[-−+]$/.test(signed[1]) ? signed[2] : signed[1];
+  }
+
+  if (!/\d/.test(text)) return fail('no digits');
+  if (/[^\d.,]/.test(text)) {
+    if (options.strict) return fail('unexpected characters');
+    // Only trailing unit text ('12 kg', '5 pcs') is dropped: text before or between digits ('abc123',
+    // '1e5', '5-3') is not guessed at
+    const unitless = text.replace(/(\d)[^\d.,]+$/, '$1');
+    if (/[^\d.,]/.test(unitless)) {
+      (options.logger || defaultLogger).warn(`Value "${value}" is not a number: unexpected characters`, {
+        columnId: options.columnId || null,
+        operation: 'sanitizeNumbers'
+      });
+      return null;
+    }
+    text = unitless;
+  }
+
+  // Work out the decimal separator
+  const separators = options.locale ? getNumberSeparators(options.locale) : null;
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimal = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+    if (separators && separators.decimal !== decimal) {
+      if (options.strict) return fail(`"${decimal}" used as decimal separator, expected "${separators.decimal}"`);
+    }
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const count = text.split(separator).length - 1;
+    // A leading group starting with 0 ('0,500', '012,345') is never a thousands group
+    const looksGrouped = /^[1-9]\d{0,2}$/.test(text.split(separator)[0]) &&
+      text.split(separator).slice(1).every(group => group.length === 3);
+
+    if (count > 1) {
+      if (!looksGrouped) return fail(`"${separator}" repeated but not used as a thousands separator`);
+      decimal = null;
+    } else if (separators) {
+      if (separator === separators.decimal) {
+        decimal = separator;
+      } else if (looksGrouped) {
+        decimal = null;
+      } else {
+        if (options.strict) return fail(`"${separator}" is not the decimal separator for ${options.locale}`);
+        decimal = separator;
+      }
+    } else if (looksGrouped) {
+      if (options.strict) return fail(`"${separator}" could be a decimal or a thousands separator, set a locale`);
+      decimal = separator === ',' ? null : separator;
+    } else {
+      decimal = separator;
+    }
+  }
+
+  let [integerPart, fractionPart = ''] = decimal ? [text.slice(0, text.lastIndexOf(decimal)), text.slice(text.lastIndexOf(decimal) + 1)] : [text];
+  if (/[.,]/.test(fractionPart)) return fail('separator after the decimal separator');
+  if (/[.,]/.test(integerPart) && options.strict && !/^\d{1,3}([.,]\d{3})*$/.test(integerPart)) {
+    return fail('thousands separators do not group by three digits');
+  }
+  integerPart = integerPart.replace(/[.,]/g, '');
+
+  let numValue = Number(`${integerPart || '0'}.${fractionPart || '0'}`);
+  if (isNaN(numValue)) return fail('unreadable');
+
+  if (isPercent && options.percent === 'ratio') {
+    numValue = Number((numValue / 100).toPrecision(15));
+  }
+
+  // Apply negative sign if original value was negative
+  return isNegative && numValue !== 0 ? -numValue : numValue;
+}
+
+const timeZoneFormatters = new Map();
+
+function getTimeZoneFormatter(timeZone) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour12: false,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return timeZoneFormatters.get(timeZone);
+}
+
+/**
+ * Wall clock fields of an instant in a timezone
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA timezone (e.g. 'America/Montreal')
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedFields(timestamp, timeZone) {
+  const fields = {};
+  getTimeZoneFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+    if (part.type !== 'literal') fields[part.type] = Number(part.value);
+  });
+  return {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hour: fields.hour % 24, // Some ICU versions print midnight as 24
+    minute: fields.minute,
+    second: fields.second
+  };
+}
+
+/**
+ * Converts wall clock date parts to a UTC timestamp
+ * @param {Object} parts - From parseDateParts
+ * @param {string} [timeZone] - Source timezone for parts without a written offset (defaults to UTC)
+ * @returns {number} Milliseconds since epoch
+ */
+function toUtcTimestamp(parts, timeZone) {
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  if (parts.offset !== null) return wall - parts.offset * 60000;
+  if (!timeZone || timeZone === 'UTC') return wall;
+
+  // The offset depends on the instant; recompute once so DST transitions land on the right side
+  const offsetAt = timestamp => {
+    const fields = getZonedFields(timestamp, timeZone);
+    const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+  };
+  const offset = offsetAt(wall);
+  const corrected = offsetAt(wall - offset * 60000);
+  return wall - corrected * 60000;
+}
+
+function isValidDateParts(parts) {
+  const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+  return parts.month >= 1 && parts.month <= 12 && parts.day >= 1 && parts.day <= daysInMonth &&
+    parts.hour <= 23 && parts.minute <= 59 && parts.second <= 59;
+}
+
+function toDateParts(year, month, day, hour, minute, second, offset = null) {
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    offset
+  };
+  parts.hasTime = hour !== undefined && hour !== null && hour !== '';
+  return isValidDateParts(parts) ? parts : null;
+}
+
+const DATE_FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+
+/**
+ * Checks that a date format names a full date (year, month and day)
+ * @param {string} format - Pattern with YYYY, YY, MM, M, DD, D, HH, H, mm and ss tokens
+ * @returns {string} The format, unchanged
+ * @throws {Error} If the format is not a string or lacks the year, month or day
+ */
+function validateDateFormat(format) {
+  const tokens = typeof format === 'string' ? format.match(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g) || [] : [];
+  const missing = [['year', ['YYYY', 'YY']], ['month', ['MM', 'M']], ['day', ['DD', 'D']]]
+    .filter(([, names]) => !names.some(name => tokens.includes(name)))
+    .map(([part]) => part);
+  if (typeof format !== 'string' || missing.length > 0) {
+    throw new Error(`Invalid date_format "${format}": ${typeof format !== 'string' ? 'expected a string' : `no ${missing.join(', ')} token`}`);
+  }
+  return format;
+}
+
+/**
+ * Reads a date written in an explicit format such as 'DD/MM/YYYY' or 'MM-DD-YY HH:mm'
+ * A time after the date is accepted even when the format has none.
+ * @param {string} text - Date text
+ * @param {string} format - Pattern with YYYY, YY, MM, M, DD, D, HH, H, mm and ss tokens
+ * @returns {Object|null} Date parts, null when the text does not match
+ * @throws {Error} If the format lacks the year, month or day (see validateDateFormat)
+ */
+function parseDateWithFormat(text, format) {
+  validateDateFormat(format);
+  const tokens = [];
+  let pattern = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, token => {
+    tokens.push(token);
+    return DATE_FORMAT_TOKENS[token];
+  });
+  if (!tokens.includes('HH') && !tokens.includes('H')) {
+    pattern += '(?:[ T]+(\\d{1,2})[:hH](\\d{2})(?::(\\d{2}))?)?';
+    tokens.push('HH', 'mm', 'ss');
+  }
+
+  const match = text.match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  const fields = {};
+  tokens.forEach((token, index) => {
+    if (match[index + 1] !== undefined) fields[token.charAt(0)] = match[index + 1];
+  });
+  const year = fields.Y.length === 2 ? 2000 + Number(fields.Y) : fields.Y;
+  return toDateParts(year, fields.M, fields.D, fields.H, fields.m, fields.s);
+}
+
+/**
+ * Reads a date into its written fields, without any timezone conversion
+ *
+ * Strings are tried against options.dateFormat, then ISO 8601 ('2024-03-05', '2024-03-05T14:30',
+ * '2024-03-05T14:30:00-05:00'), then the Date constructor. Date objects and timestamps are read as
+ * wall clock time in options.timezone (UTC by default).
+ * @param {string|Date|number|Object} value - Date, or Monday's { date, time }
+ * @param {Object} [options] - { timezone, dateFormat } where dateFormat is a pattern or a list of patterns
+ * @returns {Object|null} { year, month, day, hour, minute, second, hasTime, offset } where offset is the
+ *   UTC offset in minutes written in the value, or null for wall clock time in the source timezone
+ */
+function parseDateParts(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date || typeof value === 'number') {
+    const timestamp = new Date(value).getTime();
+    if (isNaN(timestamp)) return null;
+    const fields = getZonedFields(timestamp, options.timezone || 'UTC');
+    const parts = { ...fields, offset: null };
+    parts.hasTime = Boolean(fields.hour || fields.minute || fields.second);
+    return parts;
+  }
+
+  if (typeof value === 'object') {
+    if (!value.date) return null;
+    const day = parseDateParts(value.date, options);
+    if (!day || !value.time) return day;
+    const time = `${value.time}`.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    return time ? toDateParts(day.year, day.month, day.day, time[1], time[2], time[3]) : null;
+  }
+
+  const text = `${value}`.trim();
+  const formats = [].concat(options.dateFormat || []);
+  for (const format of formats) {
+    const parts = parseDateWithFormat(text, format);
+    if (parts) return parts;
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (iso) {
+    let offset = null;
+    if (iso[7]) {
+      const zone = iso[7].toUpperCase().replace(':', '');
+      offset = zone === 'Z' ? 0 : (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(3, 5)));
+    }
+    return toDateParts(iso[1], iso[2], iso[3], iso[4], iso[5], iso[6], offset);
+  }
+  if (formats.length) return null;
+
+  // Anything else (e.g. 'March 5, 2024'): the Date constructor reads it as local time, keep its fields
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  const hasTime = Boolean(date.getHours() || date.getMinutes() || date.getSeconds());
+  return toDateParts(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+    hasTime ? date.getHours() : undefined, date.getMinutes(), date.getSeconds());
+}
+
+function formatDay(parts) {
+  const pad = number => `${number}`.padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Splits a date range written as text ('2024-03-01 - 2024-03-15', '01/03/2024 au 15/03/2024',
+ * '2024-03-01/2024-03-15') into its two ends
+ * @param {string} text - Range text
+ * @returns {Array<string>|null} [from, to], null when the text is not a range
+ */
+function splitDateRange(text) {
+  const isoInterval = text.match(/^(\d{4}-\d{2}-\d{2}\S*)\/(\d{4}-\d{2}-\d{2}\S*)$/);
+  if (isoInterval) return [isoInterval[1], isoInterval[2]];
+
+  const ends = text.split(/\s+(?:-|–|—|→|to|au|à)\s+|\s*\.\.\s*/i);
+  return ends.length === 2 ? ends : null;
+}
+
+/**
+ * Reads the ends of a date range: [from, to], { from, to }, { start, end }, { startDate, endDate } or text
+ * @param {any} value - Range
+ * @returns {Array|null} [from, to] (to may be undefined), null when the value is not a range
+ */
+function toDateRange(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return splitDateRange(value.trim());
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return [value.from ?? value.start ?? value.startDate, value.to ?? value.end ?? value.endDate];
+  }
+  return null;
+}
+
+/**
+ * Monday date payload
+ * Date-only values keep their calendar day. Values with a time are converted from the source timezone
+ * (context.timezone, UTC by default, or the offset written in the value) to UTC as Monday expects.
+ * @param {any} value - Date string, Date, timestamp or { date, time }
+ * @param {Object} [options] - Sanitizer context: { timezone, dateFormat }
+ * @returns {Object|null} { date } or { date, time }
+ */
+function sanitizeDate(value, options = {}) {
+  if (value === null || value === undefined) return null;
+  if (!value) return { date: null };
+
+  const parts = parseDateParts(value, options);
+  if (!parts) return { date: null };
+  if (!parts.hasTime) return { date: formatDay(parts) };
+
+  const iso = new Date(toUtcTimestamp(parts, options.timezone)).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+function sanitizeStatus(value) {
+  if (value === null || value === undefined) return null;
+  if (!value) return { label: '' };
+  return { label: value.toString().trim() };
+}
+
+function sanitizeDropdown(value) {
+  if (value === null || value === undefined) return null;
+  if (!value) return { labels: [] };
+  
+  // Handle array of values (multiple selections)
+  if (Array.isArray(value)) {
+    return {
+      labels: value.map(v => v.toString().trim()).filter(v => v !== '')
+    };
+  }
+  
+  // Handle comma-separated string
+  if (typeof value === 'string') {
+    const labels = value.split(',').map(v => v.toString().trim()).filter(v => v !== '');
+    return { labels };
+  }
+  
+  // Single value
+  return { labels: [value.toString().trim()] };
+}
+
+function sanitizeCheckbox(value) {
+  if (value === null || value === undefined) return null;
+  return { checked: Boolean(value) };
+}
+
+function sanitizeLocation(value) {
+  if (value === null || value === undefined) return null;
+  
+  // If already a JSON string, parse it first
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      // If not valid JSON, treat as address string
+      return { address: value };
+    }
+  }
+  
+  // If it's an object with lat/lng, format for Monday
+  if (typeof value === 'object' && (value.lat || value.latitude) && (value.lng || value.longitude)) {
+    return {
+      lat: (value.lat || value.latitude).toString(),
+      lng: (value.lng || value.longitude).toString(),
+      address: value.address || ''
+    };
+  }
+  
+  return null;
+}
+
+function sanitizeBoardRelation(value) {
+  if (value === null || value === undefined) return null;
+  
+  // Monday expects board relations in format: { item_ids: ["123", "456"] } - keep as strings
+  if (value && value.item_ids) {
+    return {
+      item_ids: value.item_ids.map(id => id.toString())
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Calendar day of a value as written, without timezone conversion (used by range columns)
+ * Date objects and timestamps are read in options.timezone (UTC by default).
+ * @param {any} value - Date string, Date, timestamp or { date, time }
+ * @param {Object} [options] - { timezone, dateFormat }
+ * @returns {string|null} YYYY-MM-DD, or null when the value is not a valid date
+ */
+function toDateString(value, options = {}) {
+  const parts = parseDateParts(value, options);
+  return parts ? formatDay(parts) : null;
+}
+
+function toIdList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(v => v !== '');
+  return [value];
+}
+
+function sanitizePeople(value) {
+  if (value === null || value === undefined) return null;
+
+  const personsAndTeams = toIdList(value).map(entry => {
+    if (entry && typeof entry === 'object') {
+      return { id: Number(entry.id), kind: entry.kind || 'person' };
+    }
+    return { id: Number(entry), kind: 'person' };
+  }).filter(entry => !isNaN(entry.id));
+
+  return { personsAndTeams };
+}
+
+function sanitizeTimeline(value, options = {}) {
+  if (value === null || value === undefined) return null;
+
+  const range = toDateRange(value);
+  if (!range) return null;
+
+  const from = toDateString(range[0], options);
+  const to = toDateString(range[1], options) || from;
+  if (!from) return null;
+
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+function sanitizeHour(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    // Read in the source timezone, UTC by default like sanitizeDate
+    if (isNaN(value.getTime())) return null;
+    const fields = getZonedFields(value.getTime(), options.timezone || 'UTC');
+    return { hour: fields.hour, minute: fields.minute };
+  }
+  if (typeof value === 'object') {
+    return { hour: Number(value.hour) || 0, minute: Number(value.minute) || 0 };
+  }
+
+  const match = value.toString().trim().match(/^(\d{1,2})(?:[:hH](\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute };
+}
+
+function sanitizeLink(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') {
+    if (!value.url) return null;
+    return { url: value.url.toString().trim(), text: (value.text || value.url).toString().trim() };
+  }
+
+  const url = value.toString().trim();
+  if (!url) return null;
+  return { url, text: url };
+}
+
+function sanitizeRating(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rating = Math.round(Number(value));
+  if (isNaN(rating)) return null;
+  return { rating: Math.max(0, Math.min(rating, 5)) };
+}
+
+function sanitizeTags(value) {
+  if (value === null || value === undefined) return null;
+  const tagIds = toIdList(value).map(id => Number(id)).filter(id => !isNaN(id));
+  return { tag_ids: tagIds };
+}
+
+function sanitizeCountry(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let countryCode;
+  let countryName;
+  if (typeof value === 'object') {
+    countryCode = value.countryCode || value.code;
+    countryName = value.countryName || value.name;
+  } else {
+    countryCode = value.toString().trim();
+  }
+
+  if (!countryCode || !/^[A-Za-z]{2}$/.test(countryCode)) return null;
+  countryCode = countryCode.toUpperCase();
+
+  if (!countryName) {
+    try {
+      countryName = new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode);
+    } catch (e) {
+      countryName = countryCode;
+    }
+  }
+
+  return { countryCode, countryName };
+}
+
+function sanitizeWeek(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const range = toDateRange(value);
+  if (range && !(typeof value === 'object' && !Array.isArray(value) && value.date)) {
+    const startDate = toDateString(range[0], options);
+    const endDate = toDateString(range[1], options);
+    if (!startDate || !endDate) return null;
+    return { week: { startDate, endDate } };
+  }
+
+  // Any date: use the Monday-Sunday week containing it
+  const day = toDateString(value, options);
+  if (!day) return null;
+  const date = new Date(`${day}T00:00:00Z`);
+  const offset = (date.getUTCDay() + 6) % 7;
+  const start = new Date(date.getTime() - offset * 86400000);
+  const end = new Date(start.getTime() + 6 * 86400000);
+
+  return {
+    week: {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0]
+    }
+  };
+}
+
+function sanitizeWorldClock(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const timezone = typeof value === 'object' ? value.timezone : value.toString().trim();
+  if (!timezone) return null;
+  return { timezone };
+}
+
+function sanitizeColorPicker(value) {
+  if (value === null || value === undefined || value === '') return null;
+  let hex = typeof value === 'object' ? value.hex || value.color?.hex : value.toString().trim();
+  if (!hex) return null;
+  if (!hex.startsWith('#')) hex = `#${hex}`;
+  if (!/^#[0-9A-Fa-f]{6}$/.test(hex)) return null;
+  return { color: { hex: hex.toUpperCase() } };
+}
+
+/**
+ * Column types that cannot be written through column_values
+ */
+const READ_ONLY_COLUMN_TYPES = [
+  'mirror',
+  'formula',
+  'auto_number',
+  'creation_log',
+  'last_updated',
+  'item_id',
+  'button',
+  'subtasks',
+  'file',
+  'progress',
+  'time_tracking',
+  'vote'
+];
+
+/**
+ * Registry of column value sanitizers
+ * Sanitizers are resolved by column id override, then board/type override, then column type.
+ * A sanitizer receives (value, context) where context is { boardId, columnId, columnType, key, settings_str, logger }.
+ */
+class ColumnTypeRegistry {
+  constructor(options = {}) {
+    this.sanitizers = new Map();
+    this.boardOverrides = new Map();
+    this.columnOverrides = new Map();
+    this.readOnlyTypes = new Set(READ_ONLY_COLUMN_TYPES);
+
+    if (options.builtIns !== false) {
+      this.register('text', sanitizeText);
+      this.register('long_text', sanitizeText);
+      this.register('email', sanitizeEmail);
+      this.register('phone', sanitizePhone);
+      this.register('numbers', sanitizeNumbers);
+      this.register('date', sanitizeDate);
+      this.register('status', sanitizeStatus);
+      this.register('color', sanitizeStatus); // Legacy name of the status column
+      this.register('dropdown', sanitizeDropdown);
+      this.register('checkbox', sanitizeCheckbox);
+      this.register('location', sanitizeLocation);
+      this.register('board_relation', sanitizeBoardRelation);
+      this.register('people', sanitizePeople);
+      this.register('timeline', sanitizeTimeline);
+      this.register('hour', sanitizeHour);
+      this.register('link', sanitizeLink);
+      this.register('rating', sanitizeRating);
+      this.register('tags', sanitizeTags);
+      this.register('country', sanitizeCountry);
+      this.register('week', sanitizeWeek);
+      this.register('world_clock', sanitizeWorldClock);
+      this.register('color_picker', sanitizeColorPicker);
+    }
+  }
+
+  /**
+   * Registers (or replaces) the sanitizer for a column type
+   * @param {string} columnType - Monday column type
+   * @param {Function} sanitizer - (value, context) => Monday payload or null
+   * @returns {ColumnTypeRegistry} This registry
+   */
+  register(columnType, sanitizer) {
+    this.sanitizers.set(columnType, sanitizer);
+    this.readOnlyTypes.delete(columnType);
+    return this;
+  }
+
+  /**
+   * Overrides the sanitizer of a column type on one board
+   * @param {string|number} boardId - Board ID
+   * @param {string} columnType - Monday column type
+   * @param {Function} sanitizer - (value, context) => Monday payload or null
+   * @returns {ColumnTypeRegistry} This registry
+   */
+  registerForBoard(boardId, columnType, sanitizer) {
+    this.boardOverrides.set(`${boardId}:${columnType}`, sanitizer);
+    return this;
+  }
+
+  /**
+   * Overrides the sanitizer of a single column
+   * @param {string} columnId - Column ID
+   * @param {Function} sanitizer - (value, context) => Monday payload or null
+   * @param {string|number} [boardId] - Restrict the override to one board
+   * @returns {ColumnTypeRegistry} This registry
+   */
+  registerForColumn(columnId, sanitizer, boardId = null) {
+    this.columnOverrides.set(`${boardId || '*'}:${columnId}`, sanitizer);
+    return this;
+  }
+
+  /**
+   * Finds the sanitizer to use for a column
+   * @param {string} columnType - Monday column type
+   * @param {Object} context - { boardId, columnId }
+   * @returns {Function|null} Sanitizer, or null if none applies
+   */
+  resolve(columnType, context = {}) {
+    const { boardId, columnId } = context;
+
+    if (columnId) {
+      const columnOverride = this.columnOverrides.get(`${boardId}:${columnId}`) || this.columnOverrides.get(`*:${columnId}`);
+      if (columnOverride) return columnOverride;
+    }
+
+    if (boardId && this.boardOverrides.has(`${boardId}:${columnType}`)) {
+      return this.boardOverrides.get(`${boardId}:${columnType}`);
+    }
+
+    return this.sanitizers.get(columnType) || null;
+  }
+
+  /**
+   * @param {string} columnType - Monday column type
+   * @returns {boolean} Whether the column type cannot be written
+   */
+  isReadOnly(columnType) {
+    return this.readOnlyTypes.has(columnType);
+  }
+
+  /**
+   * @param {string} columnType - Monday column type
+   * @returns {boolean} Whether a sanitizer exists for the column type
+   */
+  has(columnType) {
+    return this.sanitizers.has(columnType);
+  }
+}
+
+/**
+ * Monday.com column value parsing functions
+ * Inverse of the sanitizers: turn a column_values entry ({ value, text }) back into a plain value
+ */
+function parseColumnJson(columnValue) {
+  if (!columnValue || columnValue.value === null || columnValue.value === undefined) return null;
+  if (typeof columnValue.value !== 'string') return columnValue.value;
+
+  try {
+    return JSON.parse(columnValue.value);
+  } catch (e) {
+    return columnValue.value;
+  }
+}
+
+function parseText(columnValue) {
+  if (!columnValue) return null;
+  if (columnValue.text !== null && columnValue.text !== undefined) return columnValue.text;
+
+  const parsed = parseColumnJson(columnValue);
+  if (parsed === null) return null;
+  return typeof parsed === 'object' ? parsed.text || null : parsed.toString();
+}
+
+function parseNumbers(columnValue) {
+  const raw = parseColumnJson(columnValue) ?? columnValue?.text;
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  const numValue = Number(raw);
+  return isNaN(numValue) ? null : numValue;
+}
+
+function parseDate(columnValue) {
+  const parsed = parseColumnJson(columnValue);
+  if (!parsed || typeof parsed !== 'object' || !parsed.date) return null;
+  return parsed.time ? `${parsed.date}T${parsed.time}` : parsed.date;
+}
+
+function parseStatus(columnValue) {
+  if (!columnValue || !columnValue.text) return null;
+  return columnValue.text;
+}
+
+function parseDropdown(columnValue) {
+  if (!columnValue || !columnValue.text) return [];
+  return columnValue.text.split(',').map(label => label.trim()).filter(label => label !== '');
+}
+
+function parseEmail(columnValue) {
+  const parsed = parseColumnJson(columnValue);
+  if (parsed && typeof parsed === 'object') return parsed.email || null;
+  return columnValue?.text || null;
+}
+
+function parsePhone(columnValue) {
+  const parsed = parseColumnJson(columnValue);
+  if (parsed && typeof parsed === 'object') return parsed.phone || null;
+  return columnValue?.text || null;
+}
+
+function parseCheckbox(columnValue) {
+  const parsed = parseColumnJson(columnValue);
+  if (!parsed || typeof parsed !== 'object') return false;
+  return parsed.checked === true || parsed.checked === 'true';
+}
+
+function parseLocation(columnValue) {
+  const parsed = parseColumnJson(columnValue);
+  if (!parsed || typeof parsed !== 'object') return null;
+  return {
+    lat: parsed.lat !== undefined ? Number(parsed.lat) : null,
+    lng: parsed.lng !== undefined ? Number(parsed.lng) : null,
+    address: parsed.address || ''
+  };
+}
+
+function parseBoardRelation(columnValue) {
+  if (!columnValue) return [];
+
+  // Newer API versions expose linked_item_ids on BoardRelationValue
+  if (Array.isArray(columnValue.linked_item_ids)) {
+    return columnValue.linked_item_ids.map(id => id.toString());
+  }
+
+  const parsed = parseColumnJson(columnValue);
+  if (!parsed || !Array.isArray(parsed.linkedPulseIds)) return [];
+  return parsed.linkedPulseIds.map(link => link.linkedPulseId.toString());
+}
+
+/**
+ * Parses a Monday column value according to its column type
+ * @param {Object} columnValue - column_values entry ({ id, value, text })
+ * @param {string} columnType - Monday column type
+ * @returns {any} Plain value (label, number, date string, ids, ...)
+ */
+function parseColumnValue(columnValue, columnType) {
+  if (columnType === 'text' || columnType === 'long_text') {
+    return parseText(columnValue);
+  } else if (columnType === 'email') {
+    return parseEmail(columnValue);
+  } else if (columnType === 'phone') {
+    return parsePhone(columnValue);
+  } else if (columnType === 'numbers') {
+    return parseNumbers(columnValue);
+  } else if (columnType === 'date') {
+    return parseDate(columnValue);
+  } else if (columnType === 'status') {
+    return parseStatus(columnValue);
+  } else if (columnType === 'dropdown') {
+    return parseDropdown(columnValue);
+  } else if (columnType === 'checkbox') {
+    return parseCheckbox(columnValue);
+  } else if (columnType === 'location') {
+    return parseLocation(columnValue);
+  } else if (columnType === 'board_relation') {
+    return parseBoardRelation(columnValue);
+  } else {
+    // Unknown type, fall back to the display text
+    return columnValue?.text ?? null;
+  }
+}
+
+/**
+ * Column types whose values are labels defined in the column settings
+ */
+const LABEL_COLUMN_TYPES = ['status', 'color', 'dropdown'];
+
+/**
+ * Reads the labels defined in a status or dropdown column's settings_str
+ * @param {string|Object} settingsStr - Column settings_str
+ * @returns {Array<Object>} Labels as { index, name }
+ */
+function parseColumnLabels(settingsStr) {
+  if (!settingsStr) return [];
+
+  let settings = settingsStr;
+  if (typeof settingsStr === 'string') {
+    try {
+      settings = JSON.parse(settingsStr);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  const labels = settings?.labels;
+  if (!labels) return [];
+
+  // Dropdown: [{ id, name }]
+  if (Array.isArray(labels)) {
+    return labels
+      .filter(label => label && label.name)
+      .map(label => ({ index: Number(label.id), name: label.name }));
+  }
+
+  // Status: { "0": "Working on it", "1": "Done" }
+  return Object.entries(labels)
+    .filter(([, name]) => name !== null && name !== undefined && name !== '')
+    .map(([index, name]) => ({ index: Number(index), name }));
+}
+
+/**
+ * Normalizes a label for comparison
+ * @param {any} label - Label
+ * @param {Object} options - { caseInsensitive, accentInsensitive }
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label, options = {}) {
+  let normalized = label.toString().trim();
+  if (options.accentInsensitive) {
+    normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  if (options.caseInsensitive) {
+    normalized = normalized.toLowerCase();
+  }
+  return normalized;
+}
+
+/**
+ * Finds the existing label matching a value, by name then by index
+ * @param {any} value - Label name or index
+ * @param {Array<Object>} labels - Labels from parseColumnLabels
+ * @param {Object} options - { caseInsensitive, accentInsensitive }
+ * @returns {Object|null} Matching label, or null
+ */
+function findLabel(value, labels, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const target = normalizeLabel(value, options);
+  const byName = labels.find(label => normalizeLabel(label.name, options) === target);
+  if (byName) return byName;
+
+  // Index-based labels: 1 or { index: 1 }
+  const index = typeof value === 'object' ? value.index : value;
+  if (typeof index === 'number' || /^\d+$/.test(`${index}`.trim())) {
+    return labels.find(label => label.index === Number(index)) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Applies a mapping translator to a value (arrays are translated element-wise)
+ * @param {any} value - Value from the external system
+ * @param {Object} translator - { externalValue: mondayValue }
+ * @returns {any} Translated value
+ */
+function translateValue(value, translator) {
+  if (!translator || Object.keys(translator).length === 0) return value;
+  if (Array.isArray(value)) return value.map(entry => translateValue(entry, translator));
+  if (value === null || value === undefined || typeof value === 'object') return value;
+
+  const key = value.toString();
+  return Object.prototype.hasOwnProperty.call(translator, key) ? translator[key] : value;
+}
+
+/**
+ * Reverses a mapping translator (Monday value back to external value)
+ * @param {any} value - Value read from Monday
+ * @param {Object} translator - { externalValue: mondayValue }
+ * @returns {any} External value
+ */
+function untranslateValue(value, translator) {
+  if (!translator || Object.keys(translator).length === 0) return value;
+  if (Array.isArray(value)) return value.map(entry => untranslateValue(entry, translator));
+  if (value === null || value === undefined || typeof value === 'object') return value;
+
+  const match = Object.keys(translator).find(key => translator[key] === value);
+  return match !== undefined ? match : value;
+}
+
+/**
+ * Reduces a column payload (as sent to Monday) to a comparable string
+ * @param {any} payload - Sanitized column value
+ * @param {string} columnType - Monday column type
+ * @returns {string|null} Comparable value
+ */
+function comparablePayload(payload, columnType) {
+  if (payload === null || payload === undefined) return null;
+
+  if (columnType === 'status' || columnType === 'color') {
+    return payload.index !== undefined ? `#${payload.index}` : `${payload.label ?? ''}`;
+  } else if (columnType === 'dropdown') {
+    return (payload.labels || payload.ids || []).map(label => `${label}`).sort().join('|');
+  } else if (columnType === 'board_relation') {
+    return (payload.item_ids || []).map(id => `${id}`).sort().join('|');
+  } else if (columnType === 'date') {
+    return payload.date ? (payload.time ? `${payload.date}T${payload.time}` : payload.date) : null;
+  } else if (columnType === 'email') {
+    return payload.email || null;
+  } else if (columnType === 'phone') {
+    return payload.phone || null;
+  } else if (columnType === 'checkbox') {
+    return `${Boolean(payload.checked)}`;
+  } else if (columnType === 'numbers') {
+    return payload === '' ? null : `${Number(payload)}`;
+  } else if (columnType === 'text' || columnType === 'long_text') {
+    return `${typeof payload === 'object' ? payload.text ?? '' : payload}`.trim() || null;
+  } else if (columnType === 'location') {
+    return `${Number(payload.lat)},${Number(payload.lng)}`;
+  }
+
+  return stableStringify(payload);
+}
+
+/**
+ * Reduces a current column value (as read from Monday) to a comparable string
+ * @param {Object} columnValue - column_values entry ({ value, text })
+ * @param {string} columnType - Monday column type
+ * @returns {string|null} Comparable value
+ */
+function comparableColumnValue(columnValue, columnType) {
+  if (!columnValue || (columnValue.value === null && !columnValue.text)) return null;
+
+  if (columnType === 'status' || columnType === 'color') {
+    return parseStatus(columnValue);
+  } else if (columnType === 'dropdown') {
+    return parseDropdown(columnValue).sort().join('|') || null;
+  } else if (columnType === 'board_relation') {
+    return parseBoardRelation(columnValue).sort().join('|') || null;
+  } else if (columnType === 'date') {
+    return parseDate(columnValue);
+  } else if (columnType === 'email') {
+    return parseEmail(columnValue);
+  } else if (columnType === 'phone') {
+    return parsePhone(columnValue);
+  } else if (columnType === 'checkbox') {
+    return `${parseCheckbox(columnValue)}`;
+  } else if (columnType === 'numbers') {
+    const numValue = parseNumbers(columnValue);
+    return numValue === null ? null : `${numValue}`;
+  } else if (columnType === 'text' || columnType === 'long_text') {
+    return (parseText(columnValue) || '').trim() || null;
+  } else if (columnType === 'location') {
+    const location = parseLocation(columnValue);
+    return location ? `${location.lat},${location.lng}` : null;
+  }
+
+  return stableStringify(parseColumnJson(columnValue));
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ * @param {any} value - Value to serialize
+ * @returns {string} Serialized value
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Compares new column values with an item's current column values
+ * @param {Object} columnValues - New column values by column ID
+ * @param {Object} item - Current item with column_values
+ * @param {Object} columnTypes - Column type by column ID
+ * @returns {Object} Changed columns: { [columnId]: { from, to } } where from is the current display text
+ */
+function diffColumnValues(columnValues, item, columnTypes) {
+  const currentById = new Map((item?.column_values || []).map(columnValue => [columnValue.id, columnValue]));
+  const diff = {};
+
+  for (const [columnId, payload] of Object.entries(columnValues)) {
+    const columnType = columnTypes[columnId];
+    const current = currentById.get(columnId);
+
+    if (comparablePayload(payload, columnType) !== comparableColumnValue(current, columnType)) {
+      diff[columnId] = {
+        from: current ? current.text ?? null : null,
+        to: payload
+      };
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Extracts tags from a column description (format: {tag_name}, {{tag_name}}, or {{{tag_name}}})
+ * @param {string} description - Column description
+ * @returns {Array<string>} Tags
+ */
+function extractColumnTags(description) {
+  const tagMatches = (description || '').match(/\{+([^{}]+)\}+/g) || [];
+
+  // Remove ALL braces from both sides: {{{tag}}} → tag
+  return tagMatches.map(match => match.replace(/^\{+|\}+$/g, ''));
+}
+
+/**
+ * Formats a date with YYYY, MM, DD, HH, mm and ss tokens
+ * Date-only and local ISO strings keep their written fields, anything else is read in UTC.
+ * @param {string|Date} value - Date to format
+ * @param {string} [format='YYYY-MM-DD'] - Output pattern
+ * @returns {string|null} Formatted date, null when the value is not a date
+ */
+function formatDatePattern(value, format = 'YYYY-MM-DD') {
+  const pad = number => `${number}`.padStart(2, '0');
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  let parts;
+
+  if (match) {
+    parts = { YYYY: match[1], MM: match[2], DD: match[3], HH: match[4] || '00', mm: match[5] || '00', ss: match[6] || '00' };
+  } else {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    parts = {
+      YYYY: `${date.getUTCFullYear()}`,
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds())
+    };
+  }
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+function toValueList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Applies a scalar transform to a value or to each entry of a list, missing values pass through
+function mapScalar(transform) {
+  return (value, ...args) => {
+    if (value === undefined || value === null) return value;
+    return Array.isArray(value) ? value.map(entry => transform(entry, ...args)) : transform(value, ...args);
+  };
+}
+
+/**
+ * Built-in remote_key transforms, used as `expression | name` or `expression | name:arg:arg`
+ * Each transform receives the current value followed by the literal arguments.
+ * Add your own with the mapper's `transforms` option or a mapping entry's `transforms`.
+ */
+const REMOTE_KEY_TRANSFORMS = {
+  sum: value => isMissing(value) ? value : toValueList(value).reduce((total, entry) => total + (Number(entry) || 0), 0),
+  min: value => {
+    if (isMissing(value)) return value;
+    const numbers = toValueList(value).map(Number).filter(entry => !isNaN(entry));
+    return numbers.length > 0 ? Math.min(...numbers) : undefined;
+  },
+  max: value => {
+    if (isMissing(value)) return value;
+    const numbers = toValueList(value).map(Number).filter(entry => !isNaN(entry));
+    return numbers.length > 0 ? Math.max(...numbers) : undefined;
+  },
+  count: value => toValueList(value).length,
+  first: value => Array.isArray(value) ? value[0] : value,
+  last: value => Array.isArray(value) ? value[value.length - 1] : value,
+  unique: value => Array.isArray(value) ? [...new Set(value)] : value,
+  join: (value, separator = ', ') => isMissing(value)
+    ? value
+    : toValueList(value).filter(entry => entry !== null && entry !== undefined && entry !== '').join(separator),
+  upper: mapScalar(entry => `${entry}`.toUpperCase()),
+  lower: mapScalar(entry => `${entry}`.toLowerCase()),
+  trim: mapScalar(entry => `${entry}`.trim()),
+  number: mapScalar(entry => Number(entry)),
+  round: mapScalar((entry, digits = 0) => Number(Number(entry).toFixed(digits))),
+  date: mapScalar((entry, format) => formatDatePattern(entry, format)),
+  default: (value, fallback = null) => isMissing(value) || value === '' ? fallback : value
+};
+
+/**
+ * Whether a remote_key uses expression characters ([ ] ? | quotes parentheses ${)
+ * @param {string} expression - remote_key
+ * @returns {boolean} True when the key may be an expression
+ */
+function hasRemoteKeySyntax(expression) {
+  return /[[\]?|"'`()]|\$\{/.test(expression);
+}
+
+/**
+ * Whether a remote_key is a plain dot path (read with the historical split('.') lookup)
+ * Keys that only contain expression characters without parsing, e.g. 'Amount (CAD)', stay dot paths.
+ * @param {string} expression - remote_key
+ * @returns {boolean} True when no expression syntax is used or the key does not parse
+ */
+function isPlainRemoteKey(expression) {
+  if (!hasRemoteKeySyntax(expression)) {
+    return true;
+  }
+  try {
+    parseRemoteKey(expression);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+function tokenizeRemoteKey(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+    const twoChars = source.slice(position, position + 2);
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (['??', '==', '!=', '>=', '<='].includes(twoChars)) {
+      tokens.push({ type: 'punct', value: twoChars });
+      position += 2;
+    } else if ('.[]*?|():<>'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      position++;
+    } else if (char === '"' || char === "'" || char === '`') {
+      let end = position + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (end >= source.length) throw new Error('Unterminated string');
+      const value = source.slice(position + 1, end).replace(/\\(.)/g, '$1');
+      tokens.push({ type: 'string', value, template: char !== "'" });
+      position = end + 1;
+    } else if (/[-0-9]/.test(char)) {
+      const match = source.slice(position).match(/^-?\d+(\.\d+)?/);
+      if (!match) throw new Error(`Unexpected character "${char}"`);
+      tokens.push({ type: 'number', value: Number(match[0]), raw: match[0] });
+      position += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(position).match(/^[A-Za-z_$][\w$-]*/);
+      tokens.push({ type: 'name', value: match[0] });
+      position += match[0].length;
+    } else {
+      throw new Error(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for remote_key expressions:
+ *   expression := fallback ('|' name (':' literal)*)*
+ *   fallback   := primary ('??' primary)*
+ *   primary    := '(' expression ')' | string | number | path
+ *   path       := name ('.' name | '[' (index | '*' | '?' test) ']')*
+ */
+class RemoteKeyParser {
+  constructor(source) {
+    this.tokens = tokenizeRemoteKey(source);
+    this.position = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return Boolean(token) && token.type === 'punct' && token.value === value;
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) throw new Error('Unexpected end of expression');
+    return token;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'punct' || token.value !== value) throw new Error(`Expected "${value}", found "${token.value}"`);
+    return token;
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.tokens[this.position].value}"`);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    const input = this.parseFallback();
+    const transforms = [];
+
+    while (this.peek('|')) {
+      this.expect('|');
+      const name = this.next();
+      if (name.type !== 'name') throw new Error(`Expected a transform name, found "${name.value}"`);
+      const args = [];
+      while (this.peek(':')) {
+        this.expect(':');
+        args.push(this.parseLiteral());
+      }
+      transforms.push({ name: name.value, args });
+    }
+
+    return transforms.length ? { type: 'pipe', input, transforms } : input;
+  }
+
+  parseFallback() {
+    const options = [this.parsePrimary()];
+    while (this.peek('??')) {
+      this.expect('??');
+      options.push(this.parsePrimary());
+    }
+    return options.length > 1 ? { type: 'fallback', options } : options[0];
+  }
+
+  parsePrimary() {
+    if (this.peek('(')) {
+      this.expect('(');
+      const node = this.parseExpression();
+      this.expect(')');
+      return node;
+    }
+
+    const token = this.tokens[this.position];
+    if (token?.type === 'string') {
+      this.position++;
+      return token.template && token.value.includes('${') ? parseTemplate(token.value) : { type: 'literal', value: token.value };
+    }
+    if (token?.type === 'number') {
+      this.position++;
+      return { type: 'literal', value: token.value };
+    }
+
+    return this.parsePath();
+  }
+
+  parseLiteral() {
+    const token = this.next();
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'name' && ['true', 'false', 'null'].includes(token.value)) return JSON.parse(token.value);
+    throw new Error(`Expected a literal, found "${token.value}"`);
+  }
+
+  parseKey() {
+    const token = this.next();
+    if (token.type === 'name') return token.value;
+    if (token.type === 'number' && /^\d+$/.test(token.raw)) return token.raw;
+    throw new Error(`Expected a key, found "${token.value}"`);
+  }
+
+  parsePath() {
+    const steps = [{ kind: 'key', name: this.parseKey() }];
+
+    while (this.peek('.') || this.peek('[')) {
+      if (this.next().value === '.') {
+        steps.push({ kind: 'key', name: this.parseKey() });
+        continue;
+      }
+
+      const token = this.tokens[this.position];
+      if (this.peek('*')) {
+        this.expect('*');
+        steps.push({ kind: 'wildcard' });
+      } else if (this.peek('?')) {
+        this.expect('?');
+        steps.push({ kind: 'filter', test: this.parseTest() });
+      } else if (token?.type === 'number' && Number.isInteger(token.value)) {
+        this.position++;
+        steps.push({ kind: 'index', index: token.value });
+      } else if (token?.type === 'string') {
+        this.position++;
+        steps.push({ kind: 'key', name: token.value });
+      } else {
+        throw new Error(`Unexpected "${token ? token.value : 'end of expression'}" in brackets`);
+      }
+      this.expect(']');
+    }
+
+    return { type: 'path', steps };
+  }
+
+  parseTest() {
+    const grouped = this.peek('(');
+    if (grouped) this.expect('(');
+
+    const path = this.parsePath();
+    let test = { path, operator: null, value: null };
+    const operator = ['==', '!=', '>=', '<=', '>', '<'].find(candidate => this.peek(candidate));
+    if (operator) {
+      this.expect(operator);
+      test = { path, operator, value: this.parseLiteral() };
+    }
+
+    if (grouped) this.expect(')');
+    return test;
+  }
+}
+
+// Splits "text ${expression} text" into literal and expression parts
+function parseTemplate(source) {
+  const parts = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const start = source.indexOf('${', position);
+    if (start === -1) {
+      parts.push(source.slice(position));
+      break;
+    }
+    if (start > position) parts.push(source.slice(position, start));
+
+    let depth = 1;
+    let end = start + 2;
+    let quote = null;
+    for (; end < source.length && depth > 0; end++) {
+      const char = source[end];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (depth > 0) throw new Error('Unterminated ${ in template');
+
+    parts.push(new RemoteKeyParser(source.slice(start + 2, end - 1)).parse());
+    position = end;
+  }
+
+  return { type: 'template', parts };
+}
+
+const remoteKeyCache = new Map();
+
+/**
+ * Parses a remote_key expression (parsed expressions are cached)
+ * @param {string} expression - remote_key
+ * @returns {Object} Expression tree
+ * @throws {Error} When the expression is malformed
+ */
+function parseRemoteKey(expression) {
+  if (!remoteKeyCache.has(expression)) {
+    try {
+      remoteKeyCache.set(expression, new RemoteKeyParser(expression).parse());
+    } catch (error) {
+      throw new Error(`Invalid remote_key "${expression}": ${error.message}`);
+    }
+  }
+  return remoteKeyCache.get(expression);
+}
+
+/**
+ * Lists the transform names used by a parsed remote_key
+ * @param {Object} node - Expression tree from parseRemoteKey
+ * @returns {Array<string>} Transform names
+ */
+function remoteKeyTransformNames(node) {
+  if (node.type === 'pipe') return [...remoteKeyTransformNames(node.input), ...node.transforms.map(transform => transform.name)];
+  if (node.type === 'fallback') return node.options.flatMap(remoteKeyTransformNames);
+  if (node.type === 'template') return node.parts.filter(part => typeof part !== 'string').flatMap(remoteKeyTransformNames);
+  return [];
+}
+
+function matchesTest(value, test) {
+  const actual = evaluatePath(test.path.steps, value);
+  if (!test.operator) return !isMissing(actual) && actual !== false && actual !== '';
+  if (test.operator === '==') return actual !== undefined && `${actual}` === `${test.value}`;
+  if (test.operator === '!=') return actual === undefined || `${actual}` !== `${test.value}`;
+  if (isMissing(actual)) return false;
+
+  const [left, right] = typeof test.value === 'number' ? [Number(actual), test.value] : [`${actual}`, `${test.value}`];
+  if (test.operator === '>') return left > right;
+  if (test.operator === '<') return left < right;
+  if (test.operator === '>=') return left >= right;
+  return left <= right;
+}
+
+// Walks a path; wildcards and filters switch to list mode, where the remaining steps apply to each match
+function evaluatePath(steps, data) {
+  let values = [data];
+  let multiple = false;
+
+  for (const step of steps) {
+    const next = [];
+
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+
+      if (step.kind === 'key') {
+        if (value[step.name] !== undefined) next.push(value[step.name]);
+      } else if (step.kind === 'index') {
+        const entry = Array.isArray(value) ? value[step.index < 0 ? value.length + step.index : step.index] : undefined;
+        if (entry !== undefined) next.push(entry);
+      } else if (step.kind === 'wildcard') {
+        next.push(...(typeof value === 'object' ? Object.values(value) : []));
+      } else {
+        next.push(...toValueList(value).filter(entry => matchesTest(entry, step.test)));
+      }
+    }
+
+    multiple = multiple || step.kind === 'wildcard' || step.kind === 'filter';
+    values = next;
+  }
+
+  return multiple ? values : values[0];
+}
+
+function evaluateNode(node, data, transforms) {
+  if (node.type === 'literal') return node.value;
+  if (node.type === 'path') return evaluatePath(node.steps, data);
+
+  if (node.type === 'fallback') {
+    let value;
+    for (const option of node.options) {
+      value = evaluateNode(option, data, transforms);
+      if (!isMissing(value)) return value;
+    }
+    return value;
+  }
+
+  if (node.type === 'template') {
+    let resolved = false;
+    const text = node.parts.map(part => {
+      if (typeof part === 'string') return part;
+      const value = evaluateNode(part, data, transforms);
+      if (isMissing(value)) return '';
+      resolved = true;
+      return Array.isArray(value) ? value.join(', ') : `${value}`;
+    }).join('');
+    return resolved ? text : undefined;
+  }
+
+  return node.transforms.reduce((value, transform) => {
+    const transformFn = transforms[transform.name];
+    if (typeof transformFn !== 'function') {
+      throw new Error(`Unknown remote_key transform "${transform.name}"`);
+    }
+    return transformFn(value, ...transform.args);
+  }, evaluateNode(node.input, data, transforms));
+}
+
+/**
+ * Reads a value from external data with a remote_key expression
+ *
+ * Plain dot paths ('CustomerRef.name') behave as before. Expressions add:
+ * - array indexes and wildcards: 'Line[0].Amount', 'Line[-1].Amount', 'Line[*].Amount'
+ * - filters: "Line[?DetailType == 'SalesItemLineDetail'].Amount" (==, !=, >, <, >=, <= or a bare path)
+ * - fallbacks: 'ShipAddr.City ?? BillAddr.City ?? "Unknown"'
+ * - templates: '"${DocNumber} - ${CustomerRef.name}"' (undefined when every placeholder is missing)
+ * - transforms: 'Line[*].Amount | sum', 'TxnDate | date:"DD/MM/YYYY"'
+ * @param {string} expression - remote_key
+ * @param {Object} data - External data
+ * @param {Object} [transforms=REMOTE_KEY_TRANSFORMS] - Transform functions by name
+ * @returns {any} Resolved value, undefined when missing
+ */
+function evaluateRemoteKey(expression, data, transforms = REMOTE_KEY_TRANSFORMS) {
+  if (isPlainRemoteKey(expression)) {
+    return expression.split('.').reduce((current, key) => {
+      return current && current[key] !== undefined ? current[key] : undefined;
+    }, data);
+  }
+
+  return evaluateNode(parseRemoteKey(expression), data, transforms);
+}
+
+/**
+ * Configuration class for dynamic mapping between remote systems and Monday.com
+ * Provides default values and type safety for mapping configurations
+ */
+class MappingConfig {
+  constructor(options = {}) {
+    this.remote_key = options.remote_key || null;
+    this.in_monday = options.in_monday !== undefined ? options.in_monday : true;
+    this.in_remote = options.in_remote !== undefined ? options.in_remote : true;
+    this.value = options.value || null;
+    this.monday_id = options.monday_id || null;
+    this.remote_id = options.remote_id || null;
+    this.translator = options.translator || {};
+
+    // Status/dropdown label handling
+    // label_policy: 'create' (let Monday create unknown labels), 'default' (use default_label) or 'reject'
+    this.label_policy = options.label_policy || 'create';
+    this.default_label = options.default_label || null;
+    this.label_case_insensitive = options.label_case_insensitive || false;
+    this.label_accent_insensitive = options.label_accent_insensitive || false;
+
+    // Board provisioning (MondayDynamicMapper.provisionBoard)
+    this.column_type = options.column_type || null;
+    this.column_title = options.column_title || null;
+    this.labels = options.labels || null;
+
+    // Extra remote_key transforms for this entry, by name (see REMOTE_KEY_TRANSFORMS)
+    this.transforms = options.transforms || null;
+
+    // Date parsing: IANA timezone the remote dates are written in, and explicit formats ('DD/MM/YYYY')
+    this.timezone = options.timezone || null;
+    this.date_format = options.date_format || null;
+    [].concat(this.date_format || []).forEach(validateDateFormat);
+
+    // Number parsing (see sanitizeNumbers): source locale ('fr-CA'), strict mode and percent handling
+    this.locale = options.locale || null;
+    this.strict = options.strict !== undefined ? options.strict : null;
+    this.percent = options.percent || null;
+    
+    // Store any additional config properties
+    const knownKeys = [
+      'remote_key', 'in_monday', 'in_remote', 'value', 'monday_id', 'remote_id', 'translator',
+      'label_policy', 'default_label', 'label_case_insensitive', 'label_accent_insensitive',
+      'column_type', 'column_title', 'labels', 'transforms', 'timezone', 'date_format',
+      'locale', 'strict', 'percent'
+    ];
+    Object.keys(options).forEach(key => {
+      if (!knownKeys.includes(key)) {
+        this[key] = options[key];
+      }
+    });
+  }
+}
+
+/**
+ * Factory function to create mapping configurations with defaults
+ * @param {Object} config - Configuration object
+ * @returns {MappingConfig} Configured mapping instance
+ */
+function createMappingConfig(config = {}) {
+  return new MappingConfig(config);
+}
+
+/**
+ * Monday.com Dynamic Mapping Service
+ * Handles dynamic mapping between external data and Monday.com boards
+ */
+class MondayDynamicMapper {
+  /**
+   * @param {MondayApiClient} mondayApiClient - Monday API client
+   * @param {Object} options - Mapper options
+   * @param {ColumnTypeRegistry} [options.registry] - Column value sanitizers
+   * @param {string} [options.unknownTypePolicy='skip'] - What to do with columns of a type
+   *   the registry does not know: 'skip' (reported as an issue), 'pass' (forward raw value) or 'throw'
+   * @param {Object} [options.logger] - Logger, defaults to the client's
+   * @param {Object} [options.transforms] - Extra remote_key transforms by name, merged over REMOTE_KEY_TRANSFORMS
+   * @param {string} [options.timezone] - Default IANA timezone of remote dates without an offset (UTC otherwise),
+   *   overridden per entry by MappingConfig.timezone
+   * @param {string} [options.locale] - Default locale of formatted remote numbers (MappingConfig.locale overrides it)
+   * @param {boolean} [options.strict=false] - Default strict number parsing (MappingConfig.strict overrides it)
+   */
+  constructor(mondayApiClient, options = {}) {
+    this.mondayApiClient = mondayApiClient;
+    this.logger = toRedactingLogger(options.logger) || mondayApiClient.logger || defaultLogger;
+    this.columnMaps = new WeakMap(); // Tag maps by columns array, the schema itself is cached by the client
+    this.registry = options.registry || new ColumnTypeRegistry();
+    this.unknownTypePolicy = options.unknownTypePolicy || 'skip';
+    this.transforms = { ...REMOTE_KEY_TRANSFORMS, ...(options.transforms || {}) };
+    this.timezone = options.timezone || null;
+    this.locale = options.locale || null;
+    this.strict = options.strict || false;
+  }
+
+  /**
+   * Fetches column settings for a specific board, indexed by description tag
+   * @param {string|number} boardId - Monday.com board ID
+   * @returns {Promise<Map>} Map of column descriptions to column info
+   */
+  async fetchBoardColumnSettings(boardId) {
+    try {
+      const columns = await this.mondayApiClient.getBoardColumns(boardId);
+      if (this.columnMaps.has(columns)) {
+        return this.columnMaps.get(columns);
+      }
+
+      const columnMap = new Map();
+      
+      columns.forEach(column => {
+        extractColumnTags(column.description).forEach(tag => {
+          columnMap.set(tag, {
+            id: column.id,
+            title: column.title,
+            type: column.type,
+            settings_str: column.settings_str
+          });
+        });
+      });
+
+      this.columnMaps.set(columns, columnMap);
+      return columnMap;
+    } catch (error) {
+      this.logger.error(`Error fetching board column settings: ${error.message}`, { boardId, operation: 'fetchBoardColumnSettings' });
+      throw new Error(`Failed to fetch column settings for board ${boardId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Runs a write, refreshing the board schema and retrying once if a column no longer exists
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Function} fn - Write to run (maps the data again on retry)
+   * @returns {Promise<any>} Result of fn
+   */
+  async withSchemaRefresh(boardId, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isColumnNotFoundError(error)) {
+        throw error;
+      }
+
+      this.logger.info('Column not found, refreshing board schema and retrying', { boardId, operation: 'withSchemaRefresh' });
+      await this.mondayApiClient.invalidateBoardSchema(boardId);
+      return fn();
+    }
+  }
+
+  /**
+   * Creates or reconciles a board from a mapping config
+   * Each in_monday key becomes a column tagged {key}: column_type, column_title (defaults to the key)
+   * and labels (default to the translator's values for status/dropdown columns) describe the column.
+   * Existing tagged columns are renamed if needed, untagged columns with a matching title get the tag,
+   * and missing columns are created with their labels. Labels missing on existing columns cannot be
+   * added through the API and are reported as warnings.
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} options - Provisioning options
+   * @param {string|number} [options.boardId] - Existing board to reconcile
+   * @param {string} [options.boardName] - Name of the board to create when boardId is not given
+   * @param {string} [options.boardKind='public'] - Kind of the board to create
+   * @param {string|number} [options.workspaceId] - Workspace of the board to create
+   * @param {string|number} [options.folderId] - Folder of the board to create
+   * @param {boolean} [options.dryRun=false] - Report the changes without applying them
+   * @returns {Promise<Object>} { boardId, dryRun, changes, warnings } where changes are
+   *   { action: 'create_board'|'create_column'|'tag_column'|'rename_column', key, columnId, ... }
+   */
+  async provisionBoard(mappingConfig, options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const changes = [];
+    const warnings = [];
+    let boardId = options.boardId || null;
+    let columns = [];
+
+    if (!boardId) {
+      if (!options.boardName) {
+        throw new Error('provisionBoard requires options.boardId or options.boardName');
+      }
+      changes.push({ action: 'create_board', name: options.boardName });
+      if (!dryRun) {
+        const response = await this.mondayApiClient.createBoard(options.boardName, options);
+        boardId = response.data?.create_board?.id;
+        if (!boardId) {
+          throw new Error(`Board "${options.boardName}" was not created`);
+        }
+      }
+    } else {
+      columns = await this.mondayApiClient.getBoardColumns(boardId, { refresh: true });
+    }
+
+    const columnsByTag = new Map();
+    columns.forEach(column => {
+      extractColumnTags(column.description).forEach(tag => columnsByTag.set(tag, column));
+    });
+
+    for (const [configKey, configData] of Object.entries(mappingConfig)) {
+      if (!configData.in_monday) {
+        continue;
+      }
+
+      const columnType = configData.column_type || null;
+      const title = configData.column_title || configKey;
+      let labels = configData.labels;
+      if (!labels && LABEL_COLUMN_TYPES.includes(columnType) && configData.translator) {
+        labels = [...new Set(Object.values(configData.translator).filter(label => typeof label === 'string' && label))];
+      }
+      labels = labels || [];
+
+      let column = columnsByTag.get(configKey);
+
+      if (!column) {
+        const taggedColumns = new Set(columnsByTag.values());
+        column = columns.find(candidate => !taggedColumns.has(candidate) &&
+          normalizeLabel(candidate.title, { caseInsensitive: true, accentInsensitive: true }) ===
+          normalizeLabel(title, { caseInsensitive: true, accentInsensitive: true }));
+
+        if (column) {
+          const description = column.description ? `${column.description} {${configKey}}` : `{${configKey}}`;
+          changes.push({ action: 'tag_column', key: configKey, columnId: column.id, description });
+          columnsByTag.set(configKey, column);
+          if (!dryRun) {
+            await this.mondayApiClient.changeColumnMetadata(boardId, column.id, 'description', description);
+          }
+        }
+      }
+
+      if (!column) {
+        if (!columnType) {
+          warnings.push({
+            code: 'MISSING_COLUMN_TYPE',
+            key: configKey,
+            message: `No column tagged {${configKey}} and no column_type to create one`
+          });
+          continue;
+        }
+
+        const change = { action: 'create_column', key: configKey, columnId: null, columnType, title, labels };
+        changes.push(change);
+        if (!dryRun) {
+          const defaults = labels.length === 0 ? null : columnType === 'dropdown'
+            ? { settings: { labels: labels.map((name, index) => ({ id: index + 1, name })) } }
+            : { labels: labels.reduce((acc, name, index) => ({ ...acc, [index]: name }), {}) };
+          const response = await this.mondayApiClient.createColumn(boardId, title, columnType, {
+            description: `{${configKey}}`,
+            defaults: LABEL_COLUMN_TYPES.includes(columnType) ? defaults : null
+          });
+          change.columnId = response.data?.create_column?.id || null;
+        }
+        continue;
+      }
+
+      const sameType = !columnType || column.type === columnType ||
+        (['status', 'color'].includes(columnType) && ['status', 'color'].includes(column.type));
+      if (!sameType) {
+        warnings.push({
+          code: 'TYPE_MISMATCH',
+          key: configKey,
+          columnId: column.id,
+          message: `Column ${column.title || column.id} is a ${column.type} column, mapping expects ${columnType}`
+        });
+      }
+
+      if (configData.column_title && column.title !== configData.column_title) {
+        changes.push({ action: 'rename_column', key: configKey, columnId: column.id, from: column.title, to: configData.column_title });
+        if (!dryRun) {
+          await this.mondayApiClient.changeColumnMetadata(boardId, column.id, 'title', configData.column_title);
+        }
+      }
+
+      if (LABEL_COLUMN_TYPES.includes(column.type) && labels.length > 0) {
+        const existing = parseColumnLabels(column.settings_str);
+        const missing = labels.filter(label => !findLabel(label, existing, { caseInsensitive: true }));
+        if (missing.length > 0) {
+          warnings.push({
+            code: 'MISSING_LABELS',
+            key: configKey,
+            columnId: column.id,
+            labels: missing,
+            message: `Column ${column.title || column.id} is missing label(s): ${missing.join(', ')}`
+          });
+        }
+      }
+    }
+
+    this.logger.info(`${dryRun ? 'Planned' : 'Applied'} ${changes.length} board change(s)`, { boardId, operation: 'provisionBoard' });
+
+    return { boardId, dryRun, changes, warnings };
+  }
+
+  /**
+   * Checks a mapping config against a board's live schema
+   * Reports config keys with no tagged column, tagged columns with no mapping key, tags used on
+   * several columns, read-only and unknown column types, and (with sample data) values that do
+   * not fit their column type.
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} options - Validation options
+   * @param {Object} [options.sampleData] - External record used to check value types
+   * @returns {Promise<Object>} { valid, boardId, errors, warnings } where entries are
+   *   { code, key, columnId, columnType, message }
+   */
+  async validateMapping(mappingConfig, boardId, options = {}) {
+    const columns = await this.mondayApiClient.getBoardColumns(boardId, { refresh: options.refresh });
+    const errors = [];
+    const warnings = [];
+
+    // Tag index with duplicates
+    const columnsByTag = new Map();
+    columns.forEach(column => {
+      extractColumnTags(column.description).forEach(tag => {
+        if (!columnsByTag.has(tag)) {
+          columnsByTag.set(tag, []);
+        }
+        columnsByTag.get(tag).push(column);
+      });
+    });
+
+    columnsByTag.forEach((tagColumns, tag) => {
+      if (tagColumns.length > 1) {
+        errors.push({
+          code: 'DUPLICATE_TAG',
+          key: tag,
+          columnId: tagColumns.map(column => column.id),
+          columnType: null,
+          message: `Tag {${tag}} is used on ${tagColumns.length} columns: ${tagColumns.map(column => column.title || column.id).join(', ')}`
+        });
+      }
+
+      if (!mappingConfig[tag]) {
+        warnings.push({
+          code: 'UNMAPPED_COLUMN',
+          key: tag,
+          columnId: tagColumns[0].id,
+          columnType: tagColumns[0].type,
+          message: `Column ${tagColumns[0].title || tagColumns[0].id} is tagged {${tag}} but the mapping has no such key`
+        });
+      }
+    });
+
+    // remote_key expressions must parse and only use known transforms
+    const evaluableConfig = {};
+    for (const [configKey, configData] of Object.entries(mappingConfig)) {
+      evaluableConfig[configKey] = configData;
+      if (!configData.in_remote || !configData.remote_key) {
+        continue;
+      }
+      if (isPlainRemoteKey(configData.remote_key)) {
+        if (hasRemoteKeySyntax(configData.remote_key)) {
+          warnings.push({
+            code: 'PLAIN_REMOTE_KEY',
+            key: configKey,
+            columnId: null,
+            columnType: null,
+            message: `remote_key "${configData.remote_key}" of key ${configKey} is not a valid expression and is read as a dot path`
+          });
+        }
+        continue;
+      }
+
+      let message = null;
+      try {
+        const transforms = { ...this.transforms, ...(configData.transforms || {}) };
+        const unknown = remoteKeyTransformNames(parseRemoteKey(configData.remote_key)).filter(name => typeof transforms[name] !== 'function');
+        if (unknown.length) {
+          message = `Unknown remote_key transform ${unknown.map(name => `"${name}"`).join(', ')} for key ${configKey}`;
+        }
+      } catch (error) {
+        message = error.message;
+      }
+
+      if (message) {
+        errors.push({ code: 'INVALID_REMOTE_KEY', key: configKey, columnId: null, columnType: null, message });
+        evaluableConfig[configKey] = { ...configData, in_remote: false };
+      }
+    }
+
+    const populatedConfig = options.sampleData
+      ? this.populateConfigValues(evaluableConfig, options.sampleData)
+      : mappingConfig;
+
+    for (const [configKey, configData] of Object.entries(populatedConfig)) {
+      if (!configData.in_monday) {
+        continue;
+      }
+
+      const tagColumns = columnsByTag.get(configKey);
+      if (!tagColumns) {
+        errors.push({
+          code: 'MISSING_COLUMN',
+          key: configKey,
+          columnId: null,
+          columnType: null,
+          message: `No column on board ${boardId} is tagged {${configKey}}`
+        });
+        continue;
+      }
+
+      const column = tagColumns[tagColumns.length - 1];
+      const context = {
+        boardId,
+        columnId: column.id,
+        key: configKey,
+        settings_str: column.settings_str,
+        timezone: configData.timezone || this.timezone,
+        dateFormat: configData.date_format,
+        locale: configData.locale || this.locale,
+        strict: configData.strict ?? this.strict,
+        percent: configData.percent
+      };
+      const entry = { key: configKey, columnId: column.id, columnType: column.type };
+      const sanitizer = this.registry.resolve(column.type, context);
+
+      if (!sanitizer && this.registry.isReadOnly(column.type)) {
+        errors.push({ code: 'READ_ONLY_COLUMN', ...entry, message: `Column ${column.title || column.id} is a ${column.type} column and cannot be written` });
+        continue;
+      }
+      if (!sanitizer) {
+        warnings.push({ code: 'UNKNOWN_COLUMN_TYPE', ...entry, message: `No sanitizer registered for column type "${column.type}"` });
+        continue;
+      }
+
+      const value = translateValue(configData.value, configData.translator);
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+
+      const mismatch = this.checkValueType(value, column.type, context);
+      if (mismatch) {
+        warnings.push({ code: 'TYPE_MISMATCH', ...entry, value, message: `${mismatch} (key ${configKey}, column ${column.title || column.id})` });
+        continue;
+      }
+
+      if (LABEL_COLUMN_TYPES.includes(column.type)) {
+        try {
+          const labelResult = this.applyLabelPolicy(value, column, configKey, configData);
+          labelResult.issues.forEach(issue => warnings.push({ ...issue }));
+        } catch (error) {
+          errors.push({ code: 'LABEL_NOT_FOUND', ...entry, value, message: error.message });
+        }
+        continue;
+      }
+
+      let sanitizedValue;
+      try {
+        sanitizedValue = sanitizer(value, { ...context, columnType: column.type });
+      } catch (error) {
+        if (error instanceof MondayColumnValueError && error.code) {
+          errors.push({ code: error.code, ...entry, value, message: error.message });
+        } else {
+          warnings.push({ code: 'TYPE_MISMATCH', ...entry, value, message: error.message });
+        }
+        continue;
+      }
+      if (sanitizedValue === null) {
+        warnings.push({ code: 'VALUE_DROPPED', ...entry, value, message: `Value for key ${configKey} sanitizes to nothing for a ${column.type} column` });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      boardId,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Tells whether a remote value obviously does not fit a column type
+   * @param {any} value - Remote value
+   * @param {string} columnType - Monday column type
+   * @param {Object} [context] - Sanitizer context (locale, timezone, date format)
+   * @returns {string|null} Mismatch description, or null if the value looks compatible
+   */
+  checkValueType(value, columnType, context = {}) {
+    const valueType = Array.isArray(value) ? 'array' : value instanceof Date ? 'date' : typeof value;
+
+    if ((columnType === 'status' || columnType === 'color') && valueType === 'array') {
+      return 'An array value is mapped to a status column';
+    }
+    if ((columnType === 'status' || columnType === 'color') && valueType === 'number' &&
+      !findLabel(value, parseColumnLabels(context.settings_str))) {
+      // Numbers are label indexes (see findLabel)
+      return `Number ${value} is not a label index of the status column`;
+    }
+    if (columnType === 'numbers' && !context.strict && sanitizeNumbers(value, context) === null) {
+      return `Value "${value}" is not a number`;
+    }
+    if (columnType === 'date' && !sanitizeDate(value, context)?.date) {
+      return `Value "${value}" is not a date`;
+    }
+    if (columnType === 'email' && typeof value === 'string' && !sanitizeEmail(value).email) {
+      return `Value "${value}" is not an email address`;
+    }
+    if ((columnType === 'text' || columnType === 'long_text') && valueType === 'object') {
+      return 'An object value is mapped to a text column';
+    }
+    if (columnType === 'checkbox' && valueType === 'object') {
+      return 'An object value is mapped to a checkbox column';
+    }
+    return null;
+  }
+
+  /**
+   * Sanitizes a value based on Monday column type
+   * @param {any} value - Value to sanitize
+   * @param {string} columnType - Monday column type
+   * @param {Object} context - { boardId, columnId, key, settings_str } used for overrides,
+   *   plus { timezone, dateFormat } for date columns and { locale, strict, percent } for numbers
+   * @returns {any} Sanitized value appropriate for the column type
+   */
+  sanitizeValueForColumnType(value, columnType, context = {}) {
+    const sanitizer = this.registry.resolve(columnType, context);
+    if (sanitizer) {
+      return sanitizer(value, { ...context, columnType });
+    }
+
+    if (this.unknownTypePolicy === 'pass') {
+      return value;
+    }
+    if (this.unknownTypePolicy === 'throw') {
+      throw new Error(`No sanitizer registered for column type "${columnType}"${context.columnId ? ` (column ${context.columnId})` : ''}`);
+    }
+    return null;
+  }
+
+  /**
+   * Processes mapping configuration and external data to create Monday column values
+   * @param {Object} mappingConfig - Configuration object with mapping rules
+   * @param {Object} externalData - Data from external system to map
+   * @param {string|number} boardId - Monday.com board ID
+   * @returns {Promise<Object>} Monday-formatted column values object
+   */
+  async processMapping(mappingConfig, externalData, boardId) {
+    const { columnValues } = await this.mapColumnValues(mappingConfig, externalData, boardId);
+    return columnValues;
+  }
+
+  /**
+   * Same as processMapping, but also reports the columns that could not be written
+   * @param {Object} mappingConfig - Configuration object with mapping rules
+   * @param {Object} externalData - Data from external system to map
+   * @param {string|number} boardId - Monday.com board ID
+   * @returns {Promise<Object>} { columnValues, issues, createLabels } where issues are
+   *   { key, columnId, columnType, code, message } with code UNKNOWN_COLUMN_TYPE, READ_ONLY_COLUMN
+   *   or LABEL_NOT_FOUND, and createLabels tells whether Monday must create missing labels
+   */
+  async mapColumnValues(mappingConfig, externalData, boardId) {
+    // First, populate the mapping config values with external data
+    const populatedConfig = this.populateConfigValues(mappingConfig, externalData);
+    
+    // Fetch board column settings
+    const columnMap = await this.fetchBoardColumnSettings(boardId);
+    
+    // Build column values for Monday
+    const columnValues = {};
+    const issues = [];
+    let createLabels = false;
+    
+    for (const [configKey, configData] of Object.entries(populatedConfig)) {
+      // Skip if not configured for Monday
+      if (!configData.in_monday) {
+        continue;
+      }
+
+      // Check if we have a matching column with this tag
+      if (!columnMap.has(configKey)) {
+        continue;
+      }
+
+      const columnInfo = columnMap.get(configKey);
+      const context = {
+        boardId,
+        columnId: columnInfo.id,
+        key: configKey,
+        settings_str: columnInfo.settings_str,
+        timezone: configData.timezone || this.timezone,
+        dateFormat: configData.date_format,
+        locale: configData.locale || this.locale,
+        strict: configData.strict ?? this.strict,
+        percent: configData.percent,
+        logger: this.logger
+      };
+
+      const hasSanitizer = Boolean(this.registry.resolve(columnInfo.type, context));
+
+      if (!hasSanitizer && this.registry.isReadOnly(columnInfo.type)) {
+        issues.push({
+          key: configKey,
+          columnId: columnInfo.id,
+          columnType: columnInfo.type,
+          code: 'READ_ONLY_COLUMN',
+          message: `Column ${columnInfo.id} is a ${columnInfo.type} column and cannot be written`
+        });
+        continue;
+      }
+
+      if (!hasSanitizer && this.unknownTypePolicy === 'skip') {
+        this.logger.warn(`No sanitizer for column type "${columnInfo.type}", skipping`, {
+          boardId,
+          columnId: columnInfo.id,
+          key: configKey
+        });
+        issues.push({
+          key: configKey,
+          columnId: columnInfo.id,
+          columnType: columnInfo.type,
+          code: 'UNKNOWN_COLUMN_TYPE',
+          message: `No sanitizer registered for column type "${columnInfo.type}"`
+        });
+        continue;
+      }
+
+      let value = translateValue(configData.value, configData.translator);
+
+      if (LABEL_COLUMN_TYPES.includes(columnInfo.type)) {
+        const labelResult = this.applyLabelPolicy(value, columnInfo, configKey, configData);
+        value = labelResult.value;
+        issues.push(...labelResult.issues);
+        createLabels = createLabels || labelResult.createLabels;
+      }
+
+      const sanitizedValue = this.sanitizeValueForColumnType(value, columnInfo.type, context);
+
+      // Only add to column values if sanitized value is not null
+      if (sanitizedValue !== null) {
+        columnValues[columnInfo.id] = sanitizedValue;
+      }
+    }
+
+    return { columnValues, issues, createLabels };
+  }
+
+  /**
+   * Validates status/dropdown values against the labels defined in the column settings
+   * Matching labels are replaced by their canonical name; unknown labels are handled
+   * according to the mapping's label_policy ('create', 'default' or 'reject').
+   * @param {any} value - Translated value
+   * @param {Object} columnInfo - Column info ({ id, type, settings_str })
+   * @param {string} configKey - Mapping config key
+   * @param {Object} configData - Mapping config entry
+   * @returns {Object} { value, issues, createLabels }
+   */
+  applyLabelPolicy(value, columnInfo, configKey, configData) {
+    const result = { value, issues: [], createLabels: false };
+    if (value === null || value === undefined || value === '') {
+      return result;
+    }
+
+    const policy = configData.label_policy || 'create';
+    const matchOptions = {
+      caseInsensitive: configData.label_case_insensitive,
+      accentInsensitive: configData.label_accent_insensitive
+    };
+    const labels = parseColumnLabels(columnInfo.settings_str);
+    const isDropdown = columnInfo.type === 'dropdown';
+
+    let values;
+    if (isDropdown) {
+      values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [value];
+      values = values.map(entry => typeof entry === 'string' ? entry.trim() : entry).filter(entry => entry !== '');
+    } else {
+      values = [value];
+    }
+
+    const resolved = [];
+    for (const entry of values) {
+      const label = findLabel(entry, labels, matchOptions);
+      if (label) {
+        resolved.push(label.name);
+        continue;
+      }
+
+      const issue = {
+        key: configKey,
+        columnId: columnInfo.id,
+        columnType: columnInfo.type,
+        code: 'LABEL_NOT_FOUND',
+        value: entry,
+        message: `Label "${entry}" does not exist on column ${columnInfo.id}`
+      };
+
+      if (policy === 'reject') {
+        const error = new MondayColumnValueError(`${issue.message} (allowed: ${labels.map(label => label.name).join(', ')})`, {
+          code: 'INVALID_LABEL',
+          errorCode: 'INVALID_LABEL'
+        });
+        error.columnId = columnInfo.id;
+        error.value = entry;
+        error.allowedLabels = labels.map(label => label.name);
+        throw error;
+      }
+
+      if (policy === 'default') {
+        issue.action = configData.default_label ? 'default' : 'skip';
+        result.issues.push(issue);
+        if (configData.default_label) {
+          resolved.push(configData.default_label);
+        }
+        continue;
+      }
+
+      issue.action = 'create';
+      result.issues.push(issue);
+      result.createLabels = true;
+      resolved.push(typeof entry === 'object' ? entry.toString() : entry);
+    }
+
+    if (isDropdown) {
+      result.value = [...new Set(resolved)];
+    } else {
+      result.value = resolved.length > 0 ? resolved[0] : null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Populates mapping configuration values with data from external system
+   * @param {Object} mappingConfig - Configuration object
+   * @param {Object} externalData - External system data
+   * @returns {Object} Configuration with populated values
+   */
+  populateConfigValues(mappingConfig, externalData) {
+    const populatedConfig = {};
+
+    for (const [configKey, configData] of Object.entries(mappingConfig)) {
+      // Create a copy of the config data
+      populatedConfig[configKey] = { ...configData };
+
+      // If in_remote is true and we have a remote_key, populate the value
+      if (configData.in_remote && configData.remote_key) {
+        const transforms = configData.transforms ? { ...this.transforms, ...configData.transforms } : this.transforms;
+        const remoteValue = evaluateRemoteKey(configData.remote_key, externalData, transforms);
+        if (remoteValue !== undefined) {
+          populatedConfig[configKey].value = remoteValue;
+        }
+      }
+    }
+
+    return populatedConfig;
+  }
+
+  /**
+   * Gets nested value from object using dot notation or a remote_key expression
+   * @param {Object} obj - Object to search in
+   * @param {string} path - Dot notation path (e.g., 'user.address.street') or expression (see evaluateRemoteKey)
+   * @returns {any} Value at the specified path
+   */
+  getNestedValue(obj, path) {
+    return evaluateRemoteKey(path, obj, this.transforms);
+  }
+
+  /**
+   * Sets nested value in object using dot notation, creating intermediate objects
+   * @param {Object} obj - Object to write to
+   * @param {string} path - Dot notation path (e.g., 'CustomerRef.value')
+   * @param {any} value - Value to set
+   * @returns {Object} The same object
+   */
+  setNestedValue(obj, path, value) {
+    const keys = path.split('.');
+    let current = obj;
+
+    keys.slice(0, -1).forEach(key => {
+      if (current[key] === undefined || current[key] === null || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    });
+
+    current[keys[keys.length - 1]] = value;
+    return obj;
+  }
+
+  /**
+   * Maps a Monday item back into the external system shape (inverse of processMapping)
+   * Each mapping entry with in_remote and a remote_key is read from its tagged column,
+   * parsed according to the column type and written at remote_key.
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} item - Monday item with column_values ({ id, value, text })
+   * @param {string|number} boardId - Monday.com board ID
+   * @returns {Promise<Object>} External object
+   */
+  async reverseMapping(mappingConfig, item, boardId) {
+    const columnMap = await this.fetchBoardColumnSettings(boardId);
+    const valuesById = new Map((item.column_values || []).map(columnValue => [columnValue.id, columnValue]));
+    const externalData = {};
+
+    for (const [configKey, configData] of Object.entries(mappingConfig)) {
+      // Only write back fields that exist on both sides
+      if (!configData.in_remote || !configData.in_monday || !configData.remote_key) {
+        continue;
+      }
+
+      // Expressions (indexes, fallbacks, templates, transforms) have no single place to write back to
+      if (!isPlainRemoteKey(configData.remote_key)) {
+        continue;
+      }
+
+      if (!columnMap.has(configKey)) {
+        continue;
+      }
+
+      const columnInfo = columnMap.get(configKey);
+      if (!valuesById.has(columnInfo.id)) {
+        continue;
+      }
+
+      const value = parseColumnValue(valuesById.get(columnInfo.id), columnInfo.type);
+      this.setNestedValue(externalData, configData.remote_key, untranslateValue(value, configData.translator));
+    }
+
+    return externalData;
+  }
+
+  /**
+   * Creates or updates a Monday item with mapped data
+   * Always returns a result object, never the raw GraphQL response (read it from result.response, or
+   * result.data for what used to be response.data).
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} externalData - External system data
+   * @param {string} itemName - Name for the Monday item
+   * @param {string|number} itemId - ID for updating existing item (optional)
+   * @param {Object} options - Write options
+   * @param {boolean} [options.diff=false] - On update, only send columns whose value changed
+   *   and skip the mutation when nothing changed
+   * @param {boolean} [options.dryRun=false] - Compute the planned write without calling the mutation
+   * @param {Object} [options.subitems] - Also sync an array of the external data to subitems:
+   *   { remote_key: 'Line', mapping, key, itemName, mode } (see syncSubitems); its result is
+   *   returned as result.subitems
+   * @returns {Promise<Object>} { action ('created' | 'updated' | 'skipped'), dryRun, itemId, columnValues,
+   *   diff (null on updates without options.diff), issues, response, data (response.data, null when
+   *   nothing was sent) }, plus subitems with options.subitems
+   */
+  async createOrUpdateItem(boardId, mappingConfig, externalData, itemName, itemId = null, options = {}) {
+    // Only the parent write is retried on a stale schema: subitem writes refresh their own board
+    const result = await this.withSchemaRefresh(boardId, () => this.writeItem(boardId, mappingConfig, externalData, itemName, itemId, options));
+
+    if (options.subitems) {
+      const records = this.getNestedValue(externalData, options.subitems.remote_key) || [];
+
+      if (result.itemId) {
+        result.subitems = await this.syncSubitems(result.itemId, boardId, options.subitems.mapping, records, {
+          ...options.subitems,
+          diff: options.diff,
+          dryRun: options.dryRun
+        });
+      } else {
+        // Dry run of a create: every record would become a new subitem
+        result.subitems = { boardId: null, created: records.map((record, index) => index), updated: [], deleted: [], unchanged: [], failed: [] };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Maps and writes one item (createOrUpdateItem without the schema refresh and subitems)
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} externalData - External system data
+   * @param {string} itemName - Name for the Monday item
+   * @param {string|number} itemId - ID for updating existing item (optional)
+   * @param {Object} options - See createOrUpdateItem
+   * @returns {Promise<Object>} See createOrUpdateItem
+   */
+  async writeItem(boardId, mappingConfig, externalData, itemName, itemId = null, options = {}) {
+    const { columnValues, createLabels, issues } = await this.mapColumnValues(mappingConfig, externalData, boardId);
+
+    const result = {
+      action: itemId ? 'updated' : 'created',
+      dryRun: Boolean(options.dryRun),
+      itemId: itemId || null,
+      columnValues,
+      diff: null,
+      issues,
+      response: null,
+      data: null
+    };
+
+    if (itemId && options.diff) {
+      const columnMap = await this.fetchBoardColumnSettings(boardId);
+      const columnTypes = {};
+      columnMap.forEach(columnInfo => {
+        columnTypes[columnInfo.id] = columnInfo.type;
+      });
+
+      const currentItem = await this.mondayApiClient.getItem(itemId, Object.keys(columnValues));
+      result.diff = diffColumnValues(columnValues, currentItem, columnTypes);
+      result.columnValues = {};
+      Object.keys(result.diff).forEach(columnId => {
+        result.columnValues[columnId] = columnValues[columnId];
+      });
+
+      if (Object.keys(result.columnValues).length === 0) {
+        result.action = 'skipped';
+      }
+    } else if (!itemId) {
+      result.diff = {};
+      Object.entries(columnValues).forEach(([columnId, payload]) => {
+        result.diff[columnId] = { from: null, to: payload };
+      });
+    }
+
+    if (!options.dryRun && result.action !== 'skipped') {
+      if (itemId) {
+        result.response = await this.mondayApiClient.updateItem(itemId, boardId, result.columnValues, createLabels);
+      } else {
+        result.response = await this.mondayApiClient.createItem(boardId, itemName, result.columnValues, createLabels);
+        result.itemId = result.response.data?.create_item?.id || null;
+      }
+      result.data = result.response.data || null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Maps an array of external records (e.g. invoice Line) to the subitems of a parent item
+   * Subitem columns are found on the subitem board with the same {tag} description convention.
+   * @param {string|number} parentItemId - Parent item ID
+   * @param {string|number} boardId - Parent board ID
+   * @param {Object} mappingConfig - Mapping configuration for the subitem board
+   * @param {Array<Object>} records - External records, one per subitem
+   * @param {Object} options - Sync options
+   * @param {string} [options.mode='sync'] - 'sync' (update matching subitems, create new ones, delete the
+   *   others), 'replace' (create, then delete the previous subitems) or 'append' (only create); deletes
+   *   always run after the creates and updates
+   * @param {string} [options.key] - Mapping key matching records to existing subitems (position when omitted)
+   * @param {string|Function} [options.itemName] - Remote path or (record, index) => name
+   * @param {boolean} [options.diff=false] - Only send changed columns on update
+   * @param {boolean} [options.dryRun=false] - Report planned changes without writing
+   * @returns {Promise<Object>} { boardId, created, updated, deleted, unchanged, failed } (subitem IDs,
+   *   or record indexes for planned creates in dry run; failed holds { index, error } for creates
+   *   the API answered without a subitem)
+   */
+  async syncSubitems(parentItemId, boardId, mappingConfig, records, options = {}) {
+    const mode = options.mode || 'sync';
+    const result = { boardId: null, created: [], updated: [], deleted: [], unchanged: [], failed: [] };
+
+    const existing = mode === 'append' ? [] : await this.mondayApiClient.getSubitems(parentItemId);
+    let subitemBoardId = existing[0]?.board?.id || await this.mondayApiClient.getSubitemBoardId(boardId);
+    result.boardId = subitemBoardId;
+
+    const getItemName = (record, index) => {
+      if (typeof options.itemName === 'function') return options.itemName(record, index);
+      if (typeof options.itemName === 'string') return `${this.getNestedValue(record, options.itemName) ?? ''}`;
+      return record.Description || record.Name || `Line ${index + 1}`;
+    };
+
+    // Pair records with existing subitems
+    const pairs = [];
+    const matched = new Set();
+    let keyColumnId = null;
+
+    if (mode === 'sync' && options.key && subitemBoardId) {
+      const columnMap = await this.fetchBoardColumnSettings(subitemBoardId);
+      keyColumnId = columnMap.get(options.key)?.id || null;
+      if (!keyColumnId) {
+        throw new Error(`No column tagged {${options.key}} on subitem board ${subitemBoardId}`);
+      }
+    }
+
+    records.forEach((record, index) => {
+      let subitem = null;
+      if (mode === 'sync') {
+        if (keyColumnId) {
+          const keyValue = this.populateConfigValues({ [options.key]: mappingConfig[options.key] }, record)[options.key].value;
+          subitem = existing.find(candidate => !matched.has(candidate.id) &&
+            (candidate.column_values || []).some(columnValue => columnValue.id === keyColumnId &&
+              (columnValue.text ?? '').trim() === `${keyValue ?? ''}`.trim()));
+        } else {
+          subitem = existing[index] || null;
+        }
+      }
+      if (subitem) {
+        matched.add(subitem.id);
+      }
+      pairs.push({ record, index, subitem });
+    });
+
+    for (const { record, index, subitem } of pairs) {
+      if (subitem) {
+        const update = await this.createOrUpdateItem(subitemBoardId, mappingConfig, record, subitem.name, subitem.id, {
+          diff: options.diff,
+          dryRun: options.dryRun
+        });
+        (update.action === 'skipped' ? result.unchanged : result.updated).push(subitem.id);
+        continue;
+      }
+
+      const itemName = getItemName(record, index);
+
+      if (!subitemBoardId) {
+        // The subitem board is created with the first subitem: create it bare, then map its columns
+        if (options.dryRun) {
+          result.created.push(index);
+          continue;
+        }
+        const response = await this.mondayApiClient.createSubitem(parentItemId, itemName, {});
+        const created = response.data?.create_subitem;
+        if (!created?.id || !created.board?.id) {
+          result.failed.push({ index, error: 'create_subitem returned no subitem' });
+          continue;
+        }
+        subitemBoardId = created.board.id;
+        result.boardId = subitemBoardId;
+        await this.createOrUpdateItem(subitemBoardId, mappingConfig, record, itemName, created.id);
+        result.created.push(created.id);
+        continue;
+      }
+
+      const targetBoardId = subitemBoardId;
+      const response = await this.withSchemaRefresh(targetBoardId, async () => {
+        const { columnValues, createLabels } = await this.mapColumnValues(mappingConfig, record, targetBoardId);
+        return options.dryRun ? null : this.mondayApiClient.createSubitem(parentItemId, itemName, columnValues, createLabels);
+      });
+      if (options.dryRun) {
+        result.created.push(index);
+      } else if (response.data?.create_subitem?.id) {
+        result.created.push(response.data.create_subitem.id);
+      } else {
+        result.failed.push({ index, error: 'create_subitem returned no subitem' });
+      }
+    }
+
+    // Deleted last, so a sync failing part way never leaves the parent with fewer lines than before
+    const toDelete = mode === 'replace'
+      ? existing
+      : existing.filter(subitem => mode === 'sync' && !matched.has(subitem.id));
+
+    for (const subitem of toDelete) {
+      if (!options.dryRun) {
+        await this.mondayApiClient.deleteItem(subitem.id);
+      }
+      result.deleted.push(subitem.id);
+    }
 
-function sanitizeNumbers(value) {
-  if (value === null || value === undefined) return null;
-  if (value === '') return null;
+    return result;
+  }
 
-  // Handle null, undefined, or non-convertible objects
-  if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
-    return null;
+  /**
+   * Maps a list of external records and writes them with batched mutations
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Array<Object>} records - Records as { externalData, itemName, itemId }
+   *   (itemId set for updates, omitted for creates)
+   * @param {Object} options - Options passed to MondayApiClient.batchMutate
+   * @param {boolean} [options.dryRun=false] - Return the planned operations without writing
+   * @returns {Promise<Array<Object>>} Per-record results: { index, type, ok, item, error }
+   *   (dry run results carry columnValues instead of item)
+   */
+  async bulkCreateOrUpdate(boardId, mappingConfig, records, options = {}) {
+    const results = new Array(records.length);
+    const operations = [];
+    const operationIndexes = [];
+
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const type = record.itemId ? 'update' : 'create';
+
+      try {
+        const { columnValues, createLabels } = await this.mapColumnValues(mappingConfig, record.externalData, boardId);
+        operations.push({
+          type,
+          boardId,
+          itemId: record.itemId,
+          itemName: record.itemName,
+          columnValues,
+          createLabels
+        });
+        operationIndexes.push(index);
+      } catch (error) {
+        results[index] = { index, type, ok: false, item: null, error };
+      }
+    }
+
+    if (options.dryRun) {
+      operations.forEach((operation, position) => {
+        const index = operationIndexes[position];
+        results[index] = { index, type: operation.type, ok: true, dryRun: true, columnValues: operation.columnValues, item: null, error: null };
+      });
+      return results;
+    }
+
+    const batchResults = await this.mondayApiClient.batchMutate(operations, options);
+    batchResults.forEach((result, position) => {
+      const index = operationIndexes[position];
+      results[index] = { ...result, index };
+    });
+
+    return results;
+  }
+
+  /**
+   * Finds the mapping key used to identify an item across systems
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {string} [key] - Explicit key, takes precedence
+   * @returns {string|null} Config key flagged with remote_id, or the explicit key
+   */
+  resolveUpsertKey(mappingConfig, key = null) {
+    if (key) {
+      return key;
+    }
+
+    const flagged = Object.keys(mappingConfig).find(configKey => mappingConfig[configKey]?.remote_id === true);
+    return flagged || null;
   }
 
-  // Convert to string
-  let strValue = String(value);
+  /**
+   * Creates or updates an item, looking up the existing item by an external key column
+   * The key is either options.key (a mapping config key, e.g. 'bill_id') or the mapping
+   * entry flagged with remote_id: true. Its value is matched against the tagged column.
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} externalData - External system data
+   * @param {string} itemName - Name for the Monday item (used on create)
+   * @param {Object} options - Upsert options
+   * @param {string} [options.key] - Mapping config key holding the external identifier
+   * @param {boolean} [options.diff] - See createOrUpdateItem
+   * @param {boolean} [options.dryRun] - See createOrUpdateItem
+   * @returns {Promise<Object>} The createOrUpdateItem result plus matches, or
+   *   { action: 'ambiguous', itemId: null, matches, response: null, data: null } when several items match
+   */
+  async upsertItem(boardId, mappingConfig, externalData, itemName, options = {}) {
+    const key = this.resolveUpsertKey(mappingConfig, options.key);
+    if (!key) {
+      throw new Error('Upsert requires options.key or a mapping entry with remote_id: true');
+    }
+    if (!mappingConfig[key]) {
+      throw new Error(`Upsert key "${key}" is not defined in the mapping config`);
+    }
+
+    const populatedConfig = this.populateConfigValues({ [key]: mappingConfig[key] }, externalData);
+    const keyValue = populatedConfig[key].value;
+    if (keyValue === null || keyValue === undefined || keyValue.toString().trim() === '') {
+      throw new Error(`Upsert key "${key}" has no value in the external data`);
+    }
 
-  // Check if the number is negative (preserve sign)
-  const isNegative = strValue.trim().startsWith('-');
+    const columnMap = await this.fetchBoardColumnSettings(boardId);
+    if (!columnMap.has(key)) {
+      throw new Error(`No column tagged {${key}} on board ${boardId}`);
+    }
 
-  // Keep only digits and dots (remove everything else including signs)
-  strValue = strValue.replace(/[^\d.]/g, '');
+    const matches = await this.mondayApiClient.findItemsByColumnValues(
+      boardId,
+      columnMap.get(key).id,
+      [keyValue.toString().trim()]
+    );
 
-  // Check if empty after filtering
-  if (strValue === '') {
-    return null;
+    if (matches.length > 1) {
+      return {
+        action: 'ambiguous',
+        itemId: null,
+        matches,
+        response: null,
+        data: null
+      };
+    }
+
+    const itemId = matches.length === 1 ? matches[0].id : null;
+
+    const result = await this.createOrUpdateItem(boardId, mappingConfig, externalData, itemName, itemId, options);
+    return { ...result, matches };
+  }
+
+  /**
+   * Clears cached column settings for a board
+   * The schema cache is shared with the client, so this also drops the client's copy. Memory caches
+   * are cleared before this returns; await client.invalidateBoardSchema() for slower backends.
+   * @param {string|number} boardId - Board ID to clear cache for
+   */
+  clearColumnCache(boardId = null) {
+    this.mondayApiClient.invalidateBoardSchema(boardId).catch(error => {
+      this.logger.warn(`Failed to clear the board schema cache: ${error.message}`, { boardId, operation: 'clearColumnCache' });
+    });
   }
+}
 
-  // Handle multiple dots (keep only the first)
-  const parts = strValue.split('.');
-  if (parts.length > 2) {
-    strValue = parts[0] + '.' + parts.slice(1).join('');
+/**
+ * Fallback stores for errors that could not be saved to Monday
+ * Stores implement async append(entry), readAll(), replace(entries) and optionally remove(ids), which
+ * drops entries by id without touching errors queued meanwhile; a Pipedream data store wrapper or a
+ * database table can be used the same way.
+ */
+class MemoryErrorSink {
+  constructor() {
+    this.entries = [];
   }
 
-  // Convert to float or int
-  let numValue;
-  if (strValue.includes('.')) {
-    numValue = parseFloat(strValue);
-  } else {
-    numValue = parseInt(strValue, 10);
+  async append(entry) {
+    this.entries.push(entry);
   }
 
-  // Return null if parsing failed
-  if (isNaN(numValue)) {
-    return null;
+  async readAll() {
+    return this.entries.slice();
   }
 
-  // Apply negative sign if original value was negative
-  return isNegative ? -numValue : numValue;
-}
+  async replace(entries) {
+    this.entries = entries.slice();
+  }
 
-function sanitizeDate(value) {
-  if (value === null || value === undefined) return null;
-  if (!value) return { date: null };
-  
-  const date = new Date(value);
-  if (isNaN(date.getTime())) return { date: null };
-  
-  return {
-    date: date.toISOString().split('T')[0] // YYYY-MM-DD format
-  };
+  async remove(ids) {
+    this.entries = this.entries.filter(entry => !ids.includes(entry.id));
+  }
 }
 
-function sanitizeStatus(value) {
-  if (value === null || value === undefined) return null;
-  if (!value) return { label: '' };
-  return { label: value.toString().trim() };
-}
+/**
+ * Queue file used by MondayErrorLogger when no fallback is given
+ */
+const DEFAULT_ERROR_QUEUE_FILE = path.join(os.tmpdir(), 'monday-error-queue.jsonl');
 
-function sanitizeDropdown(value) {
-  if (value === null || value === undefined) return null;
-  if (!value) return { labels: [] };
-  
-  // Handle array of values (multiple selections)
-  if (Array.isArray(value)) {
-    return {
-      labels: value.map(v => v.toString().trim()).filter(v => v !== '')
-    };
+/**
+ * JSON-lines file store, one unsaved error per line
+ * Queued errors hold their full payload: the file is created readable by its owner only.
+ */
+class FileErrorSink {
+  /**
+   * @param {string} filePath - Queue file path
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('FileErrorSink requires a file path');
+    }
+    this.filePath = filePath;
   }
-  
-  // Handle comma-separated string
-  if (typeof value === 'string') {
-    const labels = value.split(',').map(v => v.toString().trim()).filter(v => v !== '');
-    return { labels };
+
+  async append(entry) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
   }
-  
-  // Single value
-  return { labels: [value.toString().trim()] };
-}
 
-function sanitizeCheckbox(value) {
-  if (value === null || value === undefined) return null;
-  return { checked: Boolean(value) };
-}
+  async readAll() {
+    return this.readEntries();
+  }
 
-function sanitizeLocation(value) {
-  if (value === null || value === undefined) return null;
-  
-  // If already a JSON string, parse it first
-  if (typeof value === 'string') {
+  async replace(entries) {
+    this.writeEntries(entries);
+  }
+
+  async remove(ids) {
+    // Read and rewritten synchronously, so no append can slip in between
+    this.writeEntries(this.readEntries().filter(entry => !ids.includes(entry.id)));
+  }
+
+  readEntries() {
+    let content;
     try {
-      value = JSON.parse(value);
+      content = fs.readFileSync(this.filePath, 'utf8');
     } catch (e) {
-      // If not valid JSON, treat as address string
-      return { address: value };
+      return [];
     }
+
+    return content.split('\n').filter(line => line.trim()).reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // Skip a partially written line
+      }
+      return entries;
+    }, []);
   }
-  
-  // If it's an object with lat/lng, format for Monday
-  if (typeof value === 'object' && (value.lat || value.latitude) && (value.lng || value.longitude)) {
-    return {
-      lat: (value.lat || value.latitude).toString(),
-      lng: (value.lng || value.longitude).toString(),
-      address: value.address || ''
-    };
-  }
-  
-  return null;
-}
 
-function sanitizeBoardRelation(value) {
-  if (value === null || value === undefined) return null;
-  
-  // Monday expects board relations in format: { item_ids: ["123", "456"] } - keep as strings
-  if (value && value.item_ids) {
-    return {
-      item_ids: value.item_ids.map(id => id.toString())
-    };
+  writeEntries(entries) {
+    if (entries.length === 0) {
+      try {
+        fs.unlinkSync(this.filePath);
+      } catch (e) {
+        // Already gone
+      }
+      return;
+    }
+    fs.writeFileSync(this.filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), { mode: 0o600 });
   }
-  
-  return null;
 }
 
 /**
- * Configuration class for dynamic mapping between remote systems and Monday.com
- * Provides default values and type safety for mapping configurations
+ * Error fields written by MondayErrorLogger and their default column keys
+ * The first group is the historical error board layout; the rest are optional extras.
  */
-class MappingConfig {
-  constructor(options = {}) {
-    this.remote_key = options.remote_key || null;
-    this.in_monday = options.in_monday !== undefined ? options.in_monday : true;
-    this.in_remote = options.in_remote !== undefined ? options.in_remote : true;
-    this.value = options.value || null;
-    this.monday_id = options.monday_id || null;
-    this.remote_id = options.remote_id || null;
-    this.translator = options.translator || {};
-    
-    // Store any additional config properties
-    Object.keys(options).forEach(key => {
-      if (!['remote_key', 'in_monday', 'in_remote', 'value', 'monday_id', 'remote_id'].includes(key)) {
-        this[key] = options[key];
-      }
-    });
-  }
-}
+const ERROR_LOGGER_FIELDS = {
+  clientName: 'client',
+  clientWarnEmail: 'client_warn_email',
+  description: 'description',
+  errorName: 'erreur',
+  payload: 'payload',
+  workflow: 'workflow',
+  projectName: 'projet',
+  errorType: 'error_type',
+  payloadFile: 'payload_file',
+  occurredAt: 'occurred_at',
+  severity: 'severity',
+  stack: 'stack',
+  runUrl: 'run_url',
+  retryCount: 'retry_count',
+  environment: 'environment'
+};
 
 /**
- * Factory function to create mapping configurations with defaults
- * @param {Object} config - Configuration object
- * @returns {MappingConfig} Configured mapping instance
+ * Builds the error thrown for an invalid MondayErrorLogger configuration
+ * @param {Array<string>} problems - Problems found
+ * @returns {Error} Error with code 'INVALID_ERROR_LOGGER_CONFIG' and problems
  */
-function createMappingConfig(config = {}) {
-  return new MappingConfig(config);
+function createErrorLoggerConfigError(problems) {
+  const error = new Error(`Invalid MondayErrorLogger configuration: ${problems.join('; ')}`);
+  error.code = 'INVALID_ERROR_LOGGER_CONFIG';
+  error.problems = problems;
+  return error;
 }
 
 /**
- * Monday.com Dynamic Mapping Service
- * Handles dynamic mapping between external data and Monday.com boards
+ * Monday.com Error Logger with retry logic
+ * Standardized error logging to Monday.com boards
  */
-class MondayDynamicMapper {
-  constructor(mondayApiClient) {
+class MondayErrorLogger {
+  /**
+   * @param {MondayApiClient} mondayApiClient - Monday API client
+   * @param {Object} options - Logger options
+   * @param {Object|string} [options.columns] - Default column configuration ({ key: { monday_id,
+   *   monday_type } }), or 'auto' to discover columns from {tag} markers in column descriptions
+   * @param {Object} [options.fields] - Error field → column key overrides (see ERROR_LOGGER_FIELDS),
+   *   e.g. { errorName: 'error', severity: 'priority' }; overridden keys must exist in the columns
+   * @param {string} [options.payloadAttachment] - Attach payloads longer than payloadMaxLength as
+   *   payload.json: 'column' (file column configured as the payloadFile field) or 'update'
+   * @param {number} [options.payloadMaxLength=2000] - Payload length kept in the payload column
+   * @param {Object} [options.logger] - Logger, defaults to the client's
+   * @param {Object|boolean} [options.dedupe] - Group repeated errors on one open item instead of creating
+   *   a new item each time (true for defaults)
+   * @param {Array<string>} [options.dedupe.fields] - errorData fields making up the fingerprint
+   *   (default projectName, clientName, workflow, error)
+   * @param {string} [options.dedupe.fingerprintColumn='fingerprint'] - Column key holding the fingerprint
+   * @param {string} [options.dedupe.countColumn='occurrences'] - Numbers column key for the occurrence count
+   * @param {string} [options.dedupe.lastSeenColumn='last_seen'] - Date column key for the last occurrence
+   * @param {string} [options.dedupe.statusColumn='status'] - Status column key used to tell closed items
+   * @param {Array<string>} [options.dedupe.closedLabels] - Status labels of closed items
+   * @param {Object|boolean} [options.fallback] - Store for errors that could not be saved (see flush()),
+   *   kept across runs in a FileErrorSink at DEFAULT_ERROR_QUEUE_FILE (under os.tmpdir()) by default;
+   *   a MemoryErrorSink, any other store, or false to disable
+   * @param {string} [options.locale] - Locale of formatted amounts written to numbers columns (see sanitizeNumbers)
+   * @throws {Error} With code 'INVALID_ERROR_LOGGER_CONFIG' if fields or columns are invalid
+   */
+  constructor(mondayApiClient, options = {}) {
     this.mondayApiClient = mondayApiClient;
-    this.columnSettingsCache = new Map(); // Cache for board column settings
+    this.logger = toRedactingLogger(options.logger) || mondayApiClient.logger || defaultLogger;
+
+    const unknownFields = Object.keys(options.fields || {}).filter(field => !(field in ERROR_LOGGER_FIELDS));
+    if (unknownFields.length > 0) {
+      throw createErrorLoggerConfigError([
+        `unknown field(s) ${unknownFields.join(', ')} (expected one of ${Object.keys(ERROR_LOGGER_FIELDS).join(', ')})`
+      ]);
+    }
+    this.fields = { ...ERROR_LOGGER_FIELDS, ...(options.fields || {}) };
+    this.requiredFields = Object.keys(options.fields || {});
+    this.validateFields(this.fields);
+    this.columns = options.columns || null;
+    if (this.columns && this.columns !== 'auto') {
+      this.validateColumns(this.columns);
+    }
+
+    this.payloadAttachment = options.payloadAttachment || null;
+    this.payloadMaxLength = options.payloadMaxLength || 2000;
+    this.locale = options.locale || null;
+    this.fallback = options.fallback === false ? null : options.fallback && options.fallback !== true
+      ? options.fallback
+      : new FileErrorSink(DEFAULT_ERROR_QUEUE_FILE);
+    this.dedupe = options.dedupe ? {
+      fields: ['projectName', 'clientName', 'workflow', 'error'],
+      fingerprintColumn: 'fingerprint',
+      countColumn: 'occurrences',
+      lastSeenColumn: 'last_seen',
+      statusColumn: 'status',
+      closedLabels: ['Done', 'Closed', 'Résolu', 'Fermé'],
+      ...(typeof options.dedupe === 'object' ? options.dedupe : {})
+    } : null;
   }
 
   /**
-   * Fetches and caches column settings for a specific board
-   * @param {string|number} boardId - Monday.com board ID
-   * @returns {Promise<Map>} Map of column descriptions to column info
+   * Checks the merged field mapping: every field needs its own column key
+   * @param {Object} fields - Field → column key mapping (defaults merged with overrides)
+   * @throws {Error} With code 'INVALID_ERROR_LOGGER_CONFIG' listing every problem found
    */
-  async fetchBoardColumnSettings(boardId) {
-    const cacheKey = `board_${boardId}`;
-    
-    if (this.columnSettingsCache.has(cacheKey)) {
-      return this.columnSettingsCache.get(cacheKey);
+  validateFields(fields) {
+    const problems = [];
+    const fieldsByKey = {};
+    for (const [field, key] of Object.entries(fields)) {
+      if (typeof key !== 'string' || !key.trim()) {
+        problems.push(`field ${field} must be mapped to a column key`);
+        continue;
+      }
+      if (fieldsByKey[key]) {
+        problems.push(`fields ${fieldsByKey[key]} and ${field} are both mapped to column "${key}"`);
+        continue;
+      }
+      fieldsByKey[key] = field;
     }
 
-    try {
-      const columns = await this.mondayApiClient.getBoardColumns(boardId);
-      const columnMap = new Map();
-      
-      columns.forEach(column => {
-        // Extract tags from description (format: {tag_name}, {{tag_name}}, or {{{tag_name}}})
-        const description = column.description || '';
-        const tagMatches = description.match(/\{+([^{}]+)\}+/g);
-
-        if (tagMatches) {
-          tagMatches.forEach(match => {
-            // Remove ALL braces from both sides: {{{tag}}} → tag
-            const tag = match.replace(/^\{+|\}+$/g, '');
-            columnMap.set(tag, {
-              id: column.id,
-              title: column.title,
-              type: column.type,
-              settings_str: column.settings_str
-            });
-          });
-        }
-      });
-
-      this.columnSettingsCache.set(cacheKey, columnMap);
-      return columnMap;
-    } catch (error) {
-      console.error('Error fetching board column settings:', error);
-      throw new Error(`Failed to fetch column settings for board ${boardId}: ${error.message}`);
+    if (problems.length > 0) {
+      throw createErrorLoggerConfigError(problems);
     }
   }
 
   /**
-   * Sanitizes a value based on Monday column type
-   * @param {any} value - Value to sanitize
-   * @param {string} columnType - Monday column type
-   * @returns {any} Sanitized value appropriate for the column type
+   * Checks a column configuration against the field mapping
+   * @param {Object} columns - Column configuration
+   * @returns {Object} The columns, unchanged
+   * @throws {Error} With code 'INVALID_ERROR_LOGGER_CONFIG' listing every problem found
    */
-  sanitizeValueForColumnType(value, columnType) {
-    if (columnType === 'text') {
-      return sanitizeText(value);
-    } else if (columnType === 'long_text') {
-      return sanitizeText(value);
-    } else if (columnType === 'email') {
-      return sanitizeEmail(value);
-    } else if (columnType === 'phone') {
-      return sanitizePhone(value);
-    } else if (columnType === 'numbers') {
-      return sanitizeNumbers(value);
-    } else if (columnType === 'date') {
-      return sanitizeDate(value);
-    } else if (columnType === 'status') {
-      return sanitizeStatus(value);
-    } else if (columnType === 'dropdown') {
-      return sanitizeDropdown(value);
-    } else if (columnType === 'checkbox') {
-      return sanitizeCheckbox(value);
-    } else if (columnType === 'location') {
-      return sanitizeLocation(value);
-    } else if (columnType === 'board_relation') {
-      return sanitizeBoardRelation(value);
-    } else {
-      // Unknown type, return value as-is
-      return value;
+  validateColumns(columns) {
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+      throw createErrorLoggerConfigError(['columns must be an object of { monday_id, monday_type } entries']);
     }
-  }
 
-  /**
-   * Processes mapping configuration and external data to create Monday column values
-   * @param {Object} mappingConfig - Configuration object with mapping rules
-   * @param {Object} externalData - Data from external system to map
-   * @param {string|number} boardId - Monday.com board ID
-   * @returns {Promise<Object>} Monday-formatted column values object
-   */
-  async processMapping(mappingConfig, externalData, boardId) {
-    // First, populate the mapping config values with external data
-    const populatedConfig = this.populateConfigValues(mappingConfig, externalData);
-    
-    // Fetch board column settings
-    const columnMap = await this.fetchBoardColumnSettings(boardId);
-    
-    // Build column values for Monday
-    const columnValues = {};
-    
-    for (const [configKey, configData] of Object.entries(populatedConfig)) {
-      // Skip if not configured for Monday
-      if (!configData.in_monday) {
-        continue;
+    const problems = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (!column || typeof column !== 'object') {
+        problems.push(`column "${key}" must be an object`);
+      } else if (column.monday_id !== undefined && column.monday_id !== null && !['string', 'number'].includes(typeof column.monday_id)) {
+        problems.push(`column "${key}" has an invalid monday_id`);
       }
+    }
 
-      // Check if we have a matching column with this tag
-      if (columnMap.has(configKey)) {
-        const columnInfo = columnMap.get(configKey);
-        const sanitizedValue = this.sanitizeValueForColumnType(
-          configData.value, 
-          columnInfo.type
-        );
-
-        // Only add to column values if sanitized value is not null
-        if (sanitizedValue !== null) {
-          columnValues[columnInfo.id] = sanitizedValue;
-        }
+    this.requiredFields.forEach(field => {
+      const key = this.fields[field];
+      if (!columns[key]) {
+        problems.push(`field ${field} is mapped to column "${key}", which is not configured`);
       }
+    });
+
+    if (problems.length > 0) {
+      throw createErrorLoggerConfigError(problems);
     }
+    return columns;
+  }
 
-    return columnValues;
+  /**
+   * Builds a column configuration from {tag} markers in the board's column descriptions
+   * @param {string|number} boardId - Monday board ID
+   * @returns {Promise<Object>} { tag: { monday_id, monday_type } }
+   */
+  async discoverColumns(boardId) {
+    const boardColumns = await this.mondayApiClient.getBoardColumns(boardId);
+    const columns = {};
+    boardColumns.forEach(column => {
+      extractColumnTags(column.description).forEach(tag => {
+        columns[tag] = { monday_id: column.id, monday_type: column.type };
+      });
+    });
+    return this.validateColumns(columns);
   }
 
   /**
-   * Populates mapping configuration values with data from external system
-   * @param {Object} mappingConfig - Configuration object
-   * @param {Object} externalData - External system data
-   * @returns {Object} Configuration with populated values
+   * Resolves the columns to use for a call: explicit, default, or discovered from the board
+   * @param {string|number} boardId - Monday board ID
+   * @param {Object|string|null} columns - Columns passed to logError
+   * @returns {Promise<Object>} Validated column configuration
    */
-  populateConfigValues(mappingConfig, externalData) {
-    const populatedConfig = {};
-
-    for (const [configKey, configData] of Object.entries(mappingConfig)) {
-      // Create a copy of the config data
-      populatedConfig[configKey] = { ...configData };
-
-      // If in_remote is true and we have a remote_key, populate the value
-      if (configData.in_remote && configData.remote_key) {
-        const remoteValue = this.getNestedValue(externalData, configData.remote_key);
-        if (remoteValue !== undefined) {
-          populatedConfig[configKey].value = remoteValue;
-        }
-      }
+  async resolveColumns(boardId, columns) {
+    const source = columns || this.columns;
+    if (!source) {
+      throw createErrorLoggerConfigError(['no columns given to logError and no default columns configured']);
     }
-
-    return populatedConfig;
+    if (source === 'auto') {
+      return this.discoverColumns(boardId);
+    }
+    // The default columns were validated by the constructor
+    return source === this.columns ? source : this.validateColumns(source);
   }
 
   /**
-   * Gets nested value from object using dot notation
-   * @param {Object} obj - Object to search in
-   * @param {string} path - Dot notation path (e.g., 'user.address.street')
-   * @returns {any} Value at the specified path
+   * Computes the fingerprint identifying repeated occurrences of an error
+   * @param {Object} errorData - Error data
+   * @returns {string} Short hex fingerprint
    */
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => {
-      return current && current[key] !== undefined ? current[key] : undefined;
-    }, obj);
+  getFingerprint(errorData) {
+    const fields = this.dedupe ? this.dedupe.fields : ['projectName', 'clientName', 'workflow', 'error'];
+    const source = fields.map(field => {
+      const value = errorData[field];
+      return value === null || value === undefined ? '' : `${value}`.trim();
+    }).join('|');
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
   }
 
   /**
-   * Creates or updates a Monday item with mapped data
-   * @param {string|number} boardId - Monday.com board ID
-   * @param {Object} mappingConfig - Mapping configuration
-   * @param {Object} externalData - External system data
-   * @param {string} itemName - Name for the Monday item
-   * @param {string|number} itemId - ID for updating existing item (optional)
-   * @returns {Promise<Object>} Monday API response
+   * Finds an open error item carrying a fingerprint
+   * @param {string|number} boardId - Monday board ID
+   * @param {Object} columns - Column mapping configuration
+   * @param {string} fingerprint - Error fingerprint
+   * @returns {Promise<Object|null>} Open item (id, name, column_values) or null
    */
-  async createOrUpdateItem(boardId, mappingConfig, externalData, itemName, itemId = null) {
-    const columnValues = await this.processMapping(mappingConfig, externalData, boardId);
+  async findOpenErrorItem(boardId, columns, fingerprint) {
+    const { fingerprintColumn, countColumn, statusColumn, closedLabels } = this.dedupe;
+    const statusColumnId = columns[statusColumn]?.monday_id;
+    const columnIds = [columns[countColumn]?.monday_id, statusColumnId].filter(Boolean);
+    const closed = closedLabels.map(label => normalizeLabel(label, { caseInsensitive: true }));
 
-    if (itemId) {
-      // Update existing item
-      return this.mondayApiClient.updateItem(itemId, boardId, columnValues);
-    } else {
-      // Create new item
-      return this.mondayApiClient.createItem(boardId, itemName, columnValues);
+    // Every page of matches is read: closed occurrences can pile up before the open one
+    const items = this.mondayApiClient.iterateItems(boardId, {
+      queryParams: {
+        rules: [{ column_id: columns[fingerprintColumn].monday_id, compare_value: [fingerprint], operator: 'any_of' }]
+      },
+      columnIds
+    });
+
+    for await (const item of items) {
+      if (!statusColumnId) return item;
+      const status = (item.column_values || []).find(column => column.id === statusColumnId);
+      if (!status || !status.text || !closed.includes(normalizeLabel(status.text, { caseInsensitive: true }))) {
+        return item;
+      }
     }
+    return null;
   }
 
   /**
-   * Clears cached column settings for a board
-   * @param {string|number} boardId - Board ID to clear cache for
+   * Records one more occurrence on an existing error item: bumps the count and last-seen date and
+   * posts the payload as an update
+   * @param {string|number} boardId - Monday board ID
+   * @param {Object} columns - Column mapping configuration
+   * @param {Object} item - Existing error item (from findOpenErrorItem)
+   * @param {string} errorName - Error name
+   * @param {string} payloadText - Serialized payload
+   * @param {string} seenAt - Occurrence date (YYYY-MM-DD)
+   * @returns {Promise<number>} New occurrence count
    */
-  clearColumnCache(boardId = null) {
-    if (boardId) {
-      this.columnSettingsCache.delete(`board_${boardId}`);
-    } else {
-      this.columnSettingsCache.clear();
+  async recordOccurrence(boardId, columns, item, errorName, payloadText, seenAt) {
+    const { countColumn, lastSeenColumn } = this.dedupe;
+    const countColumnId = columns[countColumn]?.monday_id;
+    const lastSeenColumnId = columns[lastSeenColumn]?.monday_id;
+
+    const current = (item.column_values || []).find(column => column.id === countColumnId);
+    const previousCount = sanitizeNumbers(current?.text) || 1;
+    const occurrences = previousCount + 1;
+
+    const columnValues = {};
+    if (countColumnId) columnValues[countColumnId] = occurrences;
+    if (lastSeenColumnId) columnValues[lastSeenColumnId] = { date: seenAt };
+    if (Object.keys(columnValues).length > 0) {
+      await this.mondayApiClient.updateItem(item.id, boardId, columnValues);
     }
-  }
-}
 
-/**
- * Monday.com Error Logger with retry logic
- * Standardized error logging to Monday.com boards
- */
-class MondayErrorLogger {
-  constructor(mondayApiClient) {
-    this.mondayApiClient = mondayApiClient;
+    const attach = Boolean(this.payloadAttachment) && payloadText.length > this.payloadMaxLength;
+    const shownPayload = attach ? `${payloadText.slice(0, this.payloadMaxLength)}…` : payloadText;
+    const escapedPayload = shownPayload.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const update = await this.mondayApiClient.createUpdate(
+      item.id,
+      `Occurrence #${occurrences} on ${seenAt}: ${errorName}<br><pre>${escapedPayload}</pre>`
+    );
+
+    const updateId = update.data?.create_update?.id;
+    if (attach && updateId) {
+      try {
+        await this.mondayApiClient.addFileToUpdate(updateId, Buffer.from(payloadText, 'utf8'), 'payload.json', 'application/json');
+      } catch (error) {
+        this.logger.warn(`Failed to attach error payload: ${error.message}`, { itemId: item.id, operation: 'recordOccurrence' });
+      }
+    }
+
+    return occurrences;
   }
 
   /**
    * Logs an error to a Monday.com board with retry logic
    * @param {string|number} boardId - Monday board ID
-   * @param {Object} columns - Column mapping configuration
+   * @param {Object|string|null} columns - Column configuration, 'auto' for {tag} discovery, or null for
+   *   the logger's default columns
    * @param {Object} errorData - Error data to log
    * @param {string} errorData.projectName - Project name
    * @param {string} errorData.clientName - Client name
@@ -743,9 +5095,20 @@ class MondayErrorLogger {
    * @param {string} [errorData.errorType="dev"] - Error type: "dev" or "client"
    * @param {string} [errorData.clientWarnEmail] - Client warning email (optional)
    * @param {Object|string} [errorData.payload] - Error payload/context
-   * @returns {Promise<Object>} Result with monday_id, error name, and description
+   * @param {string|Date} [errorData.occurredAt] - When the error happened (defaults to now), written to
+   *   the occurredAt column, or appended to the description when replaying without that column
+   * @param {string} [errorData.severity] - Severity (optional)
+   * @param {string} [errorData.stack] - Stack trace (optional, defaults to error.stack for Error objects)
+   * @param {string} [errorData.runUrl] - Link to the workflow run (optional)
+   * @param {number} [errorData.retryCount] - Attempts made before giving up (optional)
+   * @param {string} [errorData.environment] - Environment, e.g. "production" (optional)
+   * @param {Object} options - Logging options
+   * @param {boolean} [options.fallback=true] - Store the error in the fallback sink if Monday cannot be reached
+   * @returns {Promise<Object>} Result with monday_id, error name, and description (queued: true when
+   *   the error went to the fallback sink; configError: true when the columns do not match the field
+   *   mapping, which is logged rather than thrown)
    */
-  async logError(boardId, columns, errorData) {
+  async logError(boardId, columns, errorData, options = {}) {
     const {
       projectName,
       clientName,
@@ -760,18 +5123,79 @@ class MondayErrorLogger {
     // Create error name
     const errorName = `${projectName} - ${clientName} - ${workflow} - ${error}`;
 
+    let occurredAt = errorData.occurredAt ? new Date(errorData.occurredAt) : new Date();
+    if (isNaN(occurredAt.getTime())) {
+      occurredAt = new Date();
+    }
+
+    let resolvedColumns;
+    try {
+      resolvedColumns = await this.resolveColumns(boardId, columns);
+    } catch (resolveError) {
+      if (resolveError.code === 'INVALID_ERROR_LOGGER_CONFIG') {
+        // Replaying would fail the same way: report it without queueing
+        this.logger.error(resolveError.message, { boardId, operation: 'logError' });
+        return {
+          monday_id: 0,
+          error: `***ERROR SAVING TO MONDAY - ${errorName}`,
+          description: `Failed to save: ${resolveError.message}`,
+          queued: false,
+          configError: true
+        };
+      }
+      return this.handleSaveFailure(boardId, columns, errorData, errorName, occurredAt, resolveError, options);
+    }
+
     // Clone columns to avoid mutation
-    const workingColumns = JSON.parse(JSON.stringify(columns));
+    const workingColumns = JSON.parse(JSON.stringify(resolvedColumns));
+    const fields = this.fields;
+
+    const payloadText = typeof payload === 'string' ? payload : JSON.stringify(payload || {});
+    const attachPayload = Boolean(this.payloadAttachment) && payloadText.length > this.payloadMaxLength;
 
     // Map error data to Monday columns
-    workingColumns.client.value = clientName || "À configurer";
-    workingColumns.client_warn_email.value = clientWarnEmail || "";
-    workingColumns.description.value = description || errorName;
-    workingColumns.erreur.value = errorName;
-    workingColumns.payload.value = typeof payload === 'string' ? payload : JSON.stringify(payload || {});
-    workingColumns.workflow.value = workflow;
-    workingColumns.projet.value = projectName || "À configurer";
-    workingColumns.error_type.value = errorType;
+    const values = {
+      clientName: clientName || "À configurer",
+      clientWarnEmail: clientWarnEmail || "",
+      description: description || errorName,
+      errorName,
+      payload: attachPayload
+        ? `${payloadText.slice(0, this.payloadMaxLength)}… (truncated, full payload attached as payload.json)`
+        : payloadText,
+      workflow,
+      projectName: projectName || "À configurer",
+      errorType,
+      occurredAt: {
+        date: occurredAt.toISOString().slice(0, 10),
+        time: occurredAt.toISOString().slice(11, 19)
+      },
+      severity: errorData.severity,
+      stack: errorData.stack || (error instanceof Error ? error.stack : undefined),
+      runUrl: errorData.runUrl,
+      retryCount: errorData.retryCount,
+      environment: errorData.environment
+    };
+
+    if (!workingColumns[fields.occurredAt] && errorData.occurredAt) {
+      values.description = `${values.description} (occurred at ${occurredAt.toISOString()})`;
+    }
+
+    for (const [field, value] of Object.entries(values)) {
+      const column = workingColumns[fields[field]];
+      if (column && value !== undefined) {
+        column.value = value;
+      }
+    }
+
+    const seenAt = occurredAt.toISOString().slice(0, 10);
+    const fingerprint = this.dedupe && resolvedColumns[this.dedupe.fingerprintColumn]?.monday_id
+      ? this.getFingerprint(errorData)
+      : null;
+    if (fingerprint) {
+      workingColumns[this.dedupe.fingerprintColumn].value = fingerprint;
+      if (workingColumns[this.dedupe.countColumn]) workingColumns[this.dedupe.countColumn].value = 1;
+      if (workingColumns[this.dedupe.lastSeenColumn]) workingColumns[this.dedupe.lastSeenColumn].value = seenAt;
+    }
 
     // Build column values for Monday API
     const columnValues = {};
@@ -794,7 +5218,11 @@ class MondayErrorLogger {
 
       // Clean numbers
       if (mondayColType === "numbers") {
-        mondayVal = sanitizeNumbers(mondayVal);
+        mondayVal = sanitizeNumbers(mondayVal, { locale: column.locale || this.locale, percent: column.percent });
+      }
+
+      if (mondayColType === "link" && mondayVal) {
+        mondayVal = sanitizeLink(mondayVal);
       }
 
       // Skip empty values (but allow 0)
@@ -806,6 +5234,27 @@ class MondayErrorLogger {
     }
 
     try {
+      if (fingerprint) {
+        let existing = null;
+        try {
+          existing = await this.findOpenErrorItem(boardId, resolvedColumns, fingerprint);
+        } catch (error) {
+          this.logger.warn(`Error deduplication lookup failed, creating a new item: ${error.message}`, { boardId, operation: 'logError' });
+        }
+
+        if (existing) {
+          const occurrences = await this.recordOccurrence(boardId, resolvedColumns, existing, errorName, payloadText, seenAt);
+          return {
+            monday_id: existing.id,
+            error: errorName,
+            description: description || errorName,
+            fingerprint,
+            occurrences,
+            deduplicated: true
+          };
+        }
+      }
+
       const response = await this.mondayApiClient.createItem(
         boardId,
         errorName,
@@ -820,19 +5269,511 @@ class MondayErrorLogger {
         finalErrorName = `***NOT SAVED IN MONDAY - ${errorName}`;
       }
 
-      return {
+      const result = {
         monday_id: mondayId,
         error: finalErrorName,
         description: description || errorName
       };
 
+      if (fingerprint) {
+        result.fingerprint = fingerprint;
+        result.occurrences = 1;
+        result.deduplicated = false;
+      }
+
+      if (attachPayload && mondayId) {
+        result.payload_attached = await this.attachPayload(mondayId, resolvedColumns, payloadText);
+      }
+
+      return result;
+
     } catch (error) {
-      return {
-        monday_id: 0,
-        error: `***ERROR SAVING TO MONDAY - ${errorName}`,
-        description: `Failed to save: ${error.message}`
-      };
+      return this.handleSaveFailure(boardId, resolvedColumns, errorData, errorName, occurredAt, error, options);
+    }
+  }
+
+  /**
+   * Logs a failed save and stores the error in the fallback sink
+   * @param {string|number} boardId - Monday board ID
+   * @param {Object|string|null} columns - Columns to replay with
+   * @param {Object} errorData - Error data
+   * @param {string} errorName - Error name
+   * @param {Date} occurredAt - When the error happened
+   * @param {Error} error - Save failure
+   * @param {Object} options - logError options
+   * @returns {Promise<Object>} logError failure result
+   */
+  async handleSaveFailure(boardId, columns, errorData, errorName, occurredAt, error, options) {
+    this.logger.error(`Failed to save error to Monday: ${error.message}`, { boardId, operation: 'logError' });
+
+    const queued = options.fallback !== false &&
+      await this.queueError(boardId, columns, { ...errorData, occurredAt }, error.message);
+
+    return {
+      monday_id: 0,
+      error: `***ERROR SAVING TO MONDAY - ${errorName}`,
+      description: `Failed to save: ${error.message}`,
+      queued
+    };
+  }
+
+  /**
+   * Stores an error in the fallback sink without calling Monday, to be saved by the next flush()
+   * @param {string|number} boardId - Monday board ID
+   * @param {Object|string|null} columns - Columns to replay with
+   * @param {Object} errorData - Error data (see logError)
+   * @param {string} [failure] - Why the error was not saved right away
+   * @returns {Promise<boolean>} Whether the error was queued (false without a fallback sink)
+   */
+  async queueError(boardId, columns, errorData, failure = 'queued without calling Monday') {
+    if (!this.fallback) {
+      return false;
+    }
+
+    let occurredAt = errorData.occurredAt ? new Date(errorData.occurredAt) : new Date();
+    if (isNaN(occurredAt.getTime())) {
+      occurredAt = new Date();
+    }
+
+    try {
+      await this.fallback.append({
+        id: crypto.randomBytes(8).toString('hex'),
+        boardId,
+        columns: columns || null,
+        errorData: { ...errorData, occurredAt: occurredAt.toISOString() },
+        failedAt: new Date().toISOString(),
+        failure
+      });
+      return true;
+    } catch (sinkError) {
+      this.logger.error(`Failed to store error in fallback sink: ${sinkError.message}`, { boardId, operation: 'logError' });
+      return false;
+    }
+  }
+
+  /**
+   * Replays errors stored in the fallback sink to their boards, keeping their original timestamps
+   * Errors that still cannot be saved stay in the sink for the next flush.
+   * @returns {Promise<Object>} { replayed, failed, results }
+   */
+  async flush() {
+    if (!this.fallback) {
+      return { replayed: 0, failed: 0, results: [] };
+    }
+
+    const entries = await this.fallback.readAll();
+    const remaining = [];
+    const replayed = [];
+    const results = [];
+
+    for (const entry of entries) {
+      let result;
+      try {
+        result = await this.logError(entry.boardId, entry.columns, entry.errorData, { fallback: false });
+      } catch (error) {
+        this.logger.error(`Cannot replay queued error: ${error.message}`, { boardId: entry.boardId, operation: 'flush' });
+        result = { monday_id: 0, error: `***ERROR SAVING TO MONDAY - ${error.message}`, description: error.message };
+      }
+      results.push(result);
+      if (!result.monday_id) {
+        remaining.push(entry);
+      } else {
+        replayed.push(entry);
+      }
+    }
+
+    // Only the replayed entries are dropped: errors queued while replaying stay in the sink
+    if (replayed.length > 0) {
+      if (typeof this.fallback.remove === 'function' && replayed.every(entry => entry.id)) {
+        await this.fallback.remove(replayed.map(entry => entry.id));
+      } else {
+        const replayedKeys = replayed.map(entry => JSON.stringify(entry));
+        const current = await this.fallback.readAll();
+        await this.fallback.replace(current.filter(entry => !replayedKeys.includes(JSON.stringify(entry))));
+      }
+    }
+    if (entries.length > 0) {
+      this.logger.info(`Replayed ${entries.length - remaining.length} of ${entries.length} queued errors`, { operation: 'flush' });
+    }
+
+    return {
+      replayed: entries.length - remaining.length,
+      failed: remaining.length,
+      results
+    };
+  }
+
+  /**
+   * Uploads the full payload as payload.json on the error item
+   * A failed upload does not fail the error logging itself.
+   * @param {string|number} itemId - Error item ID
+   * @param {Object} columns - Column mapping configuration
+   * @param {string} payloadText - Serialized payload
+   * @returns {Promise<boolean>} Whether the payload was attached
+   */
+  async attachPayload(itemId, columns, payloadText) {
+    try {
+      const data = Buffer.from(payloadText, 'utf8');
+
+      if (this.payloadAttachment === 'column') {
+        const fileColumnId = columns[this.fields.payloadFile]?.monday_id;
+        if (!fileColumnId) {
+          this.logger.warn(`payloadAttachment is "column" but columns.${this.fields.payloadFile}.monday_id is not set`, { itemId });
+          return false;
+        }
+        await this.mondayApiClient.addFileToColumn(itemId, fileColumnId, data, 'payload.json', 'application/json');
+        return true;
+      }
+
+      const update = await this.mondayApiClient.createUpdate(itemId, 'Full error payload attached.');
+      const updateId = update.data?.create_update?.id;
+      if (!updateId) {
+        return false;
+      }
+      await this.mondayApiClient.addFileToUpdate(updateId, data, 'payload.json', 'application/json');
+      return true;
+    } catch (error) {
+      this.logger.warn(`Failed to attach error payload: ${error.message}`, { itemId, operation: 'attachPayload' });
+      return false;
+    }
+  }
+}
+
+/**
+ * Bulk sync runner
+ * Upserts a list of external records with bounded concurrency and reports the outcome of each record
+ * instead of stopping at the first failure. Requests go through the mapper's client, so its retries,
+ * rate limit handling and complexity budget apply to every write.
+ *
+ * Events:
+ * - 'record' ({ index, recordId, status, itemId, error, durationMs }) after each record
+ * - 'progress' ({ processed, total, created, updated, skipped, failed }) after each record
+ * - 'deadline' ({ processed, pending }) when the run stops early to respect the deadline
+ */
+class MondayBulkSync extends EventEmitter {
+  /**
+   * @param {MondayDynamicMapper} mapper - Mapper used to write the records
+   * @param {Object} options - Runner options
+   * @param {number} [options.concurrency=4] - Records processed at the same time
+   * @param {MondayErrorLogger} [options.errorLogger] - Logs failed records to an error board
+   * @param {string|number} [options.errorBoardId] - Error board ID (required with errorLogger)
+   * @param {Object|string|null} [options.errorColumns=null] - Error board columns (see MondayErrorLogger.logError)
+   * @param {Object} [options.errorData] - Fields added to every logged error (projectName, clientName, workflow, ...)
+   * @param {string} [options.errorLogMode='summary'] - 'summary' (one error listing the failed records)
+   *   or 'each' (one error per failed record)
+   * @param {Object} [options.logger] - Logger, defaults to the mapper's
+   */
+  constructor(mapper, options = {}) {
+    super();
+    this.mapper = mapper;
+    this.logger = toRedactingLogger(options.logger) || mapper.logger || defaultLogger;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.errorLogger = options.errorLogger || null;
+    this.errorBoardId = options.errorBoardId || null;
+    this.errorColumns = options.errorColumns || null;
+    this.errorData = options.errorData || {};
+    this.errorLogMode = options.errorLogMode || 'summary';
+    this.activeRuns = new Set();
+    this.stopRequested = false;
+    this.retryConfigs = null;
+
+    if (this.errorLogger && !this.errorBoardId) {
+      throw new Error('MondayBulkSync requires options.errorBoardId with options.errorLogger');
+    }
+  }
+
+  /**
+   * Stops starting new records; records already being written finish and the rest are reported as pending
+   * Applies to every run in progress, or to the next run when none is.
+   */
+  stop() {
+    if (this.activeRuns.size === 0) {
+      this.stopRequested = true;
+      return;
+    }
+    this.activeRuns.forEach(run => {
+      run.stopped = true;
+    });
+  }
+
+  /**
+   * Upserts every record on a board
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Array<Object>} records - External records
+   * @param {Object} options - Run options
+   * @param {string} [options.key] - Upsert key (see upsertItem), defaults to the entry flagged remote_id
+   * @param {Function|string} [options.itemName] - (record, index) => item name, or a remote_key expression;
+   *   defaults to the upsert key value
+   * @param {boolean} [options.diff] - See createOrUpdateItem
+   * @param {boolean} [options.dryRun] - See createOrUpdateItem
+   * @param {Date|number} [options.deadline] - Time (Date or epoch ms) by which the run must be over
+   * @param {number} [options.timeLimit] - Same as deadline, in ms from the start of the run
+   * @param {number} [options.deadlineMargin=5000] - No record is started when less than this margin plus the
+   *   average record duration remains before the deadline, and retries of records in progress give up rather
+   *   than wait past the deadline minus this margin
+   * @returns {Promise<Object>} Report: { total, created, updated, skipped, failed, pending, counts, timedOut,
+   *   stopped, startedAt, finishedAt, durationMs, errorLogged } where created/updated/skipped hold
+   *   { index, recordId, itemId }, failed holds { index, recordId, itemId, error: { name, message, code } }
+   *   and pending the records never started
+   * @throws {Error} When the mapping has no upsert key
+   */
+  async run(boardId, mappingConfig, records, options = {}) {
+    const key = this.mapper.resolveUpsertKey(mappingConfig, options.key);
+    if (!key || !mappingConfig[key]) {
+      throw new Error('Bulk sync requires options.key or a mapping entry with remote_id: true');
+    }
+
+    const startedAt = Date.now();
+    const deadline = options.deadline !== undefined && options.deadline !== null
+      ? new Date(options.deadline).getTime()
+      : options.timeLimit ? startedAt + options.timeLimit : null;
+    const deadlineMargin = options.deadlineMargin ?? 5000;
+
+    const report = {
+      total: records.length,
+      created: [],
+      updated: [],
+      skipped: [],
+      failed: [],
+      pending: [],
+      counts: null,
+      timedOut: false,
+      stopped: false,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      errorLogged: false
+    };
+    // Retries of records in progress give up rather than wait past the deadline minus the margin
+    const run = { stopped: this.stopRequested, retryDeadline: deadline !== null ? deadline - deadlineMargin : null };
+    this.stopRequested = false;
+    this.activeRuns.add(run);
+    if (this.activeRuns.size === 1) {
+      this.capClientRetries();
+    }
+
+    let next = 0;
+    let processed = 0;
+    let busyMs = 0;
+
+    const hasTimeLeft = () => {
+      if (deadline === null) return true;
+      const averageMs = processed > 0 ? busyMs / processed : 0;
+      return Date.now() + averageMs + deadlineMargin < deadline;
+    };
+
+    const worker = async () => {
+      while (next < records.length && !run.stopped) {
+        if (!hasTimeLeft()) {
+          report.timedOut = true;
+          return;
+        }
+
+        const index = next++;
+        const entry = await this.syncRecord(boardId, mappingConfig, records[index], index, key, options);
+        processed++;
+        busyMs += entry.durationMs;
+
+        const { status, durationMs, ...result } = entry;
+        report[status].push(result);
+        this.emit('record', entry);
+        this.emit('progress', {
+          processed,
+          total: records.length,
+          created: report.created.length,
+          updated: report.updated.length,
+          skipped: report.skipped.length,
+          failed: report.failed.length
+        });
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, records.length) }, worker));
+    } finally {
+      this.activeRuns.delete(run);
+      if (this.activeRuns.size === 0) {
+        this.restoreClientRetries();
+      }
     }
+
+    for (let index = next; index < records.length; index++) {
+      report.pending.push({ index, recordId: this.getRecordId(mappingConfig, records[index], key) });
+    }
+    report.stopped = run.stopped;
+    if (report.timedOut) {
+      this.emit('deadline', { processed, pending: report.pending.length });
+    }
+
+    report.counts = {
+      created: report.created.length,
+      updated: report.updated.length,
+      skipped: report.skipped.length,
+      failed: report.failed.length,
+      pending: report.pending.length
+    };
+    report.finishedAt = new Date().toISOString();
+    report.durationMs = Date.now() - startedAt;
+
+    const level = report.failed.length > 0 || report.pending.length > 0 ? 'warn' : 'info';
+    this.logger[level](`Bulk sync on board ${boardId}: ${JSON.stringify(report.counts)}`, {
+      boardId,
+      operation: 'bulkSync',
+      durationMs: report.durationMs,
+      timedOut: report.timedOut
+    });
+
+    if (this.errorLogger && report.failed.length > 0) {
+      // Past the deadline the failures only go to the fallback queue, without calling Monday
+      const queueOnly = deadline !== null && Date.now() + deadlineMargin >= deadline;
+      report.errorLogged = await this.logFailures(boardId, report, records, { queueOnly });
+    }
+
+    return report;
+  }
+
+  /**
+   * Replaces the client's retry config, while runs are in progress, with one whose deadline is the earliest of
+   * the runs' (and of the original config's)
+   * The deadline is read on each retry, so it follows the runs as they start and end.
+   */
+  capClientRetries() {
+    const client = this.mapper.mondayApiClient;
+    const original = client.retryConfig;
+    const runs = this.activeRuns;
+    const capped = Object.create(original, {
+      deadline: {
+        get() {
+          const deadlines = [...runs].map(run => run.retryDeadline).filter(deadline => deadline !== null);
+          if (original.deadline) deadlines.push(original.deadline);
+          return deadlines.length > 0 ? Math.min(...deadlines) : null;
+        }
+      }
+    });
+    client.setRetryConfig(capped);
+    this.retryConfigs = { original, capped };
+  }
+
+  /**
+   * Puts back the client's retry config replaced by capClientRetries, unless it was replaced again since
+   */
+  restoreClientRetries() {
+    if (!this.retryConfigs) return;
+    const client = this.mapper.mondayApiClient;
+    if (client.retryConfig === this.retryConfigs.capped) {
+      client.setRetryConfig(this.retryConfigs.original);
+    }
+    this.retryConfigs = null;
+  }
+
+  /**
+   * Upserts one record, never throws
+   * @param {string|number} boardId - Monday.com board ID
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} record - External record
+   * @param {number} index - Position in the run
+   * @param {string} key - Upsert key
+   * @param {Object} options - Run options
+   * @returns {Promise<Object>} { index, recordId, status, itemId, error, durationMs }
+   */
+  async syncRecord(boardId, mappingConfig, record, index, key, options) {
+    const start = Date.now();
+    const entry = { index, recordId: null, status: 'failed', itemId: null, error: null, durationMs: 0 };
+
+    try {
+      entry.recordId = this.getRecordId(mappingConfig, record, key);
+      const result = await this.mapper.upsertItem(boardId, mappingConfig, record, this.getItemName(record, index, entry.recordId, options), {
+        key,
+        diff: options.diff,
+        dryRun: options.dryRun
+      });
+
+      if (result.action === 'ambiguous') {
+        const error = new Error(`${result.matches.length} items match ${key} "${entry.recordId}"`);
+        error.code = 'AMBIGUOUS_MATCH';
+        throw error;
+      }
+
+      entry.status = result.action;
+      entry.itemId = result.itemId ?? null;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = { name: error.name, message: error.message, code: error.code || error.errorCode || null };
+      this.logger.warn(`Bulk sync failed for record ${entry.recordId ?? index}: ${error.message}`, {
+        boardId,
+        operation: 'bulkSync'
+      });
+    }
+
+    if (entry.status !== 'failed') {
+      delete entry.error;
+    }
+    entry.durationMs = Date.now() - start;
+    return entry;
+  }
+
+  /**
+   * @param {Object} mappingConfig - Mapping configuration
+   * @param {Object} record - External record
+   * @param {string} key - Upsert key
+   * @returns {any} Value of the upsert key in the record, null if missing
+   */
+  getRecordId(mappingConfig, record, key) {
+    try {
+      return this.mapper.populateConfigValues({ [key]: mappingConfig[key] }, record)[key].value ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getItemName(record, index, recordId, options) {
+    if (typeof options.itemName === 'function') return options.itemName(record, index);
+    if (typeof options.itemName === 'string') return `${this.mapper.getNestedValue(record, options.itemName) ?? recordId ?? ''}`;
+    return `${recordId ?? `Record ${index + 1}`}`;
+  }
+
+  /**
+   * Logs the failed records with the error logger
+   * @param {string|number} boardId - Synced board ID
+   * @param {Object} report - Run report
+   * @param {Array<Object>} records - External records
+   * @param {Object} options - Logging options
+   * @param {boolean} [options.queueOnly=false] - Store the errors in the error logger's fallback queue
+   *   instead of calling Monday
+   * @returns {Promise<boolean>} Whether every error reached Monday (or the fallback queue)
+   */
+  async logFailures(boardId, report, records, options = {}) {
+    const base = { errorType: 'dev', ...this.errorData };
+    const entries = this.errorLogMode === 'each'
+      ? report.failed.map(failure => ({
+        ...base,
+        error: failure.error.message,
+        description: `Record ${failure.recordId ?? failure.index} could not be synced to board ${boardId}`,
+        payload: { error: failure.error, record: records[failure.index] }
+      }))
+      : [{
+        ...base,
+        error: `${report.failed.length} of ${report.total} records could not be synced`,
+        description: `Bulk sync on board ${boardId}: ${JSON.stringify(report.counts)}`,
+        payload: { counts: report.counts, failed: report.failed }
+      }];
+
+    let logged = true;
+    for (const errorData of entries) {
+      try {
+        if (options.queueOnly) {
+          logged = await this.errorLogger.queueError(this.errorBoardId, this.errorColumns, errorData, 'bulk sync deadline reached') && logged;
+          continue;
+        }
+        const result = await this.errorLogger.logError(this.errorBoardId, this.errorColumns, errorData);
+        logged = logged && Boolean(result.monday_id || result.queued);
+      } catch (error) {
+        logged = false;
+        this.logger.error(`Failed to log bulk sync failures: ${error.message}`, { boardId, operation: 'bulkSync' });
+      }
+    }
+    return logged;
   }
 }
 
@@ -882,10 +5823,11 @@ async function fetchMonday(apiKey, query) {
  * Legacy function - cleans and converts values to numbers
  * @deprecated Use sanitizeNumbers instead
  * @param {any} value - Value to clean
+ * @param {Object} [options] - sanitizeNumbers options ({ locale, strict, percent })
  * @returns {number} Cleaned number
  */
-function cleanNumbers(value) {
-  const result = sanitizeNumbers(value);
+function cleanNumbers(value, options = {}) {
+  const result = sanitizeNumbers(value, options);
   return result === null ? 0 : result;
 }
 
@@ -895,15 +5837,53 @@ module.exports = {
   
   // New standardized classes
   MondayApiClient,
+  ComplexityBudget,
+  BoardSchemaCache,
+  MemoryCacheBackend,
+  FileCacheBackend,
   MappingConfig,
   createMappingConfig,
   MondayDynamicMapper,
   MondayErrorLogger,
+  MondayBulkSync,
+  ERROR_LOGGER_FIELDS,
+  MemoryErrorSink,
+  FileErrorSink,
+  DEFAULT_ERROR_QUEUE_FILE,
+  ColumnTypeRegistry,
+  READ_ONLY_COLUMN_TYPES,
+  LABEL_COLUMN_TYPES,
+  extractColumnTags,
+  evaluateRemoteKey,
+  parseRemoteKey,
+  REMOTE_KEY_TRANSFORMS,
+  parseColumnLabels,
+  normalizeLabel,
+  findLabel,
+  translateValue,
+  diffColumnValues,
   
+  // Errors
+  MondayApiError,
+  MondayNetworkError,
+  MondayHttpError,
+  MondayAuthError,
+  MondayNotFoundError,
+  MondayGraphQLError,
+  MondayRateLimitError,
+  MondayColumnValueError,
+
+  // Logging
+  createLogger,
+  redact,
+  LOG_LEVELS,
+
   // Retry system
   RetryConfig,
   withRetry,
   isRetryableError,
+  getRetryAfterHint,
+  parseRetryAfter,
   
   // Sanitization functions
   sanitizeText,
@@ -911,11 +5891,36 @@ module.exports = {
   sanitizePhone,
   sanitizeNumbers,
   sanitizeDate,
+  parseDateParts,
+  toDateString,
   sanitizeStatus,
   sanitizeDropdown,
   sanitizeCheckbox,
   sanitizeLocation,
   sanitizeBoardRelation,
+  sanitizePeople,
+  sanitizeTimeline,
+  sanitizeHour,
+  sanitizeLink,
+  sanitizeRating,
+  sanitizeTags,
+  sanitizeCountry,
+  sanitizeWeek,
+  sanitizeWorldClock,
+  sanitizeColorPicker,
+
+  // Column value parsing functions
+  parseColumnValue,
+  parseText,
+  parseNumbers,
+  parseDate,
+  parseStatus,
+  parseDropdown,
+  parseEmail,
+  parsePhone,
+  parseCheckbox,
+  parseLocation,
+  parseBoardRelation,
   
   // Legacy functions for backward compatibility
   logErrorToMonday,
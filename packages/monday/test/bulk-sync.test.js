@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MondayBulkSync,
+  MondayDynamicMapper,
+  MondayErrorLogger,
+  MemoryErrorSink,
+  RetryConfig,
+  createMappingConfig,
+  createLogger
+} = require('..');
+const { createFakeClient, createSampleBoard } = require('./helpers');
+
+const silent = createLogger({ level: 'silent' });
+
+const mapping = {
+  ref: createMappingConfig({ remote_key: 'DocNumber', remote_id: true }),
+  total: createMappingConfig({ remote_key: 'Total', strict: true })
+};
+
+function createRunner(client, options = {}) {
+  return new MondayBulkSync(new MondayDynamicMapper(client, { logger: silent }), { logger: silent, ...options });
+}
+
+test('run reports created, updated, skipped and failed records', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.addItem(boardId, 'INV-1', { ref: 'INV-1', total: 10 });
+  fake.addItem(boardId, 'INV-2', { ref: 'INV-2', total: 20 });
+  const runner = createRunner(client, { concurrency: 2 });
+  const progress = [];
+  runner.on('progress', event => progress.push(event.processed));
+
+  const report = await runner.run(boardId, mapping, [
+    { DocNumber: 'INV-1', Total: 15 },
+    { DocNumber: 'INV-2', Total: 20 },
+    { DocNumber: 'INV-3', Total: 'thirty' },
+    { DocNumber: 'INV-4', Total: 40 },
+    { Total: 50 }
+  ], { diff: true });
+
+  assert.deepEqual(report.counts, { created: 1, updated: 1, skipped: 1, failed: 2, pending: 0 });
+  assert.deepEqual(report.created.map(entry => entry.recordId), ['INV-4']);
+  assert.deepEqual(report.failed.map(entry => entry.index).sort(), [2, 4]);
+  assert.equal(report.failed.find(entry => entry.index === 2).error.code, 'INVALID_NUMBER');
+  assert.deepEqual(progress, [1, 2, 3, 4, 5]);
+  assert.equal(fake.getItems(boardId).find(item => item.name === 'INV-4').text.total, '40');
+});
+
+test('run never has more records in flight than the concurrency', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const runner = createRunner(client, { concurrency: 2 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const upsertItem = runner.mapper.upsertItem.bind(runner.mapper);
+  runner.mapper.upsertItem = async (...args) => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    try {
+      return await upsertItem(...args);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  const records = Array.from({ length: 6 }, (_, index) => ({ DocNumber: `INV-${index}`, Total: index }));
+  const report = await runner.run(boardId, mapping, records);
+
+  assert.equal(report.counts.created, 6);
+  assert.equal(maxInFlight, 2);
+});
+
+test('run stops before the deadline and when asked to', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const records = Array.from({ length: 4 }, (_, index) => ({ DocNumber: `INV-${index}`, Total: index }));
+
+  const late = createRunner(client);
+  let deadlineEvent = null;
+  late.on('deadline', event => { deadlineEvent = event; });
+  const timedOut = await late.run(boardId, mapping, records, { timeLimit: 1000, deadlineMargin: 1000 });
+  assert.equal(timedOut.timedOut, true);
+  assert.deepEqual(timedOut.pending.map(entry => entry.recordId), ['INV-0', 'INV-1', 'INV-2', 'INV-3']);
+  assert.deepEqual(deadlineEvent, { processed: 0, pending: 4 });
+
+  const stopping = createRunner(client, { concurrency: 1 });
+  stopping.on('record', entry => entry.index === 1 && stopping.stop());
+  const stopped = await stopping.run(boardId, mapping, records);
+  assert.equal(stopped.stopped, true);
+  assert.deepEqual(stopped.counts, { created: 2, updated: 0, skipped: 0, failed: 0, pending: 2 });
+});
+
+test('stop applies to the next run when none is in progress and runs stop independently', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const records = Array.from({ length: 3 }, (_, index) => ({ DocNumber: `INV-${index}`, Total: index }));
+
+  const runner = createRunner(client, { concurrency: 1 });
+  runner.stop();
+  const early = await runner.run(boardId, mapping, records);
+  assert.equal(early.stopped, true);
+  assert.equal(early.counts.pending, 3);
+
+  const next = await runner.run(boardId, mapping, records);
+  assert.equal(next.stopped, false);
+  assert.equal(next.counts.created, 3);
+
+  const shared = createRunner(client, { concurrency: 1 });
+  const first = shared.run(boardId, mapping, records);
+  shared.stop();
+  const second = shared.run(boardId, mapping, records.map(record => ({ ...record, DocNumber: `${record.DocNumber}-B` })));
+  const [firstReport, secondReport] = await Promise.all([first, second]);
+  assert.equal(firstReport.stopped, true);
+  assert.equal(firstReport.counts.pending, 2);
+  assert.equal(secondReport.stopped, false);
+  assert.equal(secondReport.counts.created, 3);
+});
+
+test('retries of records in progress do not wait past the deadline', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const retryConfig = new RetryConfig({ maxRetries: 3, delays: [30000], respectRetryAfter: false, logger: silent });
+  client.setRetryConfig(retryConfig);
+  let giveUp = null;
+  retryConfig.onGiveUp = event => { giveUp = event; };
+  fake.failNext({ operation: 'create_item', status: 503, times: 4 });
+
+  const startedAt = Date.now();
+  const report = await createRunner(client).run(boardId, mapping, [{ DocNumber: 'A', Total: 1 }], { timeLimit: 2000, deadlineMargin: 500 });
+
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.equal(report.counts.failed, 1);
+  assert.equal(giveUp.reason, 'deadline_exceeded');
+  assert.equal(fake.getCalls('create_item').length, 1);
+  assert.equal(client.retryConfig, retryConfig);
+});
+
+test('failures past the deadline are queued instead of written to Monday', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const errorBoardId = fake.createBoard({ name: 'Errors', columns: [{ id: 'erreur', type: 'text', description: '{erreur}' }] });
+  const sink = new MemoryErrorSink();
+  const errorLogger = new MondayErrorLogger(client, { columns: 'auto', fallback: sink, logger: silent });
+  const runner = createRunner(client, { errorLogger, errorBoardId, errorData: { workflow: 'invoices' } });
+  const upsertItem = runner.mapper.upsertItem.bind(runner.mapper);
+  runner.mapper.upsertItem = async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return upsertItem(...args);
+  };
+
+  const report = await runner.run(boardId, mapping, [{ DocNumber: 'B', Total: 'x' }], { timeLimit: 20, deadlineMargin: 0 });
+
+  assert.equal(report.counts.failed, 1);
+  assert.equal(report.errorLogged, true);
+  assert.equal(fake.getItems(errorBoardId).length, 0);
+  assert.equal((await sink.readAll()).length, 1);
+});
+
+test('failures are logged to the error board', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const errorBoardId = fake.createBoard({
+    name: 'Errors',
+    columns: [
+      { id: 'erreur', type: 'text', description: '{erreur}' },
+      { id: 'workflow', type: 'text', description: '{workflow}' },
+      { id: 'payload', type: 'long_text', description: '{payload}' }
+    ]
+  });
+  const errorLogger = new MondayErrorLogger(client, { columns: 'auto', fallback: new MemoryErrorSink(), logger: silent });
+  const runner = createRunner(client, { errorLogger, errorBoardId, errorData: { projectName: 'Sync', clientName: 'ACME', workflow: 'invoices' } });
+
+  const report = await runner.run(boardId, mapping, [{ DocNumber: 'A', Total: 1 }, { DocNumber: 'B', Total: 'x' }]);
+
+  assert.equal(report.errorLogged, true);
+  const [errorItem] = fake.getItems(errorBoardId);
+  assert.match(errorItem.text.erreur, /1 of 2 records could not be synced$/);
+  assert.equal(errorItem.text.workflow, 'invoices');
+  assert.equal(JSON.parse(errorItem.text.payload).failed[0].recordId, 'B');
+});
@@ -0,0 +1,312 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  MondayColumnValueError,
+  MondayNetworkError,
+  MondayAuthError,
+  MondayApiError,
+  MondayNotFoundError,
+  MondayHttpError,
+  MondayRateLimitError,
+  MondayGraphQLError,
+  ComplexityBudget,
+  BoardSchemaCache,
+  FileCacheBackend,
+  getRetryAfterHint
+} = require('..');
+const { createFakeClient, createSampleBoard } = require('./helpers');
+
+test('createItem and updateItem write column values', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+
+  const response = await client.createItem(boardId, 'INV-1', { ref: 'INV-1', total: 120, status: { label: 'Open' } });
+  const itemId = response.data.create_item.id;
+  await client.updateItem(itemId, boardId, { status: { label: 'Paid' }, due: { date: '2024-05-01' } });
+
+  assert.deepEqual(fake.getItem(itemId).text, { ref: 'INV-1', total: '120', status: 'Paid', due: '2024-05-01' });
+});
+
+test('getBoardColumns is served from the schema cache', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+
+  await client.getBoardColumns(boardId);
+  const columns = await client.getBoardColumns(boardId);
+
+  assert.ok(columns.some(column => column.id === 'status'));
+  assert.equal(fake.getCalls('GetBoardColumns').length, 1);
+});
+
+test('the schema cache is shared through its backend, expires and is dropped on column changes', async () => {
+  const filePath = path.join(os.tmpdir(), `monday-schema-cache-${process.pid}.json`);
+  const fake = createFakeClient().fake;
+  const boardId = createSampleBoard(fake);
+  const first = createFakeClient({ fake, schemaCache: new BoardSchemaCache({ backend: new FileCacheBackend(filePath) }) }).client;
+  const second = createFakeClient({ fake, schemaCache: new BoardSchemaCache({ backend: new FileCacheBackend(filePath) }) }).client;
+
+  try {
+    await first.getBoardColumns(boardId);
+    await second.getBoardColumns(boardId);
+    assert.equal(fake.getCalls('GetBoardColumns').length, 1);
+
+    await second.createColumn(boardId, 'Notes', 'text');
+    const columns = await first.getBoardColumns(boardId);
+    assert.ok(columns.some(column => column.title === 'Notes'));
+    assert.equal(fake.getCalls('GetBoardColumns').length, 2);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  const writes = [];
+  const entries = new Map();
+  const backend = {
+    get: async key => entries.get(key) || null,
+    set: async (key, value, options) => { writes.push(options); entries.set(key, value); },
+    delete: async key => { entries.delete(key); }
+  };
+  const { client } = createFakeClient({ fake, schemaCache: new BoardSchemaCache({ backend, ttl: 1500 }) });
+  await client.getBoardColumns(boardId);
+  entries.forEach(entry => { entry.expiresAt = Date.now() - 1; });
+  await client.getBoardColumns(boardId);
+
+  assert.deepEqual(writes, [{ ttl: 2 }, { ttl: 2 }]);
+  assert.equal(fake.getCalls('GetBoardColumns').length, 4);
+});
+
+test('invalid column values raise MondayColumnValueError without retrying', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+
+  await assert.rejects(
+    client.createItem(boardId, 'Bad', { total: 'twelve' }),
+    error => error instanceof MondayColumnValueError && error.errorCode === 'ColumnValueException'
+  );
+  assert.equal(fake.getCalls('CreateItem').length, 1);
+});
+
+test('retries server errors and complexity errors', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.failNext({ type: 'http', status: 502, operation: 'CreateItem' });
+  fake.failNext({ type: 'complexity', retryAfter: 0, operation: 'CreateItem' });
+
+  const response = await client.createItem(boardId, 'Retried');
+
+  assert.ok(response.data.create_item.id);
+  assert.deepEqual(fake.getCalls('CreateItem').map(call => call.status), [502, 200, 200]);
+  assert.equal(fake.getCalls('CreateItem')[1].errors[0].extensions.code, 'ComplexityException');
+});
+
+test('network and auth failures surface as typed errors', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  fake.failNext({ type: 'network' });
+  await assert.rejects(client.getItem(1), MondayNetworkError);
+
+  fake.failNext({ type: 'http', status: 401, body: { errors: [{ message: 'Not Authenticated' }] } });
+  await assert.rejects(client.getItem(1), error => error instanceof MondayAuthError && error.status === 401);
+});
+
+test('iterateItems follows cursors across pages', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  for (let index = 1; index <= 5; index++) {
+    fake.addItem(boardId, `Item ${index}`, { total: index });
+  }
+
+  const names = [];
+  for await (const item of client.iterateItems(boardId, { limit: 2, columnIds: ['total'] })) {
+    names.push(item.name);
+    assert.deepEqual(item.column_values.map(columnValue => columnValue.id), ['total']);
+  }
+
+  assert.deepEqual(names, ['Item 1', 'Item 2', 'Item 3', 'Item 4', 'Item 5']);
+  assert.equal(fake.getCalls('GetNextItemsPage').length, 2);
+});
+
+test('batchMutate reports each operation separately', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const existingId = fake.addItem(boardId, 'Existing');
+
+  const results = await client.batchMutate([
+    { type: 'create', boardId, itemName: 'New', columnValues: { total: 1 } },
+    { type: 'update', boardId, itemId: existingId, columnValues: { total: 'oops' } },
+    { type: 'update', boardId, itemId: existingId, columnValues: { ref: 'R-1' } }
+  ]);
+
+  assert.deepEqual(results.map(result => result.ok), [true, false, true]);
+  assert.equal(results[1].error.extensions.code, 'ColumnValueException');
+  assert.equal(fake.getItem(existingId).text.ref, 'R-1');
+  assert.equal(fake.getCalls('BatchMutation').length, 1);
+});
+
+test('batchMutate only creates missing labels when an operation asks for it', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+
+  const results = await client.batchMutate([
+    { type: 'create', boardId, itemName: 'Default', columnValues: { status: { label: 'Disputed' } } },
+    { type: 'create', boardId, itemName: 'Allowed', columnValues: { status: { label: 'Disputed' } }, createLabels: true }
+  ]);
+
+  const { variables } = fake.getCalls('BatchMutation')[0];
+  assert.equal(variables.labels_0, false);
+  assert.equal(variables.labels_1, true);
+  assert.deepEqual(results.map(result => result.ok), [false, true]);
+});
+
+test('batchMutate rejects malformed operations before writing anything', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const operations = Array.from({ length: 3 }, (_, index) => ({ type: 'create', boardId, itemName: `Item ${index}` }));
+
+  await assert.rejects(
+    client.batchMutate([...operations, { type: 'archive', boardId, itemId: 1 }], { chunkSize: 2 }),
+    /Unknown batch operation type: archive/
+  );
+  assert.equal(fake.getCalls('BatchMutation').length, 0);
+  assert.equal(fake.getItems(boardId).length, 0);
+});
+
+test('findItemsByColumnValues matches on column text', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.addItem(boardId, 'A', { ref: 'A-1', status: 'Open' });
+  fake.addItem(boardId, 'B', { ref: 'B-1', status: 'Paid' });
+
+  const items = await client.findItemsByColumnValues(boardId, 'ref', ['B-1'], { columnIds: ['status'] });
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].name, 'B');
+  assert.equal(items[0].column_values[0].text, 'Paid');
+});
+
+test('subitems are created on the subitem board', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const parentId = fake.addItem(boardId, 'Parent');
+
+  await client.createSubitem(parentId, 'Line 1', { qty: 2 });
+  const subitems = await client.getSubitems(parentId);
+
+  assert.equal(subitems.length, 1);
+  assert.equal(subitems[0].board.id, await client.getSubitemBoardId(boardId));
+  assert.equal(fake.getItem(subitems[0].id).text.qty, '2');
+});
+
+test('updates, replies and file uploads', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = fake.createBoard({ columns: [{ id: 'files', type: 'file' }] });
+  const itemId = fake.addItem(boardId, 'With files');
+
+  const update = await client.createUpdate(itemId, 'First');
+  await client.replyToUpdate(update.data.create_update.id, 'Reply');
+  await client.addFileToUpdate(update.data.create_update.id, Buffer.from('{}'), 'payload.json', 'application/json');
+  await client.addFileToColumn(itemId, 'files', Buffer.from('a,b'), 'export.csv', 'text/csv');
+
+  const updates = fake.getUpdates(itemId);
+  assert.deepEqual(updates.map(entry => entry.body), ['First', 'Reply']);
+  assert.equal(updates[0].assets[0].name, 'payload.json');
+  assert.equal(fake.getItem(itemId).text.files, 'export.csv');
+  assert.equal(fake.getCalls('AddFileToColumn')[0].files.file.filename, 'export.csv');
+});
+
+test('file uploads are sent again in full when retried', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = fake.createBoard({ columns: [{ id: 'files', type: 'file' }] });
+  const itemId = fake.addItem(boardId, 'With files');
+  fake.failNext({ type: 'http', status: 502, operation: 'AddFileToColumn' });
+
+  const response = await client.addFileToColumn(itemId, 'files', 'id,total\n1,10\n', 'invoices.csv', 'text/csv');
+
+  const calls = fake.getCalls('AddFileToColumn');
+  assert.equal(response.data.add_file_to_column.name, 'invoices.csv');
+  assert.deepEqual(calls.map(call => call.status), [502, 200]);
+  assert.deepEqual(calls.map(call => call.files.file), [
+    { filename: 'invoices.csv', size: 14, contentType: 'text/csv' },
+    { filename: 'invoices.csv', size: 14, contentType: 'text/csv' }
+  ]);
+  assert.doesNotMatch(calls[1].query, /complexity/);
+});
+
+test('the complexity reset only delays rate limit retries', () => {
+  const data = { complexity: { before: 900, after: 890, reset_in_x_seconds: 45 } };
+  const serverError = new MondayApiError('Internal server error', { errorCode: 'INTERNAL_SERVER_ERROR', data });
+  const budgetError = new MondayRateLimitError('Complexity budget exhausted', { errorCode: 'ComplexityException', data });
+
+  assert.equal(getRetryAfterHint(serverError), null);
+  assert.equal(getRetryAfterHint(budgetError), 45000);
+});
+
+test('errors are classified by code, not by message', async () => {
+  const { fake, client } = createFakeClient();
+  fake.failNext({ type: 'graphql', code: 'RecordInvalidException', message: 'Validation failed: name is too long' });
+  await assert.rejects(client.getItem(1), MondayColumnValueError);
+
+  fake.failNext({ type: 'graphql', code: 'maxComplexityExceeded', message: 'Query has complexity of 6000000, which exceeds max complexity of 5000000' });
+  await assert.rejects(client.getItem(1), error => error instanceof MondayGraphQLError && !(error instanceof MondayRateLimitError));
+  assert.equal(fake.getCalls('GetItem').length, 2);
+});
+
+test('typed errors carry the code, status, request id and failing query', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  fake.failNext({ type: 'graphql', code: 'InvalidBoardIdException', message: 'Board not found' });
+  const notFound = await client.getBoardColumns(404).catch(error => error);
+
+  assert.ok(notFound instanceof MondayNotFoundError && notFound instanceof MondayApiError);
+  assert.equal(notFound.name, 'MondayNotFoundError');
+  assert.equal(notFound.errorCode, 'InvalidBoardIdException');
+  assert.equal(notFound.queryName, 'GetBoardColumns');
+  assert.match(notFound.requestId, /^fake-\d+$/);
+
+  fake.failNext({ type: 'http', status: 418 });
+  assert.ok(await client.getItem(1).catch(error => error) instanceof MondayHttpError);
+
+  fake.failNext({ type: 'http', status: 429, retryAfter: 7 });
+  const limited = await client.getItem(1).catch(error => error);
+  assert.ok(limited instanceof MondayRateLimitError);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.retryAfter, 7000);
+});
+
+test('the client records query complexity and waits when the budget runs low', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+
+  await client.getBoardColumns(boardId);
+  assert.match(fake.getCalls('GetBoardColumns')[0].query, /complexity \{/);
+  assert.equal(typeof client.complexityBudget.remaining, 'number');
+  assert.ok(client.complexityBudget.estimateCost('GetBoardColumns') > 0);
+
+  const budget = new ComplexityBudget({ maxWait: 1000 });
+  budget.record('GetItems', { query: 100, after: 150, reset_in_x_seconds: 0.05 });
+  await budget.acquire('GetItems');
+  assert.equal(budget.remaining, 50);
+
+  const start = Date.now();
+  await budget.acquire('GetItems');
+  assert.ok(Date.now() - start >= 40);
+  assert.equal(budget.remaining, null);
+});
+
+test('getItems filters with query_params rules and stops at maxItems', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  for (let index = 1; index <= 6; index++) {
+    fake.addItem(boardId, `Item ${index}`, { status: index % 2 ? 'Open' : 'Paid' });
+  }
+
+  const open = await client.getItems(boardId, {
+    queryParams: { rules: [{ column_id: 'status', compare_value: ['Open'], operator: 'any_of' }] }
+  });
+  assert.deepEqual(open.map(item => item.name), ['Item 1', 'Item 3', 'Item 5']);
+
+  const firstTwo = await client.getItems(boardId, { limit: 2, maxItems: 2 });
+  assert.deepEqual(firstTwo.map(item => item.name), ['Item 1', 'Item 2']);
+  assert.equal(fake.getCalls('GetNextItemsPage').length, 0);
+});
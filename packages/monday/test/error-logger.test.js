@@ -0,0 +1,257 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MondayErrorLogger, MemoryErrorSink, FileErrorSink, DEFAULT_ERROR_QUEUE_FILE, createLogger } = require('..');
+const { createFakeClient } = require('./helpers');
+
+function createErrorBoard(fake) {
+  return fake.createBoard({
+    name: 'Errors',
+    columns: [
+      { id: 'erreur', title: 'Erreur', type: 'text', description: '{erreur}' },
+      { id: 'client', title: 'Client', type: 'text', description: '{client}' },
+      { id: 'workflow', title: 'Workflow', type: 'text', description: '{workflow}' },
+      { id: 'payload', title: 'Payload', type: 'long_text', description: '{payload}' },
+      { id: 'status', title: 'Status', type: 'status', description: '{status}', labels: ['Open', 'Done'] },
+      { id: 'fingerprint', title: 'Fingerprint', type: 'text', description: '{fingerprint}' },
+      { id: 'occurrences', title: 'Occurrences', type: 'numbers', description: '{occurrences}' },
+      { id: 'severity', title: 'Severity', type: 'status', description: '{severity}', labels: ['Low', 'High'] }
+    ]
+  });
+}
+
+const errorData = {
+  projectName: 'Sync',
+  clientName: 'ACME',
+  workflow: 'qbo-to-monday',
+  error: 'Invoice not found',
+  payload: { invoiceId: 42 }
+};
+
+function createErrorLogger(client, options = {}) {
+  return new MondayErrorLogger(client, {
+    columns: 'auto',
+    fallback: false,
+    logger: createLogger({ level: 'silent' }),
+    ...options
+  });
+}
+
+test('logError writes the error fields to the discovered columns', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+
+  const result = await createErrorLogger(client).logError(boardId, null, { ...errorData, severity: 'High' });
+
+  const item = fake.getItem(result.monday_id);
+  assert.equal(item.name, 'Sync - ACME - qbo-to-monday - Invoice not found');
+  assert.equal(item.text.client, 'ACME');
+  assert.equal(item.text.payload, '{"invoiceId":42}');
+  assert.equal(item.text.severity, 'High');
+});
+
+test('dedupe counts repeated errors on the open item', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+  const errorLogger = createErrorLogger(client, { dedupe: true });
+
+  const first = await errorLogger.logError(boardId, null, errorData);
+  const second = await errorLogger.logError(boardId, null, errorData);
+
+  assert.equal(second.monday_id, first.monday_id);
+  assert.equal(second.occurrences, 2);
+  assert.equal(fake.getItem(first.monday_id).text.occurrences, '2');
+  assert.equal(fake.getUpdates(first.monday_id).length, 1);
+
+  await client.updateItem(first.monday_id, boardId, { status: { label: 'Done' } });
+  const third = await errorLogger.logError(boardId, null, errorData);
+  assert.notEqual(third.monday_id, first.monday_id);
+  assert.equal(third.deduplicated, false);
+});
+
+test('dedupe fingerprints only the configured fields and attaches long payloads to the occurrence', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+  const errorLogger = createErrorLogger(client, { dedupe: { fields: ['workflow'] }, payloadAttachment: 'update', payloadMaxLength: 10 });
+
+  const first = await errorLogger.logError(boardId, null, errorData);
+  const second = await errorLogger.logError(boardId, null, { ...errorData, error: 'Invoice locked', payload: { invoiceId: 43, lines: [1, 2, 3] } });
+  const other = await errorLogger.logError(boardId, null, { ...errorData, workflow: 'monday-to-qbo' });
+
+  assert.equal(second.monday_id, first.monday_id);
+  assert.notEqual(other.monday_id, first.monday_id);
+  assert.equal(errorLogger.getFingerprint({ workflow: ' qbo-to-monday ' }), errorLogger.getFingerprint(errorData));
+  const occurrence = fake.getUpdates(first.monday_id).find(update => update.body.startsWith('Occurrence #2'));
+  assert.match(occurrence.body, /^Occurrence #2 on \d{4}-\d{2}-\d{2}: /);
+  assert.deepEqual(occurrence.assets.map(asset => asset.name), ['payload.json']);
+});
+
+test('dedupe finds the open item behind many closed occurrences', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+  const errorLogger = createErrorLogger(client, { dedupe: true });
+  const fingerprint = errorLogger.getFingerprint(errorData);
+  for (let index = 0; index < 30; index++) {
+    fake.addItem(boardId, `Closed ${index}`, { fingerprint, status: { label: 'Done' } });
+  }
+  const openId = fake.addItem(boardId, 'Open', { fingerprint, status: { label: 'Open' }, occurrences: 3 });
+
+  const result = await errorLogger.logError(boardId, null, errorData);
+
+  assert.equal(result.monday_id, openId);
+  assert.equal(result.occurrences, 4);
+});
+
+test('errors are queued while Monday is down and replayed by flush', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  const boardId = createErrorBoard(fake);
+  const sink = new MemoryErrorSink();
+  const errorLogger = createErrorLogger(client, { fallback: sink });
+
+  fake.failNext({ type: 'network' });
+  const failed = await errorLogger.logError(boardId, null, { ...errorData, occurredAt: '2024-01-02T03:04:05Z' });
+  assert.equal(failed.monday_id, 0);
+  assert.equal(failed.queued, true);
+  assert.equal((await sink.readAll()).length, 1);
+
+  const flushed = await errorLogger.flush();
+  assert.deepEqual({ replayed: flushed.replayed, failed: flushed.failed }, { replayed: 1, failed: 0 });
+  assert.equal((await sink.readAll()).length, 0);
+  assert.equal(fake.getItems(boardId).length, 1);
+});
+
+test('errors stay queued until a flush can save them, also in sinks without remove', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  const boardId = createErrorBoard(fake);
+  let entries = [];
+  const sink = {
+    append: async entry => { entries.push(entry); },
+    readAll: async () => entries.slice(),
+    replace: async next => { entries = next; }
+  };
+  const errorLogger = createErrorLogger(client, { fallback: sink });
+
+  fake.failNext({ type: 'network', times: 2 });
+  await errorLogger.logError(boardId, null, errorData);
+  const stillDown = await errorLogger.flush();
+  assert.deepEqual({ replayed: stillDown.replayed, failed: stillDown.failed }, { replayed: 0, failed: 1 });
+  assert.equal(entries.length, 1);
+
+  fake.failNext({ type: 'network' });
+  const notQueued = await errorLogger.logError(boardId, null, errorData, { fallback: false });
+  assert.equal(notQueued.queued, false);
+
+  const flushed = await errorLogger.flush();
+  assert.equal(flushed.replayed, 1);
+  assert.deepEqual(entries, []);
+  assert.equal(fake.getItems(boardId).length, 1);
+});
+
+test('flush keeps errors queued while it replays', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  const boardId = createErrorBoard(fake);
+  const sink = new MemoryErrorSink();
+  const errorLogger = createErrorLogger(client, { fallback: sink });
+  fake.failNext({ type: 'network' });
+  await errorLogger.logError(boardId, null, errorData);
+
+  const createItem = client.createItem.bind(client);
+  client.createItem = async (...args) => {
+    client.createItem = createItem;
+    await sink.append({ id: 'late', boardId, columns: null, errorData });
+    return createItem(...args);
+  };
+  const flushed = await errorLogger.flush();
+
+  assert.equal(flushed.replayed, 1);
+  assert.deepEqual((await sink.readAll()).map(entry => entry.id), ['late']);
+});
+
+test('the file sink needs an explicit path and removes entries by id', async () => {
+  const filePath = path.join(os.tmpdir(), `monday-error-sink-${process.pid}.jsonl`);
+  const sink = new FileErrorSink(filePath);
+  await sink.append({ id: 'a', errorData });
+  await sink.append({ id: 'b', errorData });
+  await sink.remove(['a']);
+
+  assert.throws(() => new FileErrorSink(), /requires a file path/);
+  assert.deepEqual((await sink.readAll()).map(entry => entry.id), ['b']);
+  await sink.replace([]);
+  assert.equal(fs.existsSync(filePath), false);
+});
+
+test('renamed fields are written to the configured columns', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+  const errorLogger = createErrorLogger(client, {
+    fields: { errorName: 'error', clientName: 'customer', retryCount: 'attempts' },
+    columns: {
+      error: { monday_id: 'erreur', monday_type: 'text' },
+      customer: { monday_id: 'client', monday_type: 'text' },
+      attempts: { monday_id: 'occurrences', monday_type: 'numbers' }
+    }
+  });
+
+  const result = await errorLogger.logError(boardId, null, { ...errorData, retryCount: 3 });
+
+  assert.deepEqual(fake.getItem(result.monday_id).text, {
+    erreur: 'Sync - ACME - qbo-to-monday - Invoice not found',
+    client: 'ACME',
+    occurrences: '3'
+  });
+});
+
+test('errors are queued to a file by default and replayed by the next run', async () => {
+  const { fake, client } = createFakeClient({ retries: 0 });
+  const boardId = createErrorBoard(fake);
+  const filePath = path.join(os.tmpdir(), `monday-error-queue-${process.pid}.jsonl`);
+  const silent = createLogger({ level: 'silent' });
+
+  const defaultLogger = new MondayErrorLogger(client, { columns: 'auto', logger: silent });
+  assert.ok(defaultLogger.fallback instanceof FileErrorSink);
+  assert.equal(defaultLogger.fallback.filePath, DEFAULT_ERROR_QUEUE_FILE);
+  assert.equal(path.dirname(DEFAULT_ERROR_QUEUE_FILE), os.tmpdir());
+
+  try {
+    fake.failNext({ type: 'network' });
+    const failed = await createErrorLogger(client, { fallback: new FileErrorSink(filePath) }).logError(boardId, null, errorData);
+    assert.equal(failed.queued, true);
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+
+    const flushed = await createErrorLogger(client, { fallback: new FileErrorSink(filePath) }).flush();
+    assert.equal(flushed.replayed, 1);
+    assert.equal(fake.getItems(boardId).length, 1);
+    assert.equal(fs.existsSync(filePath), false);
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+});
+
+test('invalid configurations are rejected up front', () => {
+  const { client } = createFakeClient();
+
+  assert.throws(
+    () => new MondayErrorLogger(client, { fields: { errorName: 'error' }, columns: { erreur: { monday_id: 'text' } } }),
+    error => error.code === 'INVALID_ERROR_LOGGER_CONFIG' && /errorName/.test(error.message)
+  );
+  assert.throws(
+    () => new MondayErrorLogger(client, { fields: { errorName: 'client' } }),
+    error => error.code === 'INVALID_ERROR_LOGGER_CONFIG' && /clientName and errorName/.test(error.message)
+  );
+});
+
+test('logError reports column problems instead of throwing', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createErrorBoard(fake);
+  const errorLogger = createErrorLogger(client, { fields: { severity: 'priority' } });
+
+  const result = await errorLogger.logError(boardId, null, errorData);
+
+  assert.equal(result.monday_id, 0);
+  assert.equal(result.configError, true);
+  assert.match(result.description, /severity is mapped to column "priority"/);
+  assert.equal(fake.getItems(boardId).length, 0);
+});
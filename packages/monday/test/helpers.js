@@ -0,0 +1,49 @@
+const { MondayApiClient, RetryConfig, createLogger } = require('..');
+const { FakeMonday } = require('../testing');
+
+/**
+ * Creates a fake Monday account and a client wired to it, with instant retries and no log output
+ * @param {Object} options - { retries, fake, schemaCache }
+ * @returns {Object} { fake, client }
+ */
+function createFakeClient(options = {}) {
+  const fake = options.fake || new FakeMonday();
+  const client = new MondayApiClient('test-api-key', new RetryConfig({
+    maxRetries: options.retries !== undefined ? options.retries : 2,
+    delays: [0],
+    respectRetryAfter: false
+  }), {
+    fetch: fake.fetch,
+    logger: createLogger({ level: 'silent' }),
+    schemaCache: options.schemaCache
+  });
+  return { fake, client };
+}
+
+/**
+ * Creates a board with one column per common type, tagged {type}
+ * @param {FakeMonday} fake - Fake account
+ * @returns {string} Board ID
+ */
+function createSampleBoard(fake) {
+  return fake.createBoard({
+    name: 'Invoices',
+    columns: [
+      { id: 'ref', title: 'Reference', type: 'text', description: '{ref}' },
+      { id: 'status', title: 'Status', type: 'status', description: '{status}', labels: ['Open', 'Paid'] },
+      { id: 'total', title: 'Total', type: 'numbers', description: '{total}' },
+      { id: 'due', title: 'Due date', type: 'date', description: '{due}' },
+      { id: 'email', title: 'Email', type: 'email', description: '{email}' },
+      { id: 'tags', title: 'Tags', type: 'dropdown', description: '{tags}', labels: ['Urgent'] }
+    ],
+    subitemColumns: [
+      { id: 'sku', title: 'SKU', type: 'text', description: '{sku}' },
+      { id: 'qty', title: 'Quantity', type: 'numbers', description: '{qty}' }
+    ]
+  });
+}
+
+module.exports = {
+  createFakeClient,
+  createSampleBoard
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MondayApiClient, RetryConfig, redact, createLogger } = require('..');
+const { FakeMonday } = require('../testing');
+
+test('redact hides French phone numbers', () => {
+  assert.equal(redact('Call 06 12 34 56 78 today'), 'Call [REDACTED_PHONE] today');
+  assert.equal(redact('Call +33 6 12 34 56 78 today'), 'Call [REDACTED_PHONE] today');
+  assert.equal(redact('Call 0612345678 or 514-555-0199'), 'Call [REDACTED_PHONE] or [REDACTED_PHONE]');
+  assert.equal(redact('Invoice 2024-03-15 total 1250.50'), 'Invoice 2024-03-15 total 1250.50');
+});
+
+test('createLogger filters by level and child loggers keep their fields and secrets', () => {
+  const entries = [];
+  const logger = createLogger({ level: 'info', sink: entry => entries.push(entry), secrets: ['key-123'], fields: { workflow: 'sync' } });
+  const child = logger.child({ boardId: 42 });
+
+  logger.debug('Not written');
+  child.info('Using key-123', { token: 'abc', error: new Error('Failed for jane@example.com') });
+  logger.addSecret('late-secret');
+  child.warn('Rotated to late-secret');
+
+  assert.deepEqual(entries.map(entry => [entry.level, entry.message]), [
+    ['info', 'Using [REDACTED]'],
+    ['warn', 'Rotated to [REDACTED]']
+  ]);
+  assert.equal(entries[0].workflow, 'sync');
+  assert.equal(entries[0].boardId, 42);
+  assert.equal(entries[0].token, '[REDACTED]');
+  assert.deepEqual(entries[0].error, { name: 'Error', message: 'Failed for [REDACTED_EMAIL]', code: undefined });
+});
+
+test('loggers passed in options receive redacted entries', async () => {
+  const entries = [];
+  const logger = {
+    debug: (message, fields) => entries.push({ message, fields }),
+    info: (message, fields) => entries.push({ message, fields }),
+    warn: (message, fields) => entries.push({ message, fields }),
+    error: (message, fields) => entries.push({ message, fields })
+  };
+  const fake = new FakeMonday();
+  fake.failNext({ type: 'http', status: 502, message: 'Upstream failed for jane@example.com, call 06 12 34 56 78' });
+  const client = new MondayApiClient('secret-api-key', new RetryConfig({ maxRetries: 1, delays: [0], respectRetryAfter: false }), {
+    fetch: fake.fetch,
+    logger
+  });
+
+  await client.query('query Me { me { id } }').catch(() => {});
+  client.logger.warn('Using secret-api-key', { email: 'jane@example.com', token: 'abc' });
+
+  const output = JSON.stringify(entries);
+  assert.ok(entries.length > 1);
+  assert.doesNotMatch(output, /secret-api-key|jane@example\.com|06 12 34 56 78|"abc"/);
+});
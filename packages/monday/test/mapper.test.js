@@ -0,0 +1,380 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MondayDynamicMapper, MondayColumnValueError, createMappingConfig, createLogger } = require('..');
+const { createFakeClient, createSampleBoard } = require('./helpers');
+
+function createMapper(client) {
+  return new MondayDynamicMapper(client, { logger: createLogger({ level: 'silent' }) });
+}
+
+function invoiceMapping(overrides = {}) {
+  return {
+    ref: createMappingConfig({ remote_key: 'DocNumber', remote_id: true }),
+    status: createMappingConfig({ remote_key: 'Status', translator: { open: 'Open', paid: 'Paid' } }),
+    total: createMappingConfig({ remote_key: 'Amount.Total' }),
+    due: createMappingConfig({ remote_key: 'DueDate' }),
+    ...overrides
+  };
+}
+
+const invoice = { DocNumber: 'INV-7', Status: 'open', Amount: { Total: '1250.50' }, DueDate: '2024-03-15' };
+
+test('createOrUpdateItem maps external data onto tagged columns', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+
+  const response = await mapper.createOrUpdateItem(boardId, invoiceMapping(), invoice, 'INV-7');
+
+  assert.deepEqual(fake.getItem(response.data.create_item.id).text, {
+    ref: 'INV-7',
+    status: 'Open',
+    total: '1250.5',
+    due: '2024-03-15'
+  });
+});
+
+test('diff updates skip unchanged items and dry runs write nothing', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const created = await mapper.createOrUpdateItem(boardId, invoiceMapping(), invoice, 'INV-7');
+  const itemId = created.data.create_item.id;
+
+  assert.equal(created.action, 'created');
+  assert.equal(created.itemId, itemId);
+
+  const unchanged = await mapper.createOrUpdateItem(boardId, invoiceMapping(), invoice, 'INV-7', itemId, { diff: true });
+  assert.equal(unchanged.action, 'skipped');
+  assert.equal(unchanged.data, null);
+
+  const planned = await mapper.createOrUpdateItem(boardId, invoiceMapping(), { ...invoice, Status: 'paid' }, 'INV-7', itemId, { diff: true, dryRun: true });
+  assert.equal(planned.action, 'updated');
+  assert.deepEqual(Object.keys(planned.diff), ['status']);
+  assert.equal(fake.getItem(itemId).text.status, 'Open');
+  assert.equal(fake.getCalls('UpdateItem').length, 0);
+});
+
+test('dry-run creates and plain updates return the same result shape', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+
+  const planned = await mapper.createOrUpdateItem(boardId, invoiceMapping(), invoice, 'INV-7', null, { dryRun: true });
+  assert.deepEqual(
+    { action: planned.action, dryRun: planned.dryRun, itemId: planned.itemId, response: planned.response, data: planned.data },
+    { action: 'created', dryRun: true, itemId: null, response: null, data: null }
+  );
+  assert.equal(planned.columnValues.ref, 'INV-7');
+  assert.equal(fake.getCalls('CreateItem').length, 0);
+
+  const itemId = fake.addItem(boardId, 'INV-7', { ref: 'INV-7' });
+  const updated = await mapper.createOrUpdateItem(boardId, invoiceMapping(), invoice, 'INV-7', itemId);
+  assert.equal(updated.action, 'updated');
+  assert.equal(updated.diff, null);
+  assert.equal(updated.data, updated.response.data);
+  assert.equal(fake.getItem(itemId).text.total, '1250.5');
+});
+
+test('upsertItem finds the existing item by its external key', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+
+  const first = await mapper.upsertItem(boardId, invoiceMapping(), invoice, 'INV-7');
+  const second = await mapper.upsertItem(boardId, invoiceMapping(), { ...invoice, Status: 'paid' }, 'INV-7');
+
+  assert.equal(first.action, 'created');
+  assert.equal(second.action, 'updated');
+  assert.equal(second.itemId, first.itemId);
+  assert.equal(fake.getItems(boardId).length, 1);
+  assert.equal(fake.getItem(first.itemId).text.status, 'Paid');
+});
+
+test('upsertItem reports several matching items as ambiguous and writes nothing', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  fake.addItem(boardId, 'INV-7', { ref: 'INV-7' });
+  fake.addItem(boardId, 'INV-7 (copy)', { ref: 'INV-7' });
+
+  const result = await mapper.upsertItem(boardId, invoiceMapping(), invoice, 'INV-7');
+
+  assert.equal(result.action, 'ambiguous');
+  assert.equal(result.itemId, null);
+  assert.deepEqual(result.matches.map(match => match.name), ['INV-7', 'INV-7 (copy)']);
+  assert.equal(fake.getCalls('CreateItem').length + fake.getCalls('UpdateItem').length, 0);
+  await assert.rejects(
+    mapper.upsertItem(boardId, invoiceMapping(), { ...invoice, DocNumber: '' }, 'INV-7'),
+    /Upsert key "ref" has no value/
+  );
+});
+
+test('bulkCreateOrUpdate writes mapped records in chunks and reports mapping failures per record', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const existingId = fake.addItem(boardId, 'INV-1', { ref: 'INV-1', status: 'Open' });
+  const mapping = invoiceMapping({ status: createMappingConfig({ remote_key: 'Status', translator: { open: 'Open', paid: 'Paid' }, label_policy: 'reject' }) });
+
+  const results = await mapper.bulkCreateOrUpdate(boardId, mapping, [
+    { externalData: { ...invoice, DocNumber: 'INV-1', Status: 'paid' }, itemName: 'INV-1', itemId: existingId },
+    { externalData: { ...invoice, DocNumber: 'INV-2' }, itemName: 'INV-2' },
+    { externalData: { ...invoice, DocNumber: 'INV-3', Status: 'void' }, itemName: 'INV-3' },
+    { externalData: { ...invoice, DocNumber: 'INV-4' }, itemName: 'INV-4' }
+  ], { chunkSize: 2 });
+
+  assert.deepEqual(results.map(result => `${result.index}:${result.type}:${result.ok}`), ['0:update:true', '1:create:true', '2:create:false', '3:create:true']);
+  assert.equal(results[2].error.code, 'INVALID_LABEL');
+  assert.equal(fake.getCalls('BatchMutation').length, 2);
+  assert.equal(fake.getItem(existingId).text.status, 'Paid');
+  assert.deepEqual(fake.getItems(boardId).map(item => item.name), ['INV-1', 'INV-2', 'INV-4']);
+});
+
+test('reverseMapping reads an item back into the external shape', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const itemId = fake.addItem(boardId, 'INV-7', { ref: 'INV-7', status: 'Paid', total: 99, due: { date: '2024-03-15' } });
+
+  const external = await mapper.reverseMapping(invoiceMapping(), await client.getItem(itemId), boardId);
+
+  assert.deepEqual(external, { DocNumber: 'INV-7', Status: 'paid', Amount: { Total: 99 }, DueDate: '2024-03-15' });
+});
+
+test('reverseMapping parses each column type and skips entries it cannot write back', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const itemId = fake.addItem(boardId, 'INV-8', {
+    ref: 'INV-8',
+    email: { email: 'billing@example.com', text: 'Billing' },
+    tags: { labels: ['Urgent'] },
+    total: 12
+  });
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'Customer.Ref' }),
+    email: createMappingConfig({ remote_key: 'Customer.Email' }),
+    tags: createMappingConfig({ remote_key: 'Tags' }),
+    total: createMappingConfig({ remote_key: 'Lines[0].Amount' }),
+    due: createMappingConfig({ remote_key: 'DueDate', in_remote: false })
+  };
+
+  const external = await mapper.reverseMapping(mapping, await client.getItem(itemId), boardId);
+
+  assert.deepEqual(external, { Customer: { Ref: 'INV-8', Email: 'billing@example.com' }, Tags: ['Urgent'] });
+});
+
+test('label_policy reject refuses unknown labels before calling Monday', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const mapping = invoiceMapping({ status: createMappingConfig({ remote_key: 'Status', label_policy: 'reject' }) });
+
+  await assert.rejects(
+    mapper.createOrUpdateItem(boardId, mapping, { ...invoice, Status: 'Cancelled' }, 'INV-7'),
+    error => error instanceof MondayColumnValueError && error.code === 'INVALID_LABEL'
+  );
+  assert.equal(fake.getCalls('CreateItem').length, 0);
+});
+
+test('labels are matched against the column settings before falling back to the label_policy', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const mapping = {
+    status: createMappingConfig({ remote_key: 'Status', label_policy: 'default', default_label: 'Open', label_case_insensitive: true }),
+    tags: createMappingConfig({ remote_key: 'Tags', label_case_insensitive: true })
+  };
+
+  const known = await mapper.mapColumnValues(mapping, { Status: 'PAID', Tags: 'urgent, Late' }, boardId);
+  assert.deepEqual(known.columnValues, { status: { label: 'Paid' }, tags: { labels: ['Urgent', 'Late'] } });
+  assert.equal(known.createLabels, true);
+  assert.deepEqual(known.issues.map(issue => `${issue.key}:${issue.value}:${issue.action}`), ['tags:Late:create']);
+
+  const unknown = await mapper.mapColumnValues(mapping, { Status: 'Void' }, boardId);
+  assert.deepEqual(unknown.columnValues.status, { label: 'Open' });
+  assert.deepEqual(unknown.issues.map(issue => `${issue.code}:${issue.action}`), ['LABEL_NOT_FOUND:default']);
+});
+
+test('validateMapping reports missing, duplicate and mistyped columns', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.addColumn(boardId, { id: 'total2', type: 'numbers', description: '{total}' });
+  fake.addColumn(boardId, { id: 'mirror', type: 'mirror', description: '{customer}' });
+  const mapper = createMapper(client);
+
+  const report = await mapper.validateMapping(invoiceMapping({
+    customer: createMappingConfig({ remote_key: 'Customer' }),
+    memo: createMappingConfig({ remote_key: 'Memo' })
+  }), boardId, { sampleData: { ...invoice, Amount: { Total: 'n/a' } } });
+
+  const codes = [...report.errors, ...report.warnings].map(entry => `${entry.code}:${entry.key}`);
+  assert.equal(report.valid, false);
+  assert.ok(codes.includes('DUPLICATE_TAG:total'));
+  assert.ok(codes.includes('READ_ONLY_COLUMN:customer'));
+  assert.ok(codes.includes('MISSING_COLUMN:memo'));
+  assert.ok(codes.includes('UNMAPPED_COLUMN:email'));
+  assert.ok(codes.includes('TYPE_MISMATCH:total'));
+});
+
+test('validateMapping checks sample labels against the board without writing', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.addColumn(boardId, { id: 'deps', type: 'dependency', description: '{deps}' });
+  const mapper = createMapper(client);
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'DocNumber' }),
+    status: createMappingConfig({ remote_key: 'Status', label_policy: 'reject' }),
+    tags: createMappingConfig({ remote_key: 'Tags' }),
+    deps: createMappingConfig({ remote_key: 'Deps' })
+  };
+
+  const clean = await mapper.validateMapping(mapping, boardId, { sampleData: { DocNumber: 'INV-7', Status: 'Paid', Tags: ['Urgent'] } });
+  const report = await mapper.validateMapping(mapping, boardId, { sampleData: { DocNumber: 'INV-7', Status: 'Void', Tags: ['Late'] } });
+
+  assert.equal(clean.valid, true);
+  assert.deepEqual(clean.errors, []);
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.errors.map(entry => `${entry.code}:${entry.key}:${entry.value}`), ['LABEL_NOT_FOUND:status:Void']);
+  assert.ok(report.warnings.some(entry => entry.code === 'LABEL_NOT_FOUND' && entry.key === 'tags' && entry.action === 'create'));
+  assert.ok(report.warnings.some(entry => entry.code === 'UNKNOWN_COLUMN_TYPE' && entry.key === 'deps'));
+  assert.deepEqual(fake.getCalls().map(call => call.operationName), ['GetBoardColumns']);
+});
+
+test('validateMapping accepts numbers that are status label indexes', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const mapping = invoiceMapping({ status: createMappingConfig({ remote_key: 'StatusIndex' }) });
+
+  const known = await mapper.validateMapping(mapping, boardId, { sampleData: { ...invoice, StatusIndex: 1 } });
+  const unknown = await mapper.validateMapping(mapping, boardId, { sampleData: { ...invoice, StatusIndex: 7 } });
+
+  assert.ok(!known.warnings.some(warning => warning.key === 'status'));
+  assert.deepEqual(unknown.warnings.filter(warning => warning.key === 'status').map(warning => warning.code), ['TYPE_MISMATCH']);
+});
+
+test('provisionBoard creates a tagged board that the mapper can write to', async () => {
+  const { fake, client } = createFakeClient();
+  const mapper = createMapper(client);
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'DocNumber', column_type: 'text', column_title: 'Reference' }),
+    status: createMappingConfig({ remote_key: 'Status', column_type: 'status', translator: { open: 'Open', paid: 'Paid' } })
+  };
+
+  const report = await mapper.provisionBoard(mapping, { boardName: 'Client X' });
+  const again = await mapper.provisionBoard(mapping, { boardId: report.boardId, dryRun: true });
+  const response = await mapper.createOrUpdateItem(report.boardId, mapping, { DocNumber: 'A', Status: 'paid' }, 'A');
+
+  assert.deepEqual(report.changes.map(change => change.action), ['create_board', 'create_column', 'create_column']);
+  assert.deepEqual(again.changes, []);
+  assert.deepEqual(fake.getItem(response.data.create_item.id).text, { [report.changes[1].columnId]: 'A', [report.changes[2].columnId]: 'Paid' });
+});
+
+test('provisionBoard reconciles an existing board and reports what it cannot change', async () => {
+  const { fake, client } = createFakeClient();
+  const mapper = createMapper(client);
+  const boardId = fake.createBoard({
+    name: 'Legacy',
+    columns: [
+      { id: 'memo', title: 'mémo', type: 'text' },
+      { id: 'state', title: 'State', type: 'status', description: 'Invoice state {status}', labels: ['Open'] },
+      { id: 'amount', title: 'Amount', type: 'text', description: '{total}' }
+    ]
+  });
+  const mapping = {
+    memo: createMappingConfig({ remote_key: 'Memo', column_title: 'Memo' }),
+    status: createMappingConfig({ remote_key: 'Status', column_type: 'status', column_title: 'Status', translator: { open: 'Open', paid: 'Paid' } }),
+    total: createMappingConfig({ remote_key: 'Total', column_type: 'numbers' }),
+    customer: createMappingConfig({ remote_key: 'Customer' })
+  };
+
+  const report = await mapper.provisionBoard(mapping, { boardId });
+
+  assert.deepEqual(report.changes.map(change => `${change.action}:${change.columnId}`), ['tag_column:memo', 'rename_column:memo', 'rename_column:state']);
+  assert.deepEqual(report.warnings.map(warning => `${warning.code}:${warning.key}`), ['MISSING_LABELS:status', 'TYPE_MISMATCH:total', 'MISSING_COLUMN_TYPE:customer']);
+  assert.deepEqual(report.warnings[0].labels, ['Paid']);
+  const columns = (await client.getBoardColumns(boardId)).filter(column => column.id !== 'name');
+  assert.deepEqual(columns.map(column => `${column.title} ${column.description}`), ['Memo {memo}', 'Status Invoice state {status}', 'Amount {total}']);
+});
+
+test('a stale subitem column retries only the subitem write', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const subitemBoardId = await client.getSubitemBoardId(boardId);
+  await client.getBoardColumns(subitemBoardId);
+  fake.failNext({ type: 'graphql', code: 'InvalidColumnIdException', message: 'Column not found', operation: 'CreateSubitem' });
+
+  const result = await mapper.createOrUpdateItem(boardId, invoiceMapping(), { ...invoice, Line: [{ Sku: 'A', Qty: 1 }] }, 'INV-7', null, {
+    subitems: { remote_key: 'Line', mapping: { sku: createMappingConfig({ remote_key: 'Sku' }) } }
+  });
+
+  assert.equal(fake.getCalls('CreateItem').length, 1);
+  assert.equal(fake.getCalls('CreateSubitem').length, 2);
+  assert.equal(result.subitems.created.length, 1);
+  assert.equal(fake.getCalls('GetBoardColumns').filter(call => call.variables.boardId === `${subitemBoardId}`).length, 2);
+});
+
+test('syncSubitems creates, updates and deletes subitems by key', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const parentId = fake.addItem(boardId, 'INV-7');
+  const lineMapping = {
+    sku: createMappingConfig({ remote_key: 'Sku' }),
+    qty: createMappingConfig({ remote_key: 'Qty' })
+  };
+  const options = { key: 'sku', itemName: line => line.Sku };
+
+  await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'A', Qty: 1 }, { Sku: 'B', Qty: 2 }], options);
+  const result = await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'A', Qty: 5 }], options);
+
+  assert.equal(result.updated.length, 1);
+  assert.equal(result.deleted.length, 1);
+  const subitems = fake.getItems(result.boardId);
+  assert.deepEqual(subitems.map(subitem => subitem.text), [{ sku: 'A', qty: '5' }]);
+});
+
+test('syncSubitems deletes last and reports creates answered without a subitem', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const parentId = fake.addItem(boardId, 'INV-7');
+  const lineMapping = { sku: createMappingConfig({ remote_key: 'Sku' }) };
+
+  await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'A' }], { key: 'sku' });
+  const replaced = await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'B' }], { mode: 'replace' });
+  const operations = fake.getCalls().map(call => call.operationName);
+  assert.ok(operations.lastIndexOf('CreateSubitem') < operations.indexOf('DeleteItem'));
+  assert.deepEqual(fake.getItems(replaced.boardId).map(subitem => subitem.text), [{ sku: 'B' }]);
+
+  const bareBoardId = fake.createBoard({ name: 'No subitems yet' });
+  const otherParentId = fake.addItem(bareBoardId, 'INV-8');
+  client.createSubitem = async () => ({ data: { create_subitem: null } });
+  const result = await mapper.syncSubitems(otherParentId, bareBoardId, lineMapping, [{ Sku: 'C' }], { mode: 'append' });
+  assert.deepEqual(result.failed, [{ index: 0, error: 'create_subitem returned no subitem' }]);
+  assert.deepEqual(result.created, []);
+});
+
+test('syncSubitems pairs subitems by position and plans without writing in a dry run', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = createMapper(client);
+  const parentId = fake.addItem(boardId, 'INV-7');
+  const lineMapping = { sku: createMappingConfig({ remote_key: 'Sku' }), qty: createMappingConfig({ remote_key: 'Qty' }) };
+  const created = await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'A', Qty: 1 }, { Sku: 'B', Qty: 2 }]);
+
+  const planned = await mapper.syncSubitems(parentId, boardId, lineMapping, [{ Sku: 'A', Qty: 1 }, { Sku: 'B', Qty: 3 }, { Sku: 'C', Qty: 1 }], {
+    diff: true,
+    dryRun: true
+  });
+
+  assert.deepEqual(planned.unchanged, [created.created[0]]);
+  assert.deepEqual(planned.updated, [created.created[1]]);
+  assert.deepEqual(planned.created, [2]);
+  assert.deepEqual(fake.getItems(planned.boardId).map(subitem => subitem.text.qty), ['1', '2']);
+  assert.equal(fake.getCalls('UpdateItem').length, 0);
+});
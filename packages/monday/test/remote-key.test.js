@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MondayDynamicMapper, createMappingConfig, createLogger, evaluateRemoteKey, parseRemoteKey } = require('..');
+const { createFakeClient, createSampleBoard } = require('./helpers');
+
+const invoice = {
+  DocNumber: '1042',
+  CustomerRef: { value: '7', name: 'ACME' },
+  TxnDate: '2024-03-05',
+  BillAddr: { City: 'Montréal' },
+  Line: [
+    { Amount: 100, DetailType: 'SalesItemLineDetail', SalesItemLineDetail: { ItemRef: { name: 'Hours' }, Qty: 2 } },
+    { Amount: 50.5, DetailType: 'SalesItemLineDetail', SalesItemLineDetail: { ItemRef: { name: 'Parts' }, Qty: 1 } },
+    { Amount: 150.5, DetailType: 'SubTotalLineDetail' }
+  ]
+};
+
+test('plain dot paths keep their historical behaviour', () => {
+  assert.equal(evaluateRemoteKey('CustomerRef.name', invoice), 'ACME');
+  assert.equal(evaluateRemoteKey('Line.1.Amount', invoice), 50.5);
+  assert.equal(evaluateRemoteKey('CustomerRef.missing.deeper', invoice), undefined);
+  assert.equal(evaluateRemoteKey('Amount (CAD)', { 'Amount (CAD)': 12 }), 12);
+  assert.equal(evaluateRemoteKey("Totals.Client's share", { Totals: { "Client's share": 3 } }), 3);
+});
+
+test('indexes, wildcards and filters', () => {
+  assert.equal(evaluateRemoteKey('Line[0].SalesItemLineDetail.ItemRef.name', invoice), 'Hours');
+  assert.equal(evaluateRemoteKey('Line[-1].DetailType', invoice), 'SubTotalLineDetail');
+  assert.deepEqual(evaluateRemoteKey('Line[*].Amount', invoice), [100, 50.5, 150.5]);
+  assert.deepEqual(evaluateRemoteKey("Line[?DetailType == 'SalesItemLineDetail'].SalesItemLineDetail.ItemRef.name", invoice), ['Hours', 'Parts']);
+  assert.deepEqual(evaluateRemoteKey('Line[?(SalesItemLineDetail.Qty > 1)].Amount', invoice), [100]);
+  assert.deepEqual(evaluateRemoteKey('Line[?SalesItemLineDetail].Amount', invoice), [100, 50.5]);
+});
+
+test('fallbacks, templates and transforms', () => {
+  assert.equal(evaluateRemoteKey('ShipAddr.City ?? BillAddr.City', invoice), 'Montréal');
+  assert.equal(evaluateRemoteKey("Line[?DetailType == 'Discount'].Amount ?? 0", invoice), 0);
+  assert.equal(evaluateRemoteKey('"${DocNumber} - ${CustomerRef.name}"', invoice), '1042 - ACME');
+  assert.equal(evaluateRemoteKey('"${ShipAddr.City}"', invoice), undefined);
+  assert.equal(evaluateRemoteKey("Line[?DetailType == 'SalesItemLineDetail'].Amount | sum", invoice), 150.5);
+  assert.equal(evaluateRemoteKey('Line[*].Amount | max', invoice), 150.5);
+  assert.equal(evaluateRemoteKey('Line[*].DetailType | min', invoice), undefined);
+  assert.equal(evaluateRemoteKey('Line[*].SalesItemLineDetail.ItemRef.name | join:" / " | upper', invoice), 'HOURS / PARTS');
+  assert.equal(evaluateRemoteKey('TxnDate | date:"DD/MM/YYYY"', invoice), '05/03/2024');
+  assert.equal(evaluateRemoteKey('"Due ${TxnDate | date:\'MM-DD\'}"', invoice), 'Due 03-05');
+  assert.throws(() => evaluateRemoteKey('DocNumber | nope', invoice), /Unknown remote_key transform "nope"/);
+  assert.throws(() => parseRemoteKey('Line[0'), /Invalid remote_key "Line\[0"/);
+});
+
+test('mapper and mapping entries register custom transforms', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = new MondayDynamicMapper(client, {
+    logger: createLogger({ level: 'silent' }),
+    transforms: { cents: value => Math.round(Number(value) * 100) }
+  });
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'DocNumber | prefix:"QB-"', transforms: { prefix: (value, prefix) => `${prefix}${value}` } }),
+    total: createMappingConfig({ remote_key: 'Line[-1].Amount | cents' })
+  };
+
+  const response = await mapper.createOrUpdateItem(boardId, mapping, invoice, 'Invoice');
+  assert.deepEqual(fake.getItem(response.data.create_item.id).text, { ref: 'QB-1042', total: '15050' });
+
+  const report = await mapper.validateMapping({ ...mapping, due: createMappingConfig({ remote_key: 'TxnDate | prefix' }) }, boardId, { sampleData: invoice });
+  assert.deepEqual(report.errors.map(entry => `${entry.code}:${entry.key}`), ['INVALID_REMOTE_KEY:due']);
+
+  const plain = await mapper.validateMapping({ ...mapping, total: createMappingConfig({ remote_key: 'Amount (CAD)' }) }, boardId);
+  assert.ok(plain.warnings.some(entry => entry.code === 'PLAIN_REMOTE_KEY' && entry.key === 'total'));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RetryConfig, withRetry, parseRetryAfter, createLogger } = require('..');
+
+const silent = createLogger({ level: 'silent' });
+
+function failing(times, error) {
+  let calls = 0;
+  const fn = async () => {
+    calls++;
+    if (calls <= times) throw error;
+    return 'done';
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+function serverError(headers = {}) {
+  const error = new Error('Bad gateway');
+  error.response = { status: 502, headers };
+  return error;
+}
+
+test('withRetry backs off exponentially up to maxDelay', async () => {
+  const delays = [];
+  const config = new RetryConfig({
+    maxRetries: 3,
+    delays: [2],
+    backoff: 'exponential',
+    maxDelay: 5,
+    respectRetryAfter: false,
+    onRetry: ({ delay }) => delays.push(delay)
+  });
+  const fn = failing(3, serverError());
+
+  assert.equal(await withRetry(fn, config, 'test', silent), 'done');
+  assert.deepEqual(delays, [2, 4, 5]);
+  assert.equal(fn.calls(), 4);
+});
+
+test('withRetry honours Retry-After and gives up on errors it cannot retry', async () => {
+  const delays = [];
+  const config = new RetryConfig({ maxRetries: 1, delays: [5000], onRetry: ({ delay }) => delays.push(delay) });
+
+  await withRetry(failing(1, serverError({ 'retry-after': '0' })), config, 'test', silent);
+  assert.deepEqual(delays, [0]);
+  assert.equal(parseRetryAfter('3'), 3000);
+
+  const reasons = [];
+  const notRetryable = failing(5, Object.assign(new Error('Bad request'), { response: { status: 400 } }));
+  await assert.rejects(
+    withRetry(notRetryable, new RetryConfig({ maxRetries: 3, delays: [0], onGiveUp: ({ reason }) => reasons.push(reason) }), 'test', silent),
+    /Bad request/
+  );
+  assert.equal(notRetryable.calls(), 1);
+  assert.deepEqual(reasons, ['non_retryable']);
+});
+
+test('withRetry stops when the next wait would exceed maxTotalTime', async () => {
+  const reasons = [];
+  const fn = failing(5, serverError());
+  const config = new RetryConfig({
+    maxRetries: 5,
+    delays: [1000],
+    respectRetryAfter: false,
+    maxTotalTime: 500,
+    onGiveUp: ({ reason, attempts }) => reasons.push(`${reason}:${attempts}`)
+  });
+
+  await assert.rejects(withRetry(fn, config, 'test', silent), /Bad gateway/);
+  assert.deepEqual(reasons, ['time_budget_exceeded:1']);
+});
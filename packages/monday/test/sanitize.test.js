@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MondayDynamicMapper,
+  MondayColumnValueError,
+  ColumnTypeRegistry,
+  createMappingConfig,
+  createLogger,
+  cleanNumbers,
+  sanitizeNumbers,
+  sanitizeDate,
+  sanitizeTimeline,
+  sanitizeWeek,
+  sanitizeLink,
+  sanitizeRating,
+  sanitizeHour,
+  toDateString
+} = require('..');
+const { createFakeClient, createSampleBoard } = require('./helpers');
+
+test('the column type registry resolves column, then board, then type sanitizers', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  fake.addColumn(boardId, { id: 'deps', type: 'dependency', description: '{deps}' });
+  const upper = value => value.toString().toUpperCase();
+  const prefixed = value => `EXT-${value}`;
+  const registry = new ColumnTypeRegistry()
+    .registerForBoard(boardId, 'text', prefixed)
+    .registerForColumn('email', () => 'column@example.com', boardId)
+    .registerForColumn('ref', upper);
+
+  assert.equal(registry.resolve('text', { boardId, columnId: 'ref' }), upper);
+  assert.equal(registry.resolve('text', { boardId, columnId: 'notes' }), prefixed);
+  assert.equal(registry.resolve('text', { boardId: 'other', columnId: 'email' })('a'), 'a');
+  assert.ok(registry.isReadOnly('mirror'));
+  assert.deepEqual(sanitizeLink({ url: ' https://example.com ' }), { url: 'https://example.com', text: 'https://example.com' });
+  assert.deepEqual(sanitizeRating('7'), { rating: 5 });
+
+  const logger = createLogger({ level: 'silent' });
+  const mapper = new MondayDynamicMapper(client, { logger, registry });
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'Ref' }),
+    email: createMappingConfig({ remote_key: 'Email' }),
+    deps: createMappingConfig({ remote_key: 'Deps' })
+  };
+  const data = { Ref: 'inv-9', Email: 'someone@example.com', Deps: [1] };
+  const columnValues = await mapper.processMapping(mapping, data, boardId);
+  assert.equal(columnValues.ref, 'INV-9');
+  assert.equal(columnValues.email, 'column@example.com');
+  assert.equal('deps' in columnValues, false);
+
+  const strict = new MondayDynamicMapper(client, { logger, unknownTypePolicy: 'throw' });
+  await assert.rejects(strict.processMapping(mapping, data, boardId), /No sanitizer registered for column type "dependency" \(column deps\)/);
+});
+
+test('sanitizeDate keeps calendar days and converts times to UTC', () => {
+  assert.deepEqual(sanitizeDate('2024-03-05'), { date: '2024-03-05' });
+  assert.deepEqual(sanitizeDate(new Date('2024-03-05')), { date: '2024-03-05' });
+  assert.deepEqual(sanitizeDate('2024-03-05T22:15:00-05:00'), { date: '2024-03-06', time: '03:15:00' });
+  assert.deepEqual(sanitizeDate('2024-07-05T22:15', { timezone: 'America/Montreal' }), { date: '2024-07-06', time: '02:15:00' });
+  assert.deepEqual(sanitizeDate({ date: '2024-01-15', time: '09:00' }, { timezone: 'Europe/Paris' }), { date: '2024-01-15', time: '08:00:00' });
+  assert.deepEqual(sanitizeDate('not a date'), { date: null });
+});
+
+test('Date objects are read in UTC unless a source timezone is given', () => {
+  const instant = new Date('2024-03-05T02:30:00Z');
+
+  assert.deepEqual(sanitizeHour(instant), { hour: 2, minute: 30 });
+  assert.deepEqual(sanitizeHour(instant, { timezone: 'America/Montreal' }), { hour: 21, minute: 30 });
+  assert.equal(sanitizeHour(new Date('invalid')), null);
+  assert.equal(toDateString(instant), '2024-03-05');
+  assert.equal(toDateString(instant, { timezone: 'America/Montreal' }), '2024-03-04');
+  assert.equal(toDateString('2024-03-05T22:15:00-05:00'), '2024-03-05');
+});
+
+test('sanitizeDate reads explicit formats', () => {
+  const options = { dateFormat: ['DD/MM/YYYY', 'DD.MM.YY'] };
+
+  assert.deepEqual(sanitizeDate('05/03/2024', options), { date: '2024-03-05' });
+  assert.deepEqual(sanitizeDate('05.03.24', options), { date: '2024-03-05' });
+  assert.deepEqual(sanitizeDate('05/03/2024 14h30', { ...options, timezone: 'Europe/Paris' }), { date: '2024-03-05', time: '13:30:00' });
+  assert.deepEqual(sanitizeDate('31/02/2024', options), { date: null });
+  assert.deepEqual(sanitizeDate('2024-03-05', options), { date: '2024-03-05' });
+});
+
+test('date formats without a year are rejected up front', () => {
+  assert.throws(() => createMappingConfig({ remote_key: 'Due', date_format: 'DD/MM' }), /Invalid date_format "DD\/MM": no year token/);
+  assert.throws(() => createMappingConfig({ remote_key: 'Due', date_format: ['DD/MM/YYYY', 'HH:mm'] }), /no year, month, day token/);
+  assert.throws(() => sanitizeDate('05/03', { dateFormat: 'DD/MM' }), /Invalid date_format/);
+});
+
+test('timeline and week columns accept date ranges', () => {
+  const options = { dateFormat: 'DD/MM/YYYY' };
+
+  assert.deepEqual(sanitizeTimeline('01/03/2024 au 15/03/2024', options), { from: '2024-03-01', to: '2024-03-15' });
+  assert.deepEqual(sanitizeTimeline('2024-03-15/2024-03-01'), { from: '2024-03-01', to: '2024-03-15' });
+  assert.deepEqual(sanitizeTimeline({ start: '2024-03-01' }), { from: '2024-03-01', to: '2024-03-01' });
+  assert.deepEqual(sanitizeWeek('2024-03-04 - 2024-03-10'), { week: { startDate: '2024-03-04', endDate: '2024-03-10' } });
+  assert.deepEqual(sanitizeWeek('06/03/2024', options), { week: { startDate: '2024-03-04', endDate: '2024-03-10' } });
+});
+
+test('mapping entries pass their timezone and date format to the date sanitizer', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = new MondayDynamicMapper(client, { logger: createLogger({ level: 'silent' }), timezone: 'America/Montreal' });
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'Ref' }),
+    due: createMappingConfig({ remote_key: 'Due', date_format: 'DD/MM/YYYY HH:mm' })
+  };
+
+  const response = await mapper.createOrUpdateItem(boardId, mapping, { Ref: 'A', Due: '05/03/2024 21:00' }, 'A');
+
+  const { date, time } = fake.getItem(response.data.create_item.id).values.due;
+  assert.deepEqual({ date, time }, { date: '2024-03-06', time: '02:00:00' });
+});
+
+test('sanitizeNumbers reads French and English amounts', () => {
+  assert.equal(sanitizeNumbers('1 234,56 €'), 1234.56);
+  assert.equal(sanitizeNumbers('$1,234.56'), 1234.56);
+  assert.equal(sanitizeNumbers('1.234,56'), 1234.56);
+  assert.equal(sanitizeNumbers('(250.00)'), -250);
+  assert.equal(sanitizeNumbers('250,00 $ CA-'), -250);
+  assert.equal(sanitizeNumbers('1,234'), 1234);
+  assert.equal(sanitizeNumbers('1,234', { locale: 'fr-CA' }), 1.234);
+  assert.equal(sanitizeNumbers('0,500'), 0.5);
+  assert.equal(sanitizeNumbers('0.500'), 0.5);
+  assert.equal(sanitizeNumbers('-0,250 $'), -0.25);
+  assert.equal(sanitizeNumbers('12,5 %'), 12.5);
+  assert.equal(sanitizeNumbers('12,5 %', { percent: 'ratio' }), 0.125);
+  assert.equal(sanitizeNumbers('n/a'), null);
+  assert.equal(cleanNumbers('1 234,5', { locale: 'fr' }), 1234.5);
+});
+
+test('strict number parsing refuses to guess', () => {
+  const isInvalidNumber = error => error instanceof MondayColumnValueError && error.code === 'INVALID_NUMBER';
+
+  assert.throws(() => sanitizeNumbers('1,234', { strict: true }), isInvalidNumber);
+  assert.throws(() => sanitizeNumbers('12 kg', { strict: true }), isInvalidNumber);
+  assert.throws(() => sanitizeNumbers('1234.56', { strict: true, locale: 'fr' }), isInvalidNumber);
+  assert.equal(sanitizeNumbers('1,234', { strict: true, locale: 'en' }), 1234);
+  assert.equal(sanitizeNumbers('', { strict: true }), null);
+});
+
+test('text before or between digits gives null and a warning instead of a guess', () => {
+  const entries = [];
+  const logger = createLogger({ sink: entry => entries.push(entry) });
+
+  assert.equal(sanitizeNumbers('1e5', { logger, columnId: 'total' }), null);
+  assert.equal(sanitizeNumbers('5-3', { logger }), null);
+  assert.equal(sanitizeNumbers('abc123', { logger }), null);
+  assert.deepEqual(entries.map(entry => [entry.level, entry.columnId]), [['warn', 'total'], ['warn', null], ['warn', null]]);
+
+  assert.equal(sanitizeNumbers('12 kg', { logger }), 12);
+  assert.equal(sanitizeNumbers('USD 12.50', { logger }), 12.5);
+  assert.equal(sanitizeNumbers('n/a', { logger }), null);
+  assert.equal(entries.length, 3);
+});
+
+test('validateMapping reports amounts that strict entries cannot read', async () => {
+  const { fake, client } = createFakeClient();
+  const boardId = createSampleBoard(fake);
+  const mapper = new MondayDynamicMapper(client, { logger: createLogger({ level: 'silent' }), locale: 'fr-CA' });
+  const mapping = {
+    ref: createMappingConfig({ remote_key: 'Ref' }),
+    total: createMappingConfig({ remote_key: 'Total', strict: true })
+  };
+
+  const report = await mapper.validateMapping(mapping, boardId, { sampleData: { Ref: 'A', Total: '1 234.56' } });
+  assert.deepEqual(report.errors.map(entry => `${entry.code}:${entry.key}`), ['INVALID_NUMBER:total']);
+
+  const response = await mapper.createOrUpdateItem(boardId, mapping, { Ref: 'A', Total: '1 234,56 $' }, 'A');
+  assert.equal(fake.getItem(response.data.create_item.id).text.total, '1234.56');
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FakeMonday, parseGraphQL } = require('../testing');
+
+async function post(fake, query, variables = {}) {
+  const response = await fake.fetch('https://api.monday.com/v2', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'key' },
+    body: JSON.stringify({ query, variables })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('parseGraphQL reads operations, variables, aliases and arguments', () => {
+  const document = parseGraphQL(`
+    mutation Batch($board: ID!, $values: JSON!) {
+      op_0: create_item(board_id: $board, item_name: "A", column_values: $values) { id }
+      op_1: delete_item(item_id: 12) { id }
+    }
+  `);
+
+  assert.equal(document.operation, 'mutation');
+  assert.equal(document.name, 'Batch');
+  assert.deepEqual(document.variableDefinitions.map(definition => definition.type), ['ID!', 'JSON!']);
+  assert.deepEqual(document.selections.map(selection => selection.alias), ['op_0', 'op_1']);
+  assert.deepEqual(document.selections[1].args.item_id, { kind: 'literal', value: 12 });
+});
+
+test('returns only the selected fields', async () => {
+  const fake = new FakeMonday();
+  const boardId = fake.createBoard({ columns: [{ id: 'text', type: 'text' }] });
+  fake.addItem(boardId, 'First', { text: 'hello' });
+
+  const { body } = await post(fake, `
+    query ($boardId: ID!) {
+      boards(ids: [$boardId]) {
+        items_page(limit: 10) { items { name column_values(ids: ["text"]) { id text } } }
+      }
+    }
+  `, { boardId });
+
+  assert.deepEqual(body.data.boards[0].items_page.items, [
+    { name: 'First', column_values: [{ id: 'text', text: 'hello' }] }
+  ]);
+});
+
+test('rejects unknown fields like a schema validation error', async () => {
+  const fake = new FakeMonday();
+  fake.createBoard();
+  const { body } = await post(fake, '{ boards { nope } }');
+
+  assert.equal(body.errors[0].extensions.code, 'GRAPHQL_VALIDATION_FAILED');
+});
+
+test('checks column value formats and leaves the item unchanged on error', async () => {
+  const fake = new FakeMonday();
+  const boardId = fake.createBoard({ columns: [{ id: 'total', type: 'numbers' }, { id: 'due', type: 'date' }] });
+  const itemId = fake.addItem(boardId, 'Item', { total: 5 });
+
+  const { body } = await post(fake, `
+    mutation ($itemId: ID!, $boardId: ID!, $values: JSON!) {
+      change_multiple_column_values(item_id: $itemId, board_id: $boardId, column_values: $values) { id }
+    }
+  `, { itemId, boardId, values: JSON.stringify({ total: 7, due: '2024-02-30' }) });
+
+  assert.equal(body.errors[0].extensions.code, 'ColumnValueException');
+  assert.equal(body.errors[0].extensions.error_data.column_id, 'due');
+  assert.equal(fake.getItem(itemId).text.total, '5');
+});
+
+test('reports unknown column IDs', async () => {
+  const fake = new FakeMonday();
+  const boardId = fake.createBoard();
+
+  const { body } = await post(fake, `
+    mutation ($boardId: ID!) { create_item(board_id: $boardId, item_name: "A", column_values: "{\\"nope\\": \\"x\\"}") { id } }
+  `, { boardId });
+
+  assert.equal(body.errors[0].extensions.code, 'InvalidColumnIdException');
+  assert.equal(fake.getItems(boardId).length, 0);
+});
+
+test('creates missing status labels only with create_labels_if_missing', async () => {
+  const fake = new FakeMonday();
+  const boardId = fake.createBoard({ columns: [{ id: 'status', type: 'status', labels: ['Open'] }] });
+  const mutation = `
+    mutation ($boardId: ID!, $create: Boolean!) {
+      create_item(board_id: $boardId, item_name: "A", column_values: "{\\"status\\": {\\"label\\": \\"Late\\"}}", create_labels_if_missing: $create) { id }
+    }
+  `;
+
+  const rejected = await post(fake, mutation, { boardId, create: false });
+  assert.equal(rejected.body.errors[0].extensions.code, 'ColumnValueException');
+
+  const created = await post(fake, mutation, { boardId, create: true });
+  const item = fake.getItem(created.body.data.create_item.id);
+  assert.equal(item.text.status, 'Late');
+  assert.deepEqual(JSON.parse(fake.getColumns(boardId)[1].settings_str).labels, { 0: 'Open', 1: 'Late' });
+});
+
+test('pages items with cursors', async () => {
+  const fake = new FakeMonday();
+  const boardId = fake.createBoard();
+  ['A', 'B', 'C'].forEach(name => fake.addItem(boardId, name));
+
+  const first = await post(fake, `query ($boardId: ID!) { boards(ids: [$boardId]) { items_page(limit: 2) { cursor items { name } } } }`, { boardId });
+  const page = first.body.data.boards[0].items_page;
+  assert.deepEqual(page.items.map(item => item.name), ['A', 'B']);
+
+  const next = await post(fake, `query ($cursor: String!) { next_items_page(cursor: $cursor, limit: 2) { cursor items { name } } }`, { cursor: page.cursor });
+  assert.deepEqual(next.body.data.next_items_page, { cursor: null, items: [{ name: 'C' }] });
+});
+
+test('injects errors for matching operations and records calls', async () => {
+  const fake = new FakeMonday();
+  fake.failNext({ type: 'http', status: 429, retryAfter: 3, operation: 'boards' });
+  fake.failNext({ type: 'graphql', code: 'UserUnauthorizedException', operation: 'items' });
+
+  const items = await post(fake, 'query GetItems { items(ids: [1]) { id } }');
+  const boards = await post(fake, 'query GetBoards { boards { id } }');
+  const again = await post(fake, 'query GetBoards { boards { id } }');
+
+  assert.equal(items.body.errors[0].extensions.code, 'UserUnauthorizedException');
+  assert.equal(boards.status, 429);
+  assert.equal(again.status, 200);
+  assert.deepEqual(fake.getCalls('GetBoards').map(call => call.status), [429, 200]);
+});
+
+test('simulates network failures', async () => {
+  const fake = new FakeMonday();
+  fake.failNext({ type: 'network' });
+
+  await assert.rejects(post(fake, '{ boards { id } }'), /fetch failed/);
+});
+
+test('enforces the per-minute complexity budget', async () => {
+  const fake = new FakeMonday({ complexityBudget: 60, fieldCost: 10 });
+
+  const first = await post(fake, '{ complexity { before after } boards { id } }');
+  assert.deepEqual(first.body.data.complexity, { before: 60, after: 10 });
+
+  const second = await post(fake, '{ boards { id } }');
+  assert.equal(second.body.errors[0].extensions.code, 'ComplexityException');
+});
+
+test('rejects requests with another API key when one is configured', async () => {
+  const fake = new FakeMonday({ apiKey: 'secret' });
+  const { status } = await post(fake, '{ boards { id } }');
+
+  assert.equal(status, 401);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { handleWebhookRequest, verifyWebhookSignature, parseWebhookEvent } = require('../webhook');
+
+const secret = 'signing-secret';
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(header, payload) {
+  const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${unsigned}.${signature}`;
+}
+
+const event = { event: { type: 'update_name', boardId: 1, pulseId: 2, value: { name: 'New' }, previousValue: { name: 'Old' } } };
+
+test('signed webhook requests are verified and parsed', () => {
+  const token = sign({ alg: 'HS256', typ: 'JWT' }, { exp: Math.floor(Date.now() / 1000) + 60 });
+
+  const accepted = handleWebhookRequest({ headers: { authorization: token }, body: JSON.stringify(event) }, { signingSecret: secret });
+  const forged = handleWebhookRequest({ headers: { authorization: `${token}x` }, body: event }, { signingSecret: secret });
+
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.event.type, 'change_name');
+  assert.equal(accepted.event.value, 'New');
+  assert.equal(forged.status, 401);
+});
+
+test('the challenge handshake is answered before the signature is checked', () => {
+  const response = handleWebhookRequest({ headers: {}, body: '{"challenge":"abc123"}' }, { signingSecret: secret });
+
+  assert.deepEqual(response, { status: 200, body: { challenge: 'abc123' }, event: null });
+});
+
+test('status and subitem column changes are typed and decoded', () => {
+  const status = parseWebhookEvent({
+    event: {
+      type: 'update_column_value',
+      boardId: 1,
+      pulseId: 2,
+      columnId: 'status',
+      columnType: 'color',
+      value: { label: { index: 1, text: 'Paid' } },
+      previousValue: { label: { index: 0, text: 'Open' } }
+    }
+  });
+  const subitem = parseWebhookEvent({
+    event: { type: 'update_column_value', boardId: 3, pulseId: 4, parentItemId: 2, columnId: 'qty', columnType: 'numbers', value: { value: '5' }, previousValue: null }
+  });
+
+  assert.deepEqual([status.type, status.value, status.previousValue], ['change_status_value', 'Paid', 'Open']);
+  assert.deepEqual([subitem.type, subitem.parentItemId, subitem.value, subitem.previousValue], ['change_subitem_column_value', '2', 5, null]);
+  assert.throws(() => parseWebhookEvent({ event: {} }), /missing event.type/);
+});
+
+test('expired tokens are rejected outside the clock tolerance', () => {
+  const token = sign({ alg: 'HS256', typ: 'JWT' }, { exp: Math.floor(Date.now() / 1000) - 60 });
+
+  assert.throws(() => verifyWebhookSignature(`Bearer ${token}`, secret), /token expired/);
+  assert.doesNotThrow(() => verifyWebhookSignature(`Bearer ${token}`, secret, { clockTolerance: 120 }));
+});
+
+test('a signing secret is required unless insecure is set', () => {
+  assert.throws(() => handleWebhookRequest({ headers: {}, body: event }), /requires options.signingSecret/);
+
+  const response = handleWebhookRequest({ headers: {}, body: event }, { insecure: true });
+  assert.equal(response.status, 200);
+  assert.equal(response.event.itemId, '2');
+});
+
+test('a malformed body is answered with 400', () => {
+  const response = handleWebhookRequest({ headers: {}, body: '{"event":' }, { signingSecret: secret });
+
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Malformed JSON body/);
+  assert.equal(response.event, null);
+});
+
+test('a token header that is not an object is an invalid signature', () => {
+  const token = `${base64Url('null')}.${base64Url('{}')}.signature`;
+
+  assert.throws(() => verifyWebhookSignature(token, secret), error => error.code === 'INVALID_SIGNATURE');
+});
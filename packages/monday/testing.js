@@ -0,0 +1,1383 @@
+/**
+ * @import-af/monday/testing
+ * In-memory stand-in for the Monday.com GraphQL API, for tests without a live account
+ * Understands the queries and mutations issued by this library, checks column value formats,
+ * can inject HTTP/GraphQL/complexity/network errors and records every call.
+ */
+
+const { READ_ONLY_COLUMN_TYPES } = require('./index');
+
+/**
+ * GraphQL error returned in the errors array (code goes to extensions.code)
+ */
+class FakeGraphQLError extends Error {
+  constructor(message, code, extensions = {}) {
+    super(message);
+    this.name = 'FakeGraphQLError';
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GraphQL parsing (operations, variables, aliases, arguments and selection sets)
+// ---------------------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/[\s,﻿]/.test(char)) {
+      position++;
+    } else if (char === '#') {
+      while (position < source.length && source[position] !== '\n') position++;
+    } else if (source.startsWith('...', position)) {
+      tokens.push({ type: 'punct', value: '...' });
+      position += 3;
+    } else if ('{}()[]:!$=@|&'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      position++;
+    } else if (source.startsWith('"""', position)) {
+      const end = source.indexOf('"""', position + 3);
+      if (end === -1) throw new Error('Unterminated block string');
+      tokens.push({ type: 'string', value: source.slice(position + 3, end) });
+      position = end + 3;
+    } else if (char === '"') {
+      let end = position + 1;
+      while (end < source.length && source[end] !== '"') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (end >= source.length) throw new Error('Unterminated string');
+      tokens.push({ type: 'string', value: JSON.parse(source.slice(position, end + 1)) });
+      position = end + 1;
+    } else if (/[-0-9]/.test(char)) {
+      const match = source.slice(position).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+      if (!match) throw new Error(`Unexpected character "${char}"`);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      position += match[0].length;
+    } else if (/[_A-Za-z]/.test(char)) {
+      const match = source.slice(position).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+      tokens.push({ type: 'name', value: match[0] });
+      position += match[0].length;
+    } else {
+      throw new Error(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return Boolean(token) && (value === undefined || token.value === value);
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) throw new Error('Unexpected end of document');
+    return token;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value) throw new Error(`Expected "${value}", found "${token.value}"`);
+    return token;
+  }
+
+  name() {
+    const token = this.next();
+    if (token.type !== 'name') throw new Error(`Expected a name, found "${token.value}"`);
+    return token.value;
+  }
+
+  parseDocument() {
+    let operation = 'query';
+    let name = null;
+    const variableDefinitions = [];
+
+    if (this.peek('query') || this.peek('mutation') || this.peek('subscription')) {
+      operation = this.name();
+      if (this.tokens[this.position]?.type === 'name') {
+        name = this.name();
+      }
+      if (this.peek('(')) {
+        this.expect('(');
+        while (!this.peek(')')) {
+          this.expect('$');
+          const variable = this.name();
+          this.expect(':');
+          const type = this.parseType();
+          const definition = { name: variable, type };
+          if (this.peek('=')) {
+            this.expect('=');
+            definition.defaultValue = this.parseValue();
+          }
+          variableDefinitions.push(definition);
+        }
+        this.expect(')');
+      }
+      this.skipDirectives();
+    }
+
+    const selections = this.parseSelectionSet();
+    if (this.position < this.tokens.length) {
+      throw new Error('Only one operation per document is supported');
+    }
+    return { operation, name, variableDefinitions, selections };
+  }
+
+  parseType() {
+    let type;
+    if (this.peek('[')) {
+      this.expect('[');
+      type = `[${this.parseType()}]`;
+      this.expect(']');
+    } else {
+      type = this.name();
+    }
+    if (this.peek('!')) {
+      this.expect('!');
+      type += '!';
+    }
+    return type;
+  }
+
+  skipDirectives() {
+    while (this.peek('@')) {
+      this.expect('@');
+      this.name();
+      if (this.peek('(')) this.parseArguments();
+    }
+  }
+
+  parseSelectionSet() {
+    this.expect('{');
+    const selections = [];
+    while (!this.peek('}')) {
+      if (this.peek('...')) {
+        throw new Error('Fragments are not supported by FakeMonday');
+      }
+      let alias = null;
+      let name = this.name();
+      if (this.peek(':')) {
+        this.expect(':');
+        alias = name;
+        name = this.name();
+      }
+      const args = this.peek('(') ? this.parseArguments() : {};
+      this.skipDirectives();
+      const children = this.peek('{') ? this.parseSelectionSet() : null;
+      selections.push({ alias, name, args, selections: children });
+    }
+    this.expect('}');
+    return selections;
+  }
+
+  parseArguments() {
+    const args = {};
+    this.expect('(');
+    while (!this.peek(')')) {
+      const name = this.name();
+      this.expect(':');
+      args[name] = this.parseValue();
+    }
+    this.expect(')');
+    return args;
+  }
+
+  parseValue() {
+    if (this.peek('$')) {
+      this.expect('$');
+      return { kind: 'variable', name: this.name() };
+    }
+    if (this.peek('[')) {
+      this.expect('[');
+      const values = [];
+      while (!this.peek(']')) values.push(this.parseValue());
+      this.expect(']');
+      return { kind: 'list', values };
+    }
+    if (this.peek('{')) {
+      this.expect('{');
+      const fields = {};
+      while (!this.peek('}')) {
+        const name = this.name();
+        this.expect(':');
+        fields[name] = this.parseValue();
+      }
+      this.expect('}');
+      return { kind: 'object', fields };
+    }
+
+    const token = this.next();
+    if (token.type === 'name') {
+      if (token.value === 'true') return { kind: 'literal', value: true };
+      if (token.value === 'false') return { kind: 'literal', value: false };
+      if (token.value === 'null') return { kind: 'literal', value: null };
+      return { kind: 'literal', value: token.value }; // enum
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return { kind: 'literal', value: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+}
+
+/**
+ * Parses a GraphQL document
+ * @param {string} source - GraphQL document
+ * @returns {Object} { operation, name, variableDefinitions, selections }
+ */
+function parseGraphQL(source) {
+  return new Parser(source).parseDocument();
+}
+
+function resolveArgument(node, variables) {
+  if (node.kind === 'variable') return variables[node.name] !== undefined ? variables[node.name] : null;
+  if (node.kind === 'list') return node.values.map(value => resolveArgument(value, variables));
+  if (node.kind === 'object') {
+    return Object.entries(node.fields).reduce((acc, [key, value]) => ({ ...acc, [key]: resolveArgument(value, variables) }), {});
+  }
+  return node.value;
+}
+
+function resolveArguments(args, variables) {
+  return Object.entries(args).reduce((acc, [key, value]) => ({ ...acc, [key]: resolveArgument(value, variables) }), {});
+}
+
+function countFields(selections) {
+  return (selections || []).reduce((count, selection) => count + 1 + countFields(selection.selections), 0);
+}
+
+// ---------------------------------------------------------------------------
+// Column values
+// ---------------------------------------------------------------------------
+
+const DEFAULT_STATUS_LABELS = { 0: 'Working on it', 1: 'Done', 2: 'Stuck' };
+const EMPTY_VALUE = { value: null, text: '' };
+
+function isEmptyInput(raw) {
+  return raw === null || raw === undefined || raw === '' ||
+    (typeof raw === 'object' && !Array.isArray(raw) && Object.keys(raw).length === 0);
+}
+
+function isValidDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+  return [value];
+}
+
+// ---------------------------------------------------------------------------
+// Fake Monday
+// ---------------------------------------------------------------------------
+
+/**
+ * In-memory Monday.com account
+ * Pass `fake.fetch` to MondayApiClient (options.fetch) to route API calls to it.
+ */
+class FakeMonday {
+  /**
+   * @param {Object} options - Fake options
+   * @param {string} [options.apiKey] - Reject requests with another Authorization header (401)
+   * @param {number} [options.complexityBudget=10000000] - Complexity points per minute
+   * @param {number} [options.fieldCost=10] - Complexity cost of each selected field
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || null;
+    this.complexityBudget = options.complexityBudget || 10000000;
+    this.fieldCost = options.fieldCost !== undefined ? options.fieldCost : 10;
+
+    this.boards = new Map();
+    this.items = new Map();
+    this.updates = new Map();
+    this.assets = new Map();
+    this.cursors = new Map();
+    this.calls = [];
+    this.injectedErrors = [];
+    this.nextId = 1000000;
+    this.complexityUsed = 0;
+    this.complexityWindowStart = null;
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  generateId() {
+    this.nextId += 1;
+    return `${this.nextId}`;
+  }
+
+  // ----- Seeding and inspection -----
+
+  /**
+   * Creates a board
+   * @param {Object} options - Board definition
+   * @param {string} [options.name='Board'] - Board name
+   * @param {Array<Object>} [options.columns] - Columns: { id, title, type, description, labels, settings }
+   * @param {Array<Object>} [options.subitemColumns] - Columns of the subitems board (created when given)
+   * @returns {string} Board ID
+   */
+  createBoard(options = {}) {
+    const board = {
+      id: this.generateId(),
+      name: options.name || 'Board',
+      kind: options.kind || 'public',
+      columns: [{ id: 'name', title: 'Name', type: 'name', description: null, settings: {} }],
+      subitemBoardId: null
+    };
+    this.boards.set(board.id, board);
+
+    (options.columns || []).forEach(column => this.addColumn(board.id, column));
+
+    if (options.subitemColumns) {
+      this.ensureSubitemBoard(board, options.subitemColumns);
+    }
+    return board.id;
+  }
+
+  /**
+   * Adds a column to a board
+   * @param {string|number} boardId - Board ID
+   * @param {Object} column - { id, title, type, description, labels, settings }
+   * @returns {string} Column ID
+   */
+  addColumn(boardId, column = {}) {
+    const board = this.getBoardOrThrow(boardId);
+    const type = column.type || 'text';
+    const id = column.id || `${type}_${this.generateId()}`;
+    if (board.columns.some(existing => existing.id === id)) {
+      throw new Error(`Column ${id} already exists on board ${board.id}`);
+    }
+
+    const settings = { ...(column.settings || {}) };
+    if ((type === 'status' || type === 'color') && !settings.labels) {
+      settings.labels = column.labels
+        ? column.labels.reduce((acc, name, index) => ({ ...acc, [index]: name }), {})
+        : { ...DEFAULT_STATUS_LABELS };
+    }
+    if (type === 'dropdown' && !settings.labels) {
+      settings.labels = (column.labels || []).map((name, index) => ({ id: index + 1, name }));
+    }
+
+    board.columns.push({
+      id,
+      title: column.title || id,
+      type,
+      description: column.description || null,
+      settings
+    });
+    return id;
+  }
+
+  /**
+   * Creates an item, checking column values like the API does (labels are created if missing)
+   * @param {string|number} boardId - Board ID
+   * @param {string} name - Item name
+   * @param {Object} columnValues - Column values by column ID, in API format
+   * @param {Object} options - { parentItemId }
+   * @returns {string} Item ID
+   */
+  addItem(boardId, name, columnValues = {}, options = {}) {
+    const board = this.getBoardOrThrow(boardId);
+    return this.insertItem(board, name, columnValues, true, options.parentItemId || null).id;
+  }
+
+  /**
+   * Returns an item as stored
+   * @param {string|number} itemId - Item ID
+   * @returns {Object|null} { id, name, boardId, parentItemId, text, values } where text and values
+   *   are keyed by column ID (display text and parsed stored value)
+   */
+  getItem(itemId) {
+    const item = this.items.get(`${itemId}`);
+    if (!item) return null;
+
+    const text = {};
+    const values = {};
+    item.values.forEach((stored, columnId) => {
+      text[columnId] = stored.text;
+      values[columnId] = stored.value;
+    });
+
+    return {
+      id: item.id,
+      name: item.name,
+      boardId: item.boardId,
+      parentItemId: item.parentId,
+      text,
+      values
+    };
+  }
+
+  /**
+   * Returns the items of a board
+   * @param {string|number} boardId - Board ID
+   * @returns {Array<Object>} Items (see getItem)
+   */
+  getItems(boardId) {
+    return this.boardItems(`${boardId}`).map(item => this.getItem(item.id));
+  }
+
+  /**
+   * Returns the updates posted on an item
+   * @param {string|number} itemId - Item ID
+   * @returns {Array<Object>} { id, itemId, parentId, body, assets }
+   */
+  getUpdates(itemId) {
+    return [...this.updates.values()]
+      .filter(update => update.itemId === `${itemId}`)
+      .map(update => ({ ...update, assets: update.assetIds.map(id => this.assets.get(id)) }));
+  }
+
+  /**
+   * Returns a board's columns, with settings_str as the API returns it
+   * @param {string|number} boardId - Board ID
+   * @returns {Array<Object>} Columns
+   */
+  getColumns(boardId) {
+    return this.getBoardOrThrow(boardId).columns.map(column => this.columnView(column));
+  }
+
+  /**
+   * Makes the next matching request(s) fail
+   * @param {Object} spec - Failure
+   * @param {string} [spec.type='http'] - 'http', 'graphql', 'complexity' or 'network'
+   * @param {string} [spec.operation] - Operation name (e.g. 'CreateItem') or root field (e.g. 'create_item');
+   *   any request when omitted
+   * @param {number} [spec.times=1] - Number of requests to fail
+   * @param {number} [spec.status=500] - HTTP status for 'http'
+   * @param {string} [spec.code] - Error code for 'graphql' (extensions.code) or 'network'
+   * @param {string} [spec.message] - Error message
+   * @param {number} [spec.retryAfter] - Retry-After header ('http') or retry_in_seconds ('complexity')
+   * @param {Object} [spec.extensions] - Extra GraphQL error extensions
+   * @returns {FakeMonday} this
+   */
+  failNext(spec = {}) {
+    this.injectedErrors.push({ type: 'http', times: 1, ...spec });
+    return this;
+  }
+
+  /**
+   * Returns recorded calls, optionally only those of one operation or root field
+   * @param {string} [operation] - Operation name or root field
+   * @returns {Array<Object>} { operationName, operationType, rootFields, query, variables, files, status, errors }
+   */
+  getCalls(operation = null) {
+    if (!operation) return this.calls.slice();
+    return this.calls.filter(call => call.operationName === operation || call.rootFields.includes(operation));
+  }
+
+  /**
+   * Clears recorded calls and pending injected errors
+   */
+  reset() {
+    this.calls = [];
+    this.injectedErrors = [];
+  }
+
+  // ----- fetch -----
+
+  /**
+   * fetch-compatible entry point for the API and file endpoints
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init ({ method, headers, body })
+   * @returns {Promise<Object>} Response-like object (ok, status, headers.get, json(), text())
+   */
+  async fetch(url, init = {}) {
+    const headers = init.headers || {};
+    const authorization = headers.Authorization || headers.authorization || null;
+
+    let query;
+    let variables = {};
+    let files = null;
+    const body = init.body;
+    if (body && typeof body === 'object' && typeof body.get === 'function') {
+      query = body.get('query');
+      variables = JSON.parse(body.get('variables') || '{}');
+      const map = JSON.parse(body.get('map') || '{}');
+      files = {};
+      Object.entries(map).forEach(([part, paths]) => {
+        const file = body.get(part);
+        const upload = { filename: file?.name || part, size: file?.size || 0, contentType: file?.type || null };
+        paths.forEach(path => {
+          const variableName = path.replace(/^variables\./, '');
+          variables[variableName] = upload;
+          files[variableName] = upload;
+        });
+      });
+    } else {
+      const payload = typeof body === 'string' ? JSON.parse(body) : body || {};
+      query = payload.query;
+      variables = payload.variables || {};
+    }
+
+    let document = null;
+    let parseError = null;
+    try {
+      document = parseGraphQL(query || '');
+    } catch (error) {
+      parseError = error;
+    }
+
+    const call = {
+      url,
+      operationName: document?.name || null,
+      operationType: document?.operation || null,
+      rootFields: document ? document.selections.map(selection => selection.name) : [],
+      query,
+      variables,
+      files,
+      status: null,
+      errors: null,
+      timestamp: Date.now()
+    };
+    this.calls.push(call);
+
+    const respond = (status, responseBody, responseHeaders = {}) => {
+      call.status = status;
+      call.errors = responseBody && responseBody.errors ? responseBody.errors : null;
+      return createResponse(status, responseBody, { 'x-request-id': `fake-${this.calls.length}`, ...responseHeaders });
+    };
+
+    if (this.apiKey && authorization !== this.apiKey) {
+      return respond(401, { errors: [{ message: 'Not Authenticated', extensions: { code: 'UNAUTHORIZED' } }] });
+    }
+
+    const injected = this.takeInjectedError(call);
+    if (injected) {
+      return this.injectedResponse(injected, respond);
+    }
+
+    if (parseError) {
+      return respond(200, { errors: [{ message: `Parse error: ${parseError.message}`, extensions: { code: 'GRAPHQL_PARSE_FAILED' } }] });
+    }
+
+    const cost = countFields(document.selections) * this.fieldCost;
+    const now = Date.now();
+    if (this.complexityWindowStart === null || now - this.complexityWindowStart >= 60000) {
+      this.complexityWindowStart = now;
+      this.complexityUsed = 0;
+    }
+    const before = this.complexityBudget - this.complexityUsed;
+    const resetIn = Math.max(0, Math.ceil((this.complexityWindowStart + 60000 - now) / 1000));
+    if (cost > before) {
+      return respond(200, {
+        errors: [{
+          message: `Complexity budget exhausted, query cost ${cost} budget remaining ${before} out of ${this.complexityBudget} reset in ${resetIn} seconds`,
+          extensions: { code: 'ComplexityException', retry_in_seconds: resetIn }
+        }]
+      });
+    }
+    this.complexityUsed += cost;
+    const complexity = { before, after: before - cost, query: cost, reset_in_x_seconds: resetIn };
+
+    const resolvers = document.operation === 'mutation' ? this.mutationResolvers() : this.queryResolvers();
+    const data = {};
+    const errors = [];
+
+    for (const selection of document.selections) {
+      const key = selection.alias || selection.name;
+      if (selection.name === 'complexity') {
+        data[key] = project(complexity, selection.selections);
+        continue;
+      }
+
+      const resolver = resolvers[selection.name];
+      if (!resolver) {
+        return respond(200, {
+          errors: [{ message: `Cannot query field "${selection.name}" on type "${document.operation === 'mutation' ? 'Mutation' : 'Query'}".`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } }]
+        });
+      }
+
+      try {
+        const args = resolveArguments(selection.args, variables);
+        data[key] = project(resolver(args), selection.selections, variables);
+      } catch (error) {
+        if (error instanceof FakeGraphQLError) {
+          data[key] = null;
+          errors.push({ message: error.message, path: [key], extensions: { code: error.code, ...error.extensions } });
+        } else if (error.validation) {
+          return respond(200, { errors: [{ message: error.message, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } }] });
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    const responseBody = { data, account_id: 1 };
+    if (errors.length > 0) {
+      responseBody.errors = errors;
+    }
+    return respond(200, responseBody);
+  }
+
+  takeInjectedError(call) {
+    const index = this.injectedErrors.findIndex(spec =>
+      !spec.operation || spec.operation === call.operationName || call.rootFields.includes(spec.operation));
+    if (index === -1) return null;
+
+    const spec = this.injectedErrors[index];
+    spec.times -= 1;
+    if (spec.times <= 0) {
+      this.injectedErrors.splice(index, 1);
+    }
+    return spec;
+  }
+
+  injectedResponse(spec, respond) {
+    if (spec.type === 'network') {
+      const error = new TypeError(spec.message || 'fetch failed');
+      error.cause = { code: spec.code || 'ECONNRESET' };
+      throw error;
+    }
+
+    if (spec.type === 'graphql') {
+      return respond(200, {
+        data: null,
+        errors: [{ message: spec.message || 'Internal server error', extensions: { code: spec.code || 'INTERNAL_SERVER_ERROR', ...(spec.extensions || {}) } }]
+      });
+    }
+
+    if (spec.type === 'complexity') {
+      const retryAfter = spec.retryAfter !== undefined ? spec.retryAfter : 1;
+      return respond(200, {
+        errors: [{
+          message: spec.message || `Complexity budget exhausted, query cost 30001 budget remaining 0 out of ${this.complexityBudget} reset in ${retryAfter} seconds`,
+          extensions: { code: 'ComplexityException', retry_in_seconds: retryAfter, ...(spec.extensions || {}) }
+        }]
+      });
+    }
+
+    const status = spec.status || 500;
+    const headers = spec.retryAfter !== undefined ? { 'retry-after': `${spec.retryAfter}` } : {};
+    return respond(status, spec.body || {
+      error_message: spec.message || (status === 429 ? 'Rate limit exceeded' : 'Internal server error'),
+      status_code: status,
+      ...(spec.code ? { error_code: spec.code } : {})
+    }, headers);
+  }
+
+  // ----- Storage helpers -----
+
+  getBoardOrThrow(boardId) {
+    const board = this.boards.get(`${boardId}`);
+    if (!board) {
+      throw new FakeGraphQLError(`Board ${boardId} not found`, 'InvalidBoardIdException', { error_data: { board_id: boardId } });
+    }
+    return board;
+  }
+
+  getItemOrThrow(itemId) {
+    const item = this.items.get(`${itemId}`);
+    if (!item) {
+      throw new FakeGraphQLError(`Item ${itemId} not found`, 'InvalidItemIdException', { error_data: { item_id: itemId } });
+    }
+    return item;
+  }
+
+  boardItems(boardId) {
+    return [...this.items.values()].filter(item => item.boardId === boardId);
+  }
+
+  ensureSubitemBoard(board, columns = []) {
+    if (board.subitemBoardId) {
+      return this.boards.get(board.subitemBoardId);
+    }
+
+    const subitemBoardId = this.createBoard({ name: `Subitems of ${board.name}`, columns });
+    board.subitemBoardId = subitemBoardId;
+    board.columns.push({
+      id: 'subitems',
+      title: 'Subitems',
+      type: 'subtasks',
+      description: null,
+      settings: { allowMultipleItems: true, itemTypeName: 'item', boardIds: [Number(subitemBoardId)] }
+    });
+    return this.boards.get(subitemBoardId);
+  }
+
+  insertItem(board, name, columnValues, createLabels, parentId = null) {
+    if (!name && name !== 0) {
+      throw new FakeGraphQLError('Item name is required', 'ColumnValueException');
+    }
+
+    const item = {
+      id: this.generateId(),
+      name: `${name}`,
+      boardId: board.id,
+      parentId: parentId ? `${parentId}` : null,
+      groupId: 'topics',
+      values: new Map(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const changes = this.prepareColumnValues(board, item, columnValues, createLabels);
+    this.items.set(item.id, item);
+    this.applyColumnValues(item, changes);
+    return item;
+  }
+
+  /**
+   * Checks every column value before anything is written, so a bad value changes nothing
+   */
+  prepareColumnValues(board, item, columnValues, createLabels) {
+    let input = columnValues;
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input);
+      } catch (e) {
+        throw new FakeGraphQLError('column_values is not valid JSON', 'ColumnValueException');
+      }
+    }
+    if (input === null || input === undefined) return [];
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw new FakeGraphQLError('column_values must be a JSON object', 'ColumnValueException');
+    }
+
+    const pendingLabels = [];
+    const changes = Object.entries(input).map(([columnId, raw]) => {
+      if (columnId === 'name') {
+        if (isEmptyInput(raw)) {
+          throw new FakeGraphQLError('Item name cannot be empty', 'ColumnValueException', { error_data: { column_id: 'name' } });
+        }
+        return { columnId, name: `${raw}` };
+      }
+
+      const column = board.columns.find(candidate => candidate.id === columnId);
+      if (!column) {
+        throw new FakeGraphQLError(`This column ID doesn't exist for the board`, 'InvalidColumnIdException', {
+          error_data: { column_id: columnId, board_id: board.id }
+        });
+      }
+
+      try {
+        return { columnId, stored: this.formatColumnValue(column, raw, createLabels, pendingLabels) };
+      } catch (error) {
+        if (error instanceof FakeGraphQLError) {
+          error.extensions = { ...error.extensions, error_data: { column_id: columnId, column_type: column.type, column_value: JSON.stringify(raw) } };
+        }
+        throw error;
+      }
+    });
+
+    // Labels are only created once every value is valid
+    pendingLabels.forEach(apply => apply());
+    return changes;
+  }
+
+  applyColumnValues(item, changes) {
+    changes.forEach(change => {
+      if (change.name !== undefined) {
+        item.name = change.name;
+      } else if (change.stored.value === null) {
+        item.values.delete(change.columnId);
+      } else {
+        item.values.set(change.columnId, change.stored);
+      }
+    });
+    item.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Converts an API column value into the stored { value, text }, rejecting malformed values
+   */
+  formatColumnValue(column, raw, createLabels, pendingLabels) {
+    const invalid = (message) => new FakeGraphQLError(message, 'ColumnValueException');
+    const type = column.type;
+
+    if (READ_ONLY_COLUMN_TYPES.includes(type) || type === 'subtasks' || type === 'file') {
+      throw invalid(`Column type ${type} cannot be changed through column values`);
+    }
+    if (isEmptyInput(raw)) {
+      return EMPTY_VALUE;
+    }
+
+    switch (type) {
+      case 'text': {
+        if (typeof raw === 'object') throw invalid('Text column expects a string');
+        return { value: `${raw}`, text: `${raw}` };
+      }
+
+      case 'long_text': {
+        const text = typeof raw === 'object' ? raw.text : raw;
+        if (text === undefined || typeof text === 'object') throw invalid('Long text column expects a string or { text }');
+        return { value: { text: `${text}` }, text: `${text}` };
+      }
+
+      case 'numbers': {
+        const number = typeof raw === 'number' ? raw : typeof raw === 'string' && raw.trim() !== '' ? Number(raw.trim()) : NaN;
+        if (!isFinite(number)) throw invalid(`"${typeof raw === 'object' ? JSON.stringify(raw) : raw}" is not a number`);
+        return { value: `${number}`, text: `${number}` };
+      }
+
+      case 'status':
+      case 'color': {
+        const labels = column.settings.labels || {};
+        let index;
+        let label;
+
+        if (typeof raw === 'string') {
+          label = raw;
+        } else if (typeof raw === 'object' && !Array.isArray(raw) && (raw.label !== undefined || raw.index !== undefined)) {
+          if (raw.label !== undefined) {
+            label = `${raw.label}`;
+          } else {
+            index = Number(raw.index);
+          }
+        } else {
+          throw invalid('Status column expects a label string, { label } or { index }');
+        }
+
+        if (label !== undefined && label === '') {
+          return EMPTY_VALUE;
+        }
+
+        if (index !== undefined) {
+          if (!(index in labels)) throw invalid(`This status label index doesn't exist: ${index}`);
+          label = labels[index];
+        } else {
+          const found = Object.entries(labels).find(([, name]) => name === label);
+          if (found) {
+            index = Number(found[0]);
+          } else if (createLabels) {
+            index = Math.max(-1, ...Object.keys(labels).map(Number)) + 1;
+            const newIndex = index;
+            const newLabel = label;
+            pendingLabels.push(() => {
+              column.settings.labels = { ...column.settings.labels, [newIndex]: newLabel };
+            });
+          } else {
+            throw invalid(`This status label doesn't exist, possible statuses are: ${Object.values(labels).join(', ')}`);
+          }
+        }
+
+        return { value: { index, post_id: null, changed_at: new Date().toISOString() }, text: label };
+      }
+
+      case 'dropdown': {
+        const labels = column.settings.labels || [];
+        let requested;
+        if (typeof raw === 'string') {
+          requested = toList(raw).map(name => ({ name }));
+        } else if (typeof raw === 'object' && Array.isArray(raw.labels)) {
+          requested = raw.labels.map(name => ({ name: `${name}` }));
+        } else if (typeof raw === 'object' && raw.ids !== undefined) {
+          requested = toList(raw.ids).map(id => ({ id: Number(id) }));
+        } else {
+          throw invalid('Dropdown column expects a string, { labels } or { ids }');
+        }
+        if (requested.length === 0) {
+          return EMPTY_VALUE;
+        }
+
+        let nextId = Math.max(0, ...labels.map(label => label.id));
+        const created = [];
+        const chosen = requested.map(entry => {
+          if (entry.id !== undefined) {
+            const found = labels.find(label => label.id === entry.id);
+            if (!found) throw invalid(`The dropdown label id ${entry.id} doesn't exist`);
+            return found;
+          }
+          const found = labels.find(label => label.name === entry.name) || created.find(label => label.name === entry.name);
+          if (found) return found;
+          if (!createLabels) throw invalid(`The dropdown label "${entry.name}" doesn't exist`);
+          nextId += 1;
+          const label = { id: nextId, name: entry.name };
+          created.push(label);
+          return label;
+        });
+        if (created.length > 0) {
+          pendingLabels.push(() => {
+            column.settings.labels = [...(column.settings.labels || []), ...created];
+          });
+        }
+
+        return { value: { ids: chosen.map(label => label.id) }, text: chosen.map(label => label.name).join(', ') };
+      }
+
+      case 'date': {
+        let date;
+        let time = null;
+        if (typeof raw === 'string') {
+          [date, time = null] = raw.trim().split(/[ T]/);
+        } else if (typeof raw === 'object') {
+          date = raw.date;
+          time = raw.time || null;
+        }
+        if (date === null || date === undefined || date === '') return EMPTY_VALUE;
+        if (!isValidDate(date)) throw invalid(`Invalid date "${date}", expected YYYY-MM-DD`);
+        if (time !== null && !/^\d{2}:\d{2}(:\d{2})?$/.test(time)) throw invalid(`Invalid time "${time}", expected HH:MM:SS`);
+        if (time && time.length === 5) time = `${time}:00`;
+        return { value: { date, time, changed_at: new Date().toISOString() }, text: time ? `${date} ${time}` : date };
+      }
+
+      case 'email': {
+        const email = typeof raw === 'object' ? raw.email : raw;
+        const text = typeof raw === 'object' ? raw.text || email : raw;
+        if (email === '' || email === null || email === undefined) return EMPTY_VALUE;
+        if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw invalid(`Invalid email "${email}"`);
+        return { value: { email, text }, text: email };
+      }
+
+      case 'phone': {
+        const phone = typeof raw === 'object' ? raw.phone : raw;
+        if (phone === '' || phone === null || phone === undefined) return EMPTY_VALUE;
+        if (!/^\+?\d{4,20}$/.test(`${phone}`)) throw invalid(`Invalid phone number "${phone}"`);
+        return { value: { phone: `${phone}`, countryShortName: (typeof raw === 'object' && raw.countryShortName) || null }, text: `${phone}` };
+      }
+
+      case 'checkbox': {
+        if (typeof raw !== 'object' || !('checked' in raw)) throw invalid('Checkbox column expects { checked }');
+        const checked = raw.checked === true || raw.checked === 'true';
+        return checked ? { value: { checked: 'true' }, text: 'v' } : EMPTY_VALUE;
+      }
+
+      case 'link': {
+        let url;
+        let text;
+        if (typeof raw === 'string') {
+          [url, ...text] = raw.trim().split(' ');
+          text = text.join(' ') || url;
+        } else if (typeof raw === 'object') {
+          url = raw.url;
+          text = raw.text || raw.url;
+        }
+        if (!url) throw invalid('Link column expects { url, text }');
+        return { value: { url, text }, text: `${text} - ${url}` };
+      }
+
+      case 'board_relation': {
+        let ids;
+        if (typeof raw === 'object' && raw.item_ids !== undefined) {
+          ids = toList(raw.item_ids);
+        } else if (typeof raw === 'object' && Array.isArray(raw.linkedPulseIds)) {
+          ids = raw.linkedPulseIds.map(link => link.linkedPulseId);
+        } else {
+          throw invalid('Board relation column expects { item_ids }');
+        }
+        const linked = ids.map(id => {
+          const linkedItem = this.items.get(`${id}`);
+          if (!linkedItem) throw invalid(`Linked item ${id} doesn't exist`);
+          return linkedItem;
+        });
+        if (linked.length === 0) return EMPTY_VALUE;
+        return {
+          value: { linkedPulseIds: linked.map(linkedItem => ({ linkedPulseId: Number(linkedItem.id) })) },
+          text: linked.map(linkedItem => linkedItem.name).join(', ')
+        };
+      }
+
+      case 'people': {
+        const entries = typeof raw === 'object' && Array.isArray(raw.personsAndTeams)
+          ? raw.personsAndTeams
+          : toList(typeof raw === 'object' ? raw.ids : raw).map(id => ({ id, kind: 'person' }));
+        if (entries.some(entry => !entry || isNaN(Number(entry.id)))) throw invalid('People column expects { personsAndTeams: [{ id, kind }] }');
+        if (entries.length === 0) return EMPTY_VALUE;
+        return {
+          value: { personsAndTeams: entries.map(entry => ({ id: Number(entry.id), kind: entry.kind || 'person' })) },
+          text: entries.map(entry => `${entry.id}`).join(', ')
+        };
+      }
+
+      case 'timeline': {
+        if (typeof raw !== 'object' || !isValidDate(raw.from) || !isValidDate(raw.to)) {
+          throw invalid('Timeline column expects { from: YYYY-MM-DD, to: YYYY-MM-DD }');
+        }
+        if (raw.from > raw.to) throw invalid('Timeline "from" is after "to"');
+        return { value: { from: raw.from, to: raw.to }, text: `${raw.from} - ${raw.to}` };
+      }
+
+      case 'hour': {
+        const hour = Number(raw.hour);
+        const minute = Number(raw.minute || 0);
+        if (typeof raw !== 'object' || !Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+          throw invalid('Hour column expects { hour, minute }');
+        }
+        return { value: { hour, minute }, text: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}` };
+      }
+
+      case 'rating': {
+        const rating = Number(typeof raw === 'object' ? raw.rating : raw);
+        if (!Number.isInteger(rating) || rating < 0 || rating > 5) throw invalid('Rating column expects { rating } between 0 and 5');
+        return { value: { rating }, text: `${rating}` };
+      }
+
+      case 'tags': {
+        if (typeof raw !== 'object' || !Array.isArray(raw.tag_ids)) throw invalid('Tags column expects { tag_ids }');
+        return { value: { tag_ids: raw.tag_ids.map(Number) }, text: raw.tag_ids.join(', ') };
+      }
+
+      case 'country': {
+        if (typeof raw !== 'object' || !/^[A-Za-z]{2}$/.test(raw.countryCode || '')) throw invalid('Country column expects { countryCode, countryName }');
+        return { value: { countryCode: raw.countryCode.toUpperCase(), countryName: raw.countryName || raw.countryCode }, text: raw.countryName || raw.countryCode };
+      }
+
+      case 'week': {
+        const week = raw.week || {};
+        if (!isValidDate(week.startDate) || !isValidDate(week.endDate)) throw invalid('Week column expects { week: { startDate, endDate } }');
+        return { value: { week }, text: `${week.startDate} - ${week.endDate}` };
+      }
+
+      case 'location': {
+        if (typeof raw !== 'object') throw invalid('Location column expects { lat, lng, address }');
+        return { value: raw, text: raw.address || `${raw.lat}, ${raw.lng}` };
+      }
+
+      default:
+        return { value: raw, text: typeof raw === 'string' ? raw : JSON.stringify(raw) };
+    }
+  }
+
+  // ----- Views (objects resolved against selection sets) -----
+
+  columnView(column) {
+    return {
+      id: column.id,
+      title: column.title,
+      type: column.type,
+      description: column.description,
+      settings_str: JSON.stringify(column.settings || {}),
+      archived: false,
+      width: null
+    };
+  }
+
+  columnValueView(item, column) {
+    const stored = item.values.get(column.id) || EMPTY_VALUE;
+    let text = stored.text;
+    if (column.type === 'subtasks') {
+      text = this.boardItemsByParent(item.id).map(subitem => subitem.name).join(', ');
+    }
+    return {
+      id: column.id,
+      type: column.type,
+      text,
+      value: stored.value === null ? null : JSON.stringify(stored.value),
+      column: this.columnView(column),
+      linked_item_ids: column.type === 'board_relation'
+        ? (stored.value?.linkedPulseIds || []).map(link => `${link.linkedPulseId}`)
+        : undefined
+    };
+  }
+
+  boardItemsByParent(parentId) {
+    return [...this.items.values()].filter(item => item.parentId === parentId);
+  }
+
+  itemView(item) {
+    const board = this.boards.get(item.boardId);
+    return {
+      id: item.id,
+      name: item.name,
+      state: 'active',
+      created_at: item.createdAt,
+      updated_at: item.updatedAt,
+      board: { id: board.id, name: board.name },
+      group: { id: item.groupId, title: 'Group Title' },
+      parent_item: item.parentId && this.items.has(item.parentId) ? this.itemView(this.items.get(item.parentId)) : null,
+      column_values: (args = {}) => board.columns
+        .filter(column => column.id !== 'name')
+        .filter(column => !args.ids || toList(args.ids).includes(column.id))
+        .filter(column => !args.types || toList(args.types).includes(column.type))
+        .map(column => this.columnValueView(item, column)),
+      subitems: () => this.boardItemsByParent(item.id).map(subitem => this.itemView(subitem)),
+      updates: (args = {}) => [...this.updates.values()]
+        .filter(update => update.itemId === item.id && !update.parentId)
+        .reverse()
+        .slice(0, args.limit || 25)
+        .map(update => this.updateView(update))
+    };
+  }
+
+  updateView(update) {
+    return {
+      id: update.id,
+      body: update.body,
+      text_body: update.body.replace(/<[^>]+>/g, ''),
+      created_at: update.createdAt,
+      item_id: update.itemId,
+      replies: [...this.updates.values()].filter(reply => reply.parentId === update.id).map(reply => this.updateView(reply)),
+      assets: update.assetIds.map(id => this.assets.get(id))
+    };
+  }
+
+  boardView(board) {
+    return {
+      id: board.id,
+      name: board.name,
+      board_kind: board.kind,
+      state: 'active',
+      items_count: this.boardItems(board.id).length,
+      columns: (args = {}) => board.columns
+        .filter(column => !args.ids || toList(args.ids).includes(column.id))
+        .filter(column => !args.types || toList(args.types).includes(column.type))
+        .map(column => this.columnView(column)),
+      groups: [{ id: 'topics', title: 'Group Title' }],
+      items_page: (args = {}) => this.createPage(this.filterItems(board, this.boardItems(board.id), args.query_params), args.limit)
+    };
+  }
+
+  createPage(items, limit = 25, offset = 0) {
+    const pageSize = Math.min(limit || 25, 500);
+    const pageItems = items.slice(offset, offset + pageSize);
+    let cursor = null;
+    if (offset + pageSize < items.length) {
+      cursor = `cursor_${this.generateId()}`;
+      this.cursors.set(cursor, { itemIds: items.map(item => item.id), offset: offset + pageSize });
+    }
+    return { cursor, items: pageItems.map(item => this.itemView(item)) };
+  }
+
+  filterItems(board, items, queryParams) {
+    if (!queryParams) return items;
+
+    let filtered = items;
+    if (queryParams.ids) {
+      const ids = toList(queryParams.ids).map(id => `${id}`);
+      filtered = filtered.filter(item => ids.includes(item.id));
+    }
+
+    const rules = queryParams.rules || [];
+    if (rules.length === 0) return filtered;
+
+    const matchRule = (item, rule) => {
+      const stored = rule.column_id === 'name' ? { text: item.name, value: item.name } : item.values.get(rule.column_id) || EMPTY_VALUE;
+      const compareValues = toList(rule.compare_value).map(value => `${value}`);
+      const text = stored.text || '';
+      const index = stored.value && stored.value.index !== undefined ? `${stored.value.index}` : null;
+      const operator = rule.operator || 'any_of';
+      const matchesAny = compareValues.some(value => value === text || value === index || text.split(', ').includes(value));
+
+      if (operator === 'any_of') return matchesAny;
+      if (operator === 'not_any_of') return !matchesAny;
+      if (operator === 'is_empty') return text === '';
+      if (operator === 'is_not_empty') return text !== '';
+      if (operator === 'contains_text') return compareValues.some(value => text.toLowerCase().includes(value.toLowerCase()));
+      if (operator === 'greater_than') return Number(text) > Number(compareValues[0]);
+      if (operator === 'lower_than') return Number(text) < Number(compareValues[0]);
+      throw new FakeGraphQLError(`Unsupported rule operator ${operator}`, 'InvalidArgumentException');
+    };
+
+    const combine = queryParams.operator === 'or' ? 'some' : 'every';
+    return filtered.filter(item => rules[combine](rule => matchRule(item, rule)));
+  }
+
+  // ----- Resolvers -----
+
+  queryResolvers() {
+    return {
+      boards: (args) => {
+        const ids = args.ids ? toList(args.ids).map(id => `${id}`) : [...this.boards.keys()];
+        return ids.filter(id => this.boards.has(id)).map(id => this.boardView(this.boards.get(id)));
+      },
+      items: (args) => toList(args.ids)
+        .map(id => this.items.get(`${id}`))
+        .filter(Boolean)
+        .map(item => this.itemView(item)),
+      next_items_page: (args) => {
+        const state = this.cursors.get(args.cursor);
+        if (!state) {
+          throw new FakeGraphQLError('Invalid or expired cursor', 'CursorException');
+        }
+        const items = state.itemIds.map(id => this.items.get(id)).filter(Boolean);
+        return this.createPage(items, args.limit, state.offset);
+      },
+      items_page_by_column_values: (args) => {
+        const board = this.getBoardOrThrow(args.board_id);
+        const rules = toList(args.columns).map(column => ({
+          column_id: column.column_id,
+          compare_value: column.column_values,
+          operator: 'any_of'
+        }));
+        return this.createPage(this.filterItems(board, this.boardItems(board.id), { rules }), args.limit);
+      }
+    };
+  }
+
+  mutationResolvers() {
+    return {
+      create_item: (args) => {
+        const board = this.getBoardOrThrow(args.board_id);
+        return this.itemView(this.insertItem(board, args.item_name, args.column_values, Boolean(args.create_labels_if_missing)));
+      },
+      change_multiple_column_values: (args) => {
+        const item = this.getItemOrThrow(args.item_id);
+        if (args.board_id && `${args.board_id}` !== item.boardId) {
+          throw new FakeGraphQLError(`Item ${item.id} is not on board ${args.board_id}`, 'ItemNotFoundInBoard');
+        }
+        const board = this.boards.get(item.boardId);
+        const changes = this.prepareColumnValues(board, item, args.column_values, Boolean(args.create_labels_if_missing));
+        this.applyColumnValues(item, changes);
+        return this.itemView(item);
+      },
+      create_subitem: (args) => {
+        const parent = this.getItemOrThrow(args.parent_item_id);
+        const subitemBoard = this.ensureSubitemBoard(this.boards.get(parent.boardId));
+        return this.itemView(this.insertItem(subitemBoard, args.item_name, args.column_values, Boolean(args.create_labels_if_missing), parent.id));
+      },
+      delete_item: (args) => {
+        const item = this.getItemOrThrow(args.item_id);
+        this.boardItemsByParent(item.id).forEach(subitem => this.items.delete(subitem.id));
+        this.items.delete(item.id);
+        return { id: item.id, name: item.name };
+      },
+      create_update: (args) => {
+        let itemId;
+        let parentId = null;
+        if (args.parent_id) {
+          const parent = this.updates.get(`${args.parent_id}`);
+          if (!parent) throw new FakeGraphQLError(`Update ${args.parent_id} not found`, 'ResourceNotFoundException');
+          itemId = parent.itemId;
+          parentId = parent.id;
+        } else {
+          itemId = this.getItemOrThrow(args.item_id).id;
+        }
+        const update = { id: this.generateId(), itemId, parentId, body: `${args.body || ''}`, createdAt: new Date().toISOString(), assetIds: [] };
+        this.updates.set(update.id, update);
+        return this.updateView(update);
+      },
+      add_file_to_column: (args) => {
+        const item = this.getItemOrThrow(args.item_id);
+        const board = this.boards.get(item.boardId);
+        const column = board.columns.find(candidate => candidate.id === args.column_id);
+        if (!column) {
+          throw new FakeGraphQLError(`This column ID doesn't exist for the board`, 'InvalidColumnIdException', { error_data: { column_id: args.column_id } });
+        }
+        if (column.type !== 'file') {
+          throw new FakeGraphQLError(`Column ${column.id} is not a file column`, 'ColumnValueException', { error_data: { column_id: column.id } });
+        }
+        const asset = this.createAsset(args.file);
+        const current = item.values.get(column.id)?.value?.files || [];
+        const files = [...current, { name: asset.name, assetId: Number(asset.id), isImage: 'false', fileType: 'ASSET' }];
+        item.values.set(column.id, { value: { files }, text: files.map(file => file.name).join(', ') });
+        return asset;
+      },
+      add_file_to_update: (args) => {
+        const update = this.updates.get(`${args.update_id}`);
+        if (!update) throw new FakeGraphQLError(`Update ${args.update_id} not found`, 'ResourceNotFoundException');
+        const asset = this.createAsset(args.file);
+        update.assetIds.push(asset.id);
+        return asset;
+      },
+      create_board: (args) => {
+        if (!args.board_name) throw new FakeGraphQLError('board_name is required', 'InvalidArgumentException');
+        const boardId = this.createBoard({ name: args.board_name, kind: args.board_kind });
+        return this.boardView(this.boards.get(boardId));
+      },
+      create_column: (args) => {
+        const board = this.getBoardOrThrow(args.board_id);
+        const defaults = typeof args.defaults === 'string' ? JSON.parse(args.defaults) : args.defaults || {};
+        const settings = {};
+        if (defaults.labels) settings.labels = defaults.labels;
+        if (defaults.settings && defaults.settings.labels) settings.labels = defaults.settings.labels;
+        const columnId = this.addColumn(board.id, {
+          id: args.id,
+          title: args.title,
+          type: args.column_type,
+          description: args.description,
+          settings
+        });
+        return this.columnView(board.columns.find(column => column.id === columnId));
+      },
+      change_column_metadata: (args) => {
+        const board = this.getBoardOrThrow(args.board_id);
+        const column = board.columns.find(candidate => candidate.id === args.column_id);
+        if (!column) {
+          throw new FakeGraphQLError(`This column ID doesn't exist for the board`, 'InvalidColumnIdException', { error_data: { column_id: args.column_id } });
+        }
+        if (args.column_property !== 'title' && args.column_property !== 'description') {
+          throw new FakeGraphQLError(`Unsupported column property ${args.column_property}`, 'InvalidArgumentException');
+        }
+        column[args.column_property] = args.value;
+        return this.columnView(column);
+      }
+    };
+  }
+
+  createAsset(file) {
+    if (!file || !file.filename) {
+      throw new FakeGraphQLError('No file was uploaded (use the /v2/file endpoint)', 'InvalidArgumentException');
+    }
+    const asset = {
+      id: this.generateId(),
+      name: file.filename,
+      url: `https://fake.monday.com/assets/${this.nextId}/${encodeURIComponent(file.filename)}`,
+      file_extension: (file.filename.match(/\.[^.]+$/) || [''])[0],
+      file_size: file.size || 0
+    };
+    this.assets.set(asset.id, asset);
+    return asset;
+  }
+}
+
+/**
+ * Shapes a resolved value according to a selection set (fields may be functions of their arguments)
+ */
+function project(value, selections, variables = {}) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(entry => project(entry, selections, variables));
+  if (!selections) {
+    return value;
+  }
+
+  const result = {};
+  for (const selection of selections) {
+    const key = selection.alias || selection.name;
+    if (selection.name === '__typename') {
+      result[key] = 'Object';
+      continue;
+    }
+    if (!(selection.name in value)) {
+      const error = new Error(`Cannot query field "${selection.name}"`);
+      error.validation = true;
+      throw error;
+    }
+
+    let fieldValue = value[selection.name];
+    if (typeof fieldValue === 'function') {
+      fieldValue = fieldValue(resolveArguments(selection.args, variables));
+    }
+    result[key] = project(fieldValue === undefined ? null : fieldValue, selection.selections, variables);
+  }
+  return result;
+}
+
+/**
+ * Builds a fetch Response-like object
+ */
+function createResponse(status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const normalizedHeaders = Object.entries(headers).reduce((acc, [name, value]) => ({ ...acc, [name.toLowerCase()]: value }), {});
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : `HTTP ${status}`,
+    headers: {
+      get: (name) => normalizedHeaders[name.toLowerCase()] !== undefined ? normalizedHeaders[name.toLowerCase()] : null
+    },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+}
+
+module.exports = {
+  FakeMonday,
+  FakeGraphQLError,
+  parseGraphQL
+};
@@ -0,0 +1,248 @@
+/**
+ * @import-af/monday/webhook
+ * Helpers for Monday.com webhook receivers (e.g. Pipedream HTTP triggers)
+ */
+
+const crypto = require('crypto');
+const { parseColumnValue } = require('./index');
+
+/**
+ * Event types as named in webhook subscriptions, by Monday event.type
+ */
+const WEBHOOK_EVENT_TYPES = {
+  create_pulse: 'create_item',
+  update_column_value: 'change_column_value',
+  update_name: 'change_name',
+  create_update: 'create_update',
+  edit_update: 'edit_update',
+  delete_update: 'delete_update',
+  delete_pulse: 'item_deleted',
+  archive_pulse: 'item_archived',
+  restore_pulse: 'item_restored',
+  move_pulse_into_group: 'item_moved_to_group',
+  move_pulse_into_board: 'item_moved_to_board'
+};
+
+/**
+ * Answers Monday's URL verification handshake
+ * @param {Object} body - Request body
+ * @returns {Object|null} { challenge } to send back, or null if this is not a handshake
+ */
+function getChallengeResponse(body) {
+  if (body && typeof body === 'object' && typeof body.challenge === 'string') {
+    return { challenge: body.challenge };
+  }
+  return null;
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verifies the JWT Monday sends in the Authorization header, signed with the app's signing secret
+ * @param {string} authorization - Authorization header value (raw token or "Bearer <token>")
+ * @param {string} signingSecret - Signing secret
+ * @param {Object} options - Verification options
+ * @param {number} [options.clockTolerance=30] - Seconds of tolerance on exp/nbf
+ * @returns {Object} Decoded JWT payload
+ * @throws {Error} With code 'INVALID_SIGNATURE' if the token is missing, malformed, expired or forged
+ */
+function verifyWebhookSignature(authorization, signingSecret, options = {}) {
+  const clockTolerance = options.clockTolerance !== undefined ? options.clockTolerance : 30;
+
+  const fail = (message) => {
+    const error = new Error(`Invalid Monday webhook signature: ${message}`);
+    error.code = 'INVALID_SIGNATURE';
+    throw error;
+  };
+
+  if (!signingSecret) {
+    fail('no signing secret configured');
+  }
+  if (!authorization || typeof authorization !== 'string') {
+    fail('missing Authorization header');
+  }
+
+  const token = authorization.replace(/^Bearer\s+/i, '').trim();
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    fail('malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (e) {
+    fail('malformed token');
+  }
+
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    fail('malformed token');
+  }
+  if (header.alg !== 'HS256') {
+    fail(`unsupported algorithm ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', signingSecret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = base64UrlDecode(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    fail('signature mismatch');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now > payload.exp + clockTolerance) {
+    fail('token expired');
+  }
+  if (payload.nbf !== undefined && now + clockTolerance < payload.nbf) {
+    fail('token not yet valid');
+  }
+
+  return payload;
+}
+
+/**
+ * Converts a webhook column value into a column_values entry ({ value, text })
+ * Webhooks use a slightly different shape than the API for some column types.
+ * @param {any} value - Webhook value / previousValue
+ * @param {string} columnType - Monday column type
+ * @returns {Object|null} column_values-like entry
+ */
+function toColumnValue(value, columnType) {
+  if (value === null || value === undefined) return null;
+
+  if (columnType === 'status' || columnType === 'color') {
+    return { value: JSON.stringify({ index: value.label?.index }), text: value.label?.text ?? null };
+  }
+  if (columnType === 'dropdown') {
+    const names = (value.chosenValues || []).map(chosen => chosen.name);
+    return { value: JSON.stringify({ ids: (value.chosenValues || []).map(chosen => chosen.id) }), text: names.join(', ') };
+  }
+  if (columnType === 'text' || columnType === 'numbers') {
+    const raw = value.value ?? null;
+    return { value: JSON.stringify(raw), text: raw === null ? null : `${raw}` };
+  }
+  if (columnType === 'long_text') {
+    return { value: JSON.stringify(value), text: value.text ?? null };
+  }
+
+  return { value: JSON.stringify(value), text: null };
+}
+
+/**
+ * Decodes a webhook value with the column type parsers used for column_values
+ * @param {any} value - Webhook value / previousValue
+ * @param {string} columnType - Monday column type
+ * @returns {any} Decoded value (label, number, date string, ids, ...), or the raw value for unknown types
+ */
+function decodeWebhookValue(value, columnType) {
+  const columnValue = toColumnValue(value, columnType);
+  if (!columnValue) return null;
+
+  const decoded = parseColumnValue(columnValue, columnType);
+  return decoded === null && columnValue.text === null ? value : decoded;
+}
+
+/**
+ * Parses a webhook request body into a typed event
+ * @param {Object|string} body - Request body ({ event: { ... } })
+ * @returns {Object} { type, mondayType, boardId, itemId, itemName, parentItemId, groupId, columnId,
+ *   columnType, columnTitle, value, previousValue, rawValue, rawPreviousValue, userId, triggeredAt,
+ *   subscriptionId, raw }
+ */
+function parseWebhookEvent(body) {
+  const parsedBody = typeof body === 'string' ? JSON.parse(body) : body;
+  const event = parsedBody?.event;
+  if (!event || !event.type) {
+    throw new Error('Not a Monday webhook event: missing event.type');
+  }
+
+  const isSubitem = Boolean(event.parentItemId);
+  let type = WEBHOOK_EVENT_TYPES[event.type] || event.type;
+  if (type === 'change_column_value' && (event.columnType === 'status' || event.columnType === 'color')) {
+    type = 'change_status_value';
+  }
+  if (isSubitem && type === 'create_item') {
+    type = 'create_subitem';
+  } else if (isSubitem && (type === 'change_column_value' || type === 'change_status_value')) {
+    type = 'change_subitem_column_value';
+  }
+
+  const hasColumn = Boolean(event.columnId);
+  const nameChange = event.type === 'update_name';
+
+  return {
+    type,
+    mondayType: event.type,
+    boardId: event.boardId !== undefined ? `${event.boardId}` : null,
+    itemId: event.pulseId !== undefined ? `${event.pulseId}` : null,
+    itemName: event.pulseName || null,
+    parentItemId: isSubitem ? `${event.parentItemId}` : null,
+    groupId: event.groupId || null,
+    columnId: event.columnId || null,
+    columnType: event.columnType || null,
+    columnTitle: event.columnTitle || null,
+    value: nameChange ? event.value?.name ?? null : hasColumn ? decodeWebhookValue(event.value, event.columnType) : event.value ?? null,
+    previousValue: nameChange ? event.previousValue?.name ?? null : hasColumn ? decodeWebhookValue(event.previousValue, event.columnType) : event.previousValue ?? null,
+    rawValue: event.value ?? null,
+    rawPreviousValue: event.previousValue ?? null,
+    userId: event.userId !== undefined ? `${event.userId}` : null,
+    triggeredAt: event.triggerTime || event.changedAt || null,
+    subscriptionId: event.subscriptionId !== undefined ? `${event.subscriptionId}` : null,
+    raw: event
+  };
+}
+
+/**
+ * Handles a webhook request end to end: handshake, signature verification and parsing
+ * @param {Object} request - { headers, body } (e.g. a Pipedream HTTP trigger event)
+ * @param {Object} options - Handler options
+ * @param {string} options.signingSecret - Signing secret
+ * @param {boolean} [options.insecure=false] - Accept unsigned requests (only without a signing secret, e.g. local tests)
+ * @returns {Object} { status, body, event } where status/body are the HTTP response to send
+ * @throws {Error} If neither options.signingSecret nor options.insecure is set
+ */
+function handleWebhookRequest(request, options = {}) {
+  if (!options.signingSecret && !options.insecure) {
+    throw new Error('handleWebhookRequest requires options.signingSecret (or insecure: true to skip verification)');
+  }
+
+  let body;
+  try {
+    body = typeof request.body === 'string' ? JSON.parse(request.body) : request.body;
+  } catch (error) {
+    return { status: 400, body: { error: `Malformed JSON body: ${error.message}` }, event: null };
+  }
+
+  const challenge = getChallengeResponse(body);
+  if (challenge) {
+    return { status: 200, body: challenge, event: null };
+  }
+
+  if (options.signingSecret) {
+    const headers = request.headers || {};
+    const authorization = headers.authorization || headers.Authorization;
+    try {
+      verifyWebhookSignature(authorization, options.signingSecret, options);
+    } catch (error) {
+      return { status: 401, body: { error: error.message }, event: null };
+    }
+  }
+
+  try {
+    return { status: 200, body: { ok: true }, event: parseWebhookEvent(body) };
+  } catch (error) {
+    return { status: 400, body: { error: error.message }, event: null };
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  getChallengeResponse,
+  verifyWebhookSignature,
+  decodeWebhookValue,
+  parseWebhookEvent,
+  handleWebhookRequest
+};
@@ -3,7 +3,9 @@
  * Synchronization utilities between QuickBooks Online and Monday.com
  */
 
-const version = '1.0.6';
+const version = '1.1.0';
+
+const { toDateString } = require('@import-af/monday');
 
 /**
  * Organises QBO invoice data according to Monday.com mapping configuration
@@ -12,8 +14,6 @@ const version = '1.0.6';
  * @returns {Object} Updated qboSettings with mapped values
  */
 function organiseQboInvoice(qboSettings, qboInvoice) {
-  console.log(`version: ${version}`);
-
   // Deep clone settings to avoid mutation
   const settings = JSON.parse(JSON.stringify(qboSettings));
   
@@ -125,17 +125,20 @@ function validateQboInvoice(qboInvoice) {
 
 /**
  * Gets formatted date for Monday.com (YYYY-MM-DD format)
- * @param {string} qboDate - Date from QBO (YYYY-MM-DD format)
+ * QBO dates are calendar days and QBO timestamps carry the company's offset ('2024-03-05T22:15:00-05:00'):
+ * both keep the day as written instead of being shifted through UTC (see toDateString in @import-af/monday).
+ * @param {string|Date} qboDate - Date from QBO (YYYY-MM-DD or ISO 8601 with offset)
+ * @param {string} [timeZone='UTC'] - IANA timezone used to read Date objects
  * @returns {string} Formatted date for Monday
  */
-function formatDateForMonday(qboDate) {
+function formatDateForMonday(qboDate, timeZone = 'UTC') {
   if (!qboDate) return "";
-  
-  // QBO dates are already in YYYY-MM-DD format, but let's ensure consistency
-  const date = new Date(qboDate);
-  if (isNaN(date.getTime())) return qboDate; // Return original if invalid
-  
-  return date.toISOString().split('T')[0]; // YYYY-MM-DD
+
+  const day = toDateString(qboDate, { timezone: timeZone });
+  if (day) return day;
+
+  // Return original if invalid (e.g. 2024-02-30)
+  return qboDate instanceof Date ? "" : qboDate;
 }
 
 // Export all functions
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { organiseQboInvoice, validateQboInvoice, formatDateForMonday } = require('..');
+
+const column = () => ({ monday_id: '', value: '' });
+
+function createSettings() {
+  const columns = ['bill_id', 'bill_number', 'date', 'date_due', 'qbo_customer_id', 'organisation_text', 'sub_total',
+    'total', 'balance', 'organisation', 'provenance', 'status', 'status_balance', 'terme_id', 'type'];
+  return {
+    recevales_columns: Object.fromEntries(columns.map(id => [id, column()])),
+    status_recevales_labels: { fetched: 'Importée' },
+    status_balance_labels: { to_pay: 'À payer', paid: 'Payée', partial: 'Partielle' }
+  };
+}
+
+const invoice = {
+  Id: '145',
+  DocNumber: 'INV-1001',
+  TxnDate: '2024-03-05',
+  DueDate: '2024-04-04',
+  CustomerRef: { value: '58', name: 'ACME' },
+  TotalAmt: 114.98,
+  Balance: 50,
+  TxnTaxDetail: { TotalTax: 14.98 },
+  SalesTermRef: { value: '4' }
+};
+
+test('formatDateForMonday keeps the day written by QBO', () => {
+  assert.equal(formatDateForMonday('2024-03-05'), '2024-03-05');
+  assert.equal(formatDateForMonday('2024-03-05T22:15:00-05:00'), '2024-03-05');
+  assert.equal(formatDateForMonday(new Date('2024-03-06T02:00:00Z')), '2024-03-06');
+  assert.equal(formatDateForMonday(new Date('2024-03-06T02:00:00Z'), 'America/Toronto'), '2024-03-05');
+});
+
+test('formatDateForMonday returns invalid input unchanged and empty input as ""', () => {
+  assert.equal(formatDateForMonday('2024-02-30'), '2024-02-30');
+  assert.equal(formatDateForMonday(new Date('invalid')), '');
+  assert.equal(formatDateForMonday(null), '');
+  assert.equal(formatDateForMonday(''), '');
+});
+
+test('organiseQboInvoice fills the Monday columns from the invoice', () => {
+  const settings = createSettings();
+  const organised = organiseQboInvoice(settings, invoice);
+  const values = Object.fromEntries(Object.entries(organised.recevales_columns).map(([id, entry]) => [id, entry.value]));
+
+  assert.deepEqual(values, {
+    bill_id: '145',
+    bill_number: 'INV-1001',
+    date: '2024-03-05',
+    date_due: '2024-04-04',
+    qbo_customer_id: '58',
+    organisation_text: 'ACME',
+    sub_total: 100,
+    total: 114.98,
+    balance: 50,
+    organisation: '',
+    provenance: '',
+    status: 'Importée',
+    status_balance: 'Partielle',
+    terme_id: '4',
+    type: 'Recevable'
+  });
+  assert.equal(settings.recevales_columns.bill_id.value, '');
+});
+
+test('organiseQboInvoice sets the balance status from the amounts', () => {
+  const status = (changes) => organiseQboInvoice(createSettings(), { ...invoice, ...changes }).recevales_columns.status_balance.value;
+
+  assert.equal(status({ Balance: 0 }), 'Payée');
+  assert.equal(status({ Balance: 114.98 }), 'À payer');
+  assert.equal(status({ Balance: 20 }), 'Partielle');
+});
+
+test('validateQboInvoice lists the missing fields', () => {
+  assert.deepEqual(validateQboInvoice(invoice), { isValid: true, missingFields: [] });
+  assert.deepEqual(validateQboInvoice({ Id: '1', CustomerRef: {} }), {
+    isValid: false,
+    missingFields: ['DocNumber', 'TxnDate', 'CustomerRef.value', 'TotalAmt']
+  });
+});
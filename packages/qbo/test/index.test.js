@@ -0,0 +1,9 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { version, hello } = require('..');
+
+test('exports the package version and hello', () => {
+  assert.equal(version, require('../package.json').version);
+  assert.equal(hello(), 'Hello from @import-af/qbo!');
+});